@@ -4,26 +4,58 @@
  */
 
 const App = {
+  // Annotation modes in toggle order, with their labels
+  ANNOTATION_MODES: { intervals: 'Intervals', notes: 'Notes', fingering: 'Fingering', clean: 'Clean' },
+
+  // localStorage key for the diagram labels (annotation mode and notes row)
+  LABELS_STORAGE_KEY: 'guitarChords.labels',
+
   // State
   chordData: null,
-  searchMode: 'chord', // 'chord', 'notes', or 'progressions'
+  databases: {}, // Chord databases loaded so far, by instrument ID
+  searchMode: 'chord', // 'chord', 'notes', 'progressions', or 'comping'
   isInitialized: false,
   selectedProgression: null,
   selectedKey: 'C',
-  annotationMode: 'intervals', // 'intervals', 'fingering', 'clean'
+  selectedMode: 'major', // Mode of the selected key, from Progressions.MODES
+  annotationMode: 'intervals', // 'intervals', 'notes', 'fingering', 'clean'
+  showNotesRow: false, // List each diagram's notes (low to high) under it
   alterations: {}, // Track per-slot alterations: { slotIndex: newQuality }
+  tuning: 'standard', // Tuning ID from Tunings.TUNINGS
+  capo: 0, // Capo fret (0 for none)
+  voicingOptions: { fretRange: 'any', voicingType: 'any' }, // VoiceLeading options for progressions
+  progressionVoicings: [], // Voice-led voicing of each slot of the displayed progression: [{ chordName, chord, positionIndex }]
+  compingPatternId: 'charleston', // Pattern from Comping.PATTERNS shown in the Comping tab
+  modalChordName: null, // Chord shown in the modal, for the URL
+  neckView: { open: false, fretCount: 15, caged: false, chordName: null, voicing: 0 }, // Full-neck panel in chord results (voicing -1 for none)
+  scaleView: { open: false, active: null, choices: {}, window: 0 }, // Chord-scale panel: chord shown on the neck, scale ID chosen per chord
+  isRestoringUrl: false, // True while applying state from the URL, so it isn't written back
+  modalPushedHistory: false, // True when opening the modal added a history entry (closing goes back over it)
 
   /**
    * Initialize the application
    */
   async init() {
     try {
-      // Load chord database
+      // Load the chosen instrument's chord database
+      Instruments.load();
       await this.loadChordData();
 
       // Initialize search modules
-      ChordSearch.init(this.chordData);
-      ReverseLookup.init(this.chordData);
+      this.initInstrumentModules();
+      Progressions.loadCustom();
+      Spelling.load();
+      ChordDiagram.load();
+      PrintSheet.load();
+      this.loadLabels();
+      this.populateInstrumentSelect();
+      this.populateTuningSelect();
+      this.populateCapoSelect();
+      this.populateSpellingSelect();
+      this.populateHandednessSelect();
+      this.populateKeySelect();
+      this.populateVoicingSelects();
+      this.populatePlaybackSelects();
 
       // Initialize modal
       Modal.init();
@@ -33,6 +65,7 @@ const App = {
       Autocomplete.init(searchInput, (chordName) => {
         // When a suggestion is selected, search for it
         this.searchByChordName(chordName);
+        this.updateUrl();
       });
 
       // Set up event listeners
@@ -45,8 +78,18 @@ const App = {
       // Hide loading indicator
       this.hideLoading();
 
+      // Cache for offline use; offer a reload when newer files arrive
+      Offline.register(() => this.showUpdatePrompt());
+
+      // Restore a shared or bookmarked view
+      if (window.location.hash) {
+        this.applyUrlState(UrlState.parse(window.location.hash));
+      }
+
       // Focus search input
-      document.getElementById('searchInput').focus();
+      if (this.searchMode === 'chord' || this.searchMode === 'notes') {
+        document.getElementById('searchInput').focus();
+      }
 
     } catch (error) {
       console.error('Failed to initialize app:', error);
@@ -55,15 +98,31 @@ const App = {
   },
 
   /**
-   * Load the chord database
+   * Load the current instrument's chord database (each is fetched once)
    */
   async loadChordData() {
-    const response = await fetch('data/guitar.json');
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+    const instrument = Instruments.get();
+    if (!this.databases[instrument.id]) {
+      const response = await fetch(instrument.database);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      this.databases[instrument.id] = await response.json();
     }
-    this.chordData = await response.json();
-    console.log(`Loaded ${Object.keys(this.chordData.chords).length} chord keys`);
+    this.chordData = this.databases[instrument.id];
+    console.log(`Loaded ${Object.keys(this.chordData.chords).length} chord keys for ${instrument.name}`);
+  },
+
+  /**
+   * Point the modules that read the chord database, tuning or string count at the current instrument
+   */
+  initInstrumentModules() {
+    const instrument = Instruments.get();
+    Tunings.init(this.chordData, instrument.id);
+    ChordSearch.init(this.chordData);
+    ReverseLookup.init(this.chordData);
+    ChordDiagram.setInstrument(instrument);
+    FretboardInput.init(document.getElementById('fretboardInput'), frets => this.searchFromFretboard(frets), instrument.strings);
   },
 
   /**
@@ -72,10 +131,15 @@ const App = {
   setupEventListeners() {
     // Search input
     const searchInput = document.getElementById('searchInput');
-    searchInput.addEventListener('input', this.debounce(() => this.handleSearch(), 150));
+    // Typing refines the current history entry rather than adding one per keystroke
+    searchInput.addEventListener('input', this.debounce(() => {
+      this.handleSearch();
+      this.updateUrl(true);
+    }, 150));
     searchInput.addEventListener('keydown', (e) => {
       if (e.key === 'Enter') {
         this.handleSearch();
+        this.updateUrl(true);
       }
     });
 
@@ -83,10 +147,12 @@ const App = {
     const tabChord = document.getElementById('tabChord');
     const tabNotes = document.getElementById('tabNotes');
     const tabProgressions = document.getElementById('tabProgressions');
+    const tabComping = document.getElementById('tabComping');
 
     tabChord.addEventListener('click', () => this.setSearchMode('chord'));
     tabNotes.addEventListener('click', () => this.setSearchMode('notes'));
     tabProgressions.addEventListener('click', () => this.setSearchMode('progressions'));
+    tabComping.addEventListener('click', () => this.setSearchMode('comping'));
 
     // Clear button
     const clearBtn = document.getElementById('clearBtn');
@@ -94,18 +160,59 @@ const App = {
 
     // Key selector
     const keySelect = document.getElementById('keySelect');
-    keySelect.addEventListener('change', (e) => {
-      this.selectedKey = e.target.value;
-      this.alterations = {};
-      if (this.selectedProgression) {
-        this.displayProgression(this.selectedProgression);
-      }
+    keySelect.addEventListener('change', (e) => this.setKey(e.target.value, this.selectedMode));
+    const modeSelect = document.getElementById('modeSelect');
+    modeSelect.addEventListener('change', (e) => this.setKey(this.selectedKey, e.target.value));
+    const relativeKeyBtn = document.getElementById('relativeKeyBtn');
+    relativeKeyBtn.addEventListener('click', () => {
+      const relative = this.getRelativeKey();
+      this.setKey(relative.key, relative.mode);
     });
 
+    // Voicing option selectors
+    const fretRangeSelect = document.getElementById('fretRangeSelect');
+    fretRangeSelect.addEventListener('change', (e) => this.setVoicingOption('fretRange', e.target.value));
+    const voicingTypeSelect = document.getElementById('voicingTypeSelect');
+    voicingTypeSelect.addEventListener('change', (e) => this.setVoicingOption('voicingType', e.target.value));
+
+    // Instrument selector
+    const instrumentSelect = document.getElementById('instrumentSelect');
+    instrumentSelect.addEventListener('change', (e) => this.setInstrument(e.target.value));
+
+    // Tuning selector
+    const tuningSelect = document.getElementById('tuningSelect');
+    tuningSelect.addEventListener('change', (e) => this.setTuning(e.target.value));
+
+    // Capo selector
+    const capoSelect = document.getElementById('capoSelect');
+    capoSelect.addEventListener('change', (e) => this.setCapo(parseInt(e.target.value, 10)));
+
+    // Sharps/flats preference
+    const spellingSelect = document.getElementById('spellingSelect');
+    spellingSelect.addEventListener('change', (e) => this.setSpelling(e.target.value));
+
+    // Left- or right-handed diagrams
+    const handednessSelect = document.getElementById('handednessSelect');
+    handednessSelect.addEventListener('change', (e) => this.setHandedness(e.target.value));
+
+    // Playback style and speed
+    const strumStyleSelect = document.getElementById('strumStyleSelect');
+    strumStyleSelect.addEventListener('change', (e) => ChordPlayer.setOptions({ style: e.target.value }));
+    const strumSpeedSelect = document.getElementById('strumSpeedSelect');
+    strumSpeedSelect.addEventListener('change', (e) => ChordPlayer.setOptions({ speed: e.target.value }));
+
+    // Back/forward between URL states
+    window.addEventListener('popstate', () => this.applyUrlState(UrlState.parse(window.location.hash)));
+    Modal.onChange = (replace) => this.onModalChange(replace);
+
     // Annotation toggle
     const annotationToggle = document.getElementById('annotationToggle');
     annotationToggle.addEventListener('click', () => this.cycleAnnotationMode());
 
+    // Notes row toggle
+    const notesRowToggle = document.getElementById('notesRowToggle');
+    notesRowToggle.addEventListener('click', () => this.toggleNotesRow());
+
     // Close alteration popup on outside click
     document.addEventListener('click', (e) => {
       if (!e.target.closest('.alteration-popup') && !e.target.closest('.progression-chord-name')) {
@@ -115,32 +222,474 @@ const App = {
   },
 
   /**
-   * Cycle through annotation modes: intervals → fingering → clean
+   * Fill the instrument selector
+   */
+  populateInstrumentSelect() {
+    const instrumentSelect = document.getElementById('instrumentSelect');
+    instrumentSelect.innerHTML = '';
+
+    Instruments.getAll().forEach(instrument => {
+      const option = document.createElement('option');
+      option.value = instrument.id;
+      option.textContent = instrument.name;
+      instrumentSelect.appendChild(option);
+    });
+
+    instrumentSelect.value = Instruments.current;
+  },
+
+  /**
+   * Switch instrument: load its chord database, reset to its standard tuning
+   * and re-render diagrams (switching back if the database can't be loaded)
+   */
+  async setInstrument(instrumentId) {
+    const previous = Instruments.current;
+    if (previous === instrumentId) return;
+
+    Instruments.setInstrument(instrumentId);
+    try {
+      await this.loadChordData();
+    } catch (error) {
+      console.error('Failed to load chord database:', error);
+      Instruments.setInstrument(previous);
+      document.getElementById('instrumentSelect').value = previous;
+      this.showError(`Couldn't load chords for ${Instruments.get(instrumentId).name}. Please try again.`);
+      return;
+    }
+
+    this.initInstrumentModules();
+    this.tuning = Tunings.DATABASE_TUNING;
+    this.populateTuningSelect();
+
+    // Open modal shows positions for the old instrument
+    if (Modal.isOpen) {
+      Modal.close();
+    }
+
+    this.refreshDiagrams();
+  },
+
+  /**
+   * Fill the tuning selector from the available tunings
+   */
+  populateTuningSelect() {
+    const tuningSelect = document.getElementById('tuningSelect');
+    tuningSelect.innerHTML = '';
+
+    Tunings.getAll().forEach(tuning => {
+      const option = document.createElement('option');
+      option.value = tuning.id;
+      option.textContent = tuning.name;
+      tuningSelect.appendChild(option);
+    });
+
+    tuningSelect.value = this.tuning;
+  },
+
+  /**
+   * Switch tuning: rebuild the reverse lookup index and re-render diagrams
+   */
+  setTuning(tuningId) {
+    if (this.tuning === tuningId) return;
+
+    this.tuning = tuningId;
+    ReverseLookup.buildIndex(tuningId);
+
+    // Open modal shows positions for the old tuning
+    if (Modal.isOpen) {
+      Modal.close();
+    }
+
+    this.refreshDiagrams();
+  },
+
+  /**
+   * Fill the capo selector with frets 0 (none) to Capo.MAX_FRET
+   */
+  populateCapoSelect() {
+    const capoSelect = document.getElementById('capoSelect');
+    capoSelect.innerHTML = '';
+
+    for (let fret = 0; fret <= Capo.MAX_FRET; fret++) {
+      const option = document.createElement('option');
+      option.value = fret;
+      option.textContent = fret === 0 ? 'None' : fret;
+      capoSelect.appendChild(option);
+    }
+
+    capoSelect.value = this.capo;
+  },
+
+  /**
+   * Set the capo fret and re-render diagrams as shapes behind it
+   */
+  setCapo(capoFret) {
+    if (this.capo === capoFret) return;
+
+    this.capo = capoFret;
+    document.getElementById('capoSelect').value = capoFret;
+
+    // Open modal shows shapes for the old capo
+    if (Modal.isOpen) {
+      Modal.close();
+    }
+
+    this.refreshDiagrams();
+  },
+
+  /**
+   * Fill the spelling selector with the sharps/flats preferences
+   */
+  populateSpellingSelect() {
+    const spellingSelect = document.getElementById('spellingSelect');
+    spellingSelect.innerHTML = '';
+
+    Object.values(Spelling.PREFERENCES).forEach(preference => {
+      const option = document.createElement('option');
+      option.value = preference.id;
+      option.textContent = preference.name;
+      spellingSelect.appendChild(option);
+    });
+
+    spellingSelect.value = Spelling.preference;
+  },
+
+  /**
+   * Fill the handedness selector with the diagram orientations
+   */
+  populateHandednessSelect() {
+    const handednessSelect = document.getElementById('handednessSelect');
+    handednessSelect.innerHTML = '';
+
+    Object.values(ChordDiagram.HANDEDNESS).forEach(handedness => {
+      const option = document.createElement('option');
+      option.value = handedness.id;
+      option.textContent = handedness.name;
+      handednessSelect.appendChild(option);
+    });
+
+    handednessSelect.value = ChordDiagram.handedness;
+  },
+
+  /**
+   * Draw diagrams (and the tap-in fretboard) for left- or right-handed players
+   */
+  setHandedness(handedness) {
+    if (ChordDiagram.handedness === handedness) return;
+
+    ChordDiagram.setHandedness(handedness);
+    FretboardInput.render();
+    this.refreshDiagrams();
+  },
+
+  /**
+   * Fill the key and mode selectors and the relative key button, with key names
+   * spelled for the current preference and mode (G# minor, Ab major)
+   */
+  populateKeySelect() {
+    const keySelect = document.getElementById('keySelect');
+    keySelect.innerHTML = '';
+
+    Progressions.KEYS.forEach(key => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = Spelling.spellKey(key, Progressions.MODES[this.selectedMode].third);
+      keySelect.appendChild(option);
+    });
+
+    keySelect.value = this.selectedKey;
+
+    const modeSelect = document.getElementById('modeSelect');
+    modeSelect.innerHTML = '';
+    Object.values(Progressions.MODES).forEach(mode => {
+      const option = document.createElement('option');
+      option.value = mode.id;
+      option.textContent = mode.name.charAt(0).toUpperCase() + mode.name.slice(1);
+      modeSelect.appendChild(option);
+    });
+    modeSelect.value = this.selectedMode;
+
+    const relative = this.getRelativeKey();
+    const relativeKeyBtn = document.getElementById('relativeKeyBtn');
+    relativeKeyBtn.textContent = `Relative: ${Progressions.getKeyName(relative.key, relative.mode)}`;
+    relativeKeyBtn.title = 'Switch to the key with the same notes';
+  },
+
+  /**
+   * Select the key for progressions and re-render in it
+   * @param {string} key - Key name, as Progressions.KEYS
+   * @param {string} mode - Key of Progressions.MODES
+   */
+  setKey(key, mode) {
+    this.selectedKey = key;
+    this.selectedMode = mode;
+    this.alterations = {};
+    this.populateKeySelect();
+    this.refreshProgressionView();
+  },
+
+  /**
+   * Get the selected key's relative: the relative minor of a major key, and the
+   * major key with the same notes for minor and the other modes
+   * @returns {Object} - { key, mode }
+   */
+  getRelativeKey() {
+    const mode = this.selectedMode === 'major' ? 'minor' : 'major';
+    return { key: Progressions.getRelativeKey(this.selectedKey, this.selectedMode, mode), mode };
+  },
+
+  /**
+   * Get the key a progression is played in: the selected key and mode. A mode other
+   * than the progression's home mode re-harmonises it (a major ii-V-I in C minor is
+   * Dm7b5 G7 Cm7; see Progressions.reharmonize)
+   * @param {Object} progression - Progression definition
+   * @returns {Object} - { key, mode, name } with the name for titles (e.g., "C minor")
+   */
+  getProgressionKey(progression) {
+    return {
+      key: this.selectedKey,
+      mode: this.selectedMode,
+      name: Progressions.getKeyName(this.selectedKey, this.selectedMode)
+    };
+  },
+
+  /**
+   * Set the sharps/flats preference and re-render names in it
+   */
+  setSpelling(preference) {
+    if (Spelling.preference === preference) return;
+
+    Spelling.setPreference(preference);
+    this.populateKeySelect();
+
+    // Open modal shows names in the old spelling
+    if (Modal.isOpen) {
+      Modal.close();
+    }
+
+    this.refreshDiagrams();
+  },
+
+  /**
+   * Fill the progression voicing selectors (fret range, voicing type)
+   */
+  populateVoicingSelects() {
+    this.fillSelect(document.getElementById('fretRangeSelect'), VoiceLeading.FRET_RANGES, this.voicingOptions.fretRange);
+    this.fillSelect(document.getElementById('voicingTypeSelect'), VoiceLeading.VOICING_TYPES, this.voicingOptions.voicingType);
+  },
+
+  /**
+   * Fill the playback style and speed selectors, or hide them without Web Audio
+   */
+  populatePlaybackSelects() {
+    if (!ChordPlayer.isSupported()) {
+      document.querySelectorAll('.playback-setting').forEach(element => { element.style.display = 'none'; });
+      return;
+    }
+
+    this.fillSelect(document.getElementById('strumStyleSelect'), ChordPlayer.STYLES, ChordPlayer.options.style);
+    this.fillSelect(document.getElementById('strumSpeedSelect'), ChordPlayer.SPEEDS, ChordPlayer.options.speed);
+  },
+
+  /**
+   * Fill a selector with one option per entry of a table of { id, name } choices
+   * @param {HTMLSelectElement} select - Selector to fill
+   * @param {Object} options - Choices keyed by ID (e.g., ChordPlayer.STYLES)
+   * @param {string} value - ID to select
+   */
+  fillSelect(select, options, value) {
+    select.innerHTML = '';
+    Object.values(options).forEach(option => {
+      const element = document.createElement('option');
+      element.value = option.id;
+      element.textContent = option.name;
+      select.appendChild(element);
+    });
+    select.value = value;
+  },
+
+  /**
+   * Create a button that plays a voicing without opening the modal
+   * @param {Object} position - Chord position with midi
+   * @param {string} chordName - Chord name for the accessible label
+   * @returns {HTMLElement|null} - Button, or null without Web Audio
+   */
+  createPlayButton(position, chordName) {
+    if (!ChordPlayer.isSupported() || !position.midi) return null;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'play-button';
+    button.setAttribute('aria-label', `Play ${chordName}`);
+    button.innerHTML = '&#9654;';
+
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      ChordPlayer.playPosition(position);
+    });
+    // Keep Enter/Space on the button from opening the card's modal
+    button.addEventListener('keydown', (e) => e.stopPropagation());
+
+    return button;
+  },
+
+  /**
+   * Create an export menu (SVG, PNG) for a card's diagram
+   * @param {SVGElement} diagram - Rendered diagram
+   * @param {string} title - Name drawn above the exported diagram
+   * @param {Array|null} noteNames - Notes drawn below it when the notes row is on
+   * @returns {HTMLElement}
+   */
+  createExportMenu(diagram, title, noteNames) {
+    return DiagramExport.createMenu(() => ({
+      svg: diagram,
+      chordName: title,
+      noteNames: this.showNotesRow ? noteNames : null
+    }));
+  },
+
+  /**
+   * Change a voicing option and re-select the progression's voicings
+   * @param {string} option - "fretRange" or "voicingType"
+   * @param {string} value - Option ID
+   */
+  setVoicingOption(option, value) {
+    this.voicingOptions = { ...this.voicingOptions, [option]: value };
+    this.refreshProgressionView();
+  },
+
+  /**
+   * Re-render the Progressions or Comping view after a key or voicing change
+   */
+  refreshProgressionView() {
+    if (this.searchMode === 'comping') {
+      this.displayComping();
+    } else if (this.selectedProgression) {
+      this.displayProgression(this.selectedProgression);
+    }
+  },
+
+  /**
+   * Look up a sounding chord as it is played with the current tuning and capo
+   * @param {string} chordName - Sounding chord name (e.g., "Eb")
+   * @param {Function} lookup - Resolves a chord name to a chord object
+   * @returns {Object|null} - Chord object (with capo and shapeKey when a capo is on) or null
+   */
+  lookupPlayable(chordName, lookup) {
+    const shapeName = Capo.getShapeName(chordName, this.capo, this.chordData);
+    if (!shapeName) return null;
+
+    const chord = Tunings.adaptChord(lookup(shapeName), this.tuning);
+    if (!chord || !this.capo) return chord;
+
+    return Capo.applyCapo(chord, this.capo, ChordParser.parse(chordName, this.chordData));
+  },
+
+  /**
+   * Get the "C shape · capo 3" label for a chord played behind a capo
+   * @param {Object} chord - Chord object from lookupPlayable
+   * @returns {string} - Label, or empty string without a capo
+   */
+  getCapoLabel(chord) {
+    if (!chord || !chord.capo) return '';
+    const shapeSuffix = chord.shapeSuffix === 'major' ? '' : chord.shapeSuffix === 'minor' ? 'm' : chord.shapeSuffix;
+    const shapeName = Spelling.spellChordName(chord.shapeKey + shapeSuffix);
+    return `${shapeName} shape · capo ${chord.capo}`;
+  },
+
+  /**
+   * Get the open-string MIDI notes as they sound with the current tuning and capo
+   * (frets are counted from the capo, as in the diagrams)
+   * @returns {Array} - MIDI notes, low string to high
+   */
+  getSoundingTuning() {
+    return Tunings.getMidi(this.tuning).map(note => note + this.capo);
+  },
+
+  /**
+   * Get the modal title for a chord, noting the capo shape if any
+   */
+  getModalTitle(chord, chordName) {
+    return chord.capo ? `${chordName} (${this.getCapoLabel(chord)})` : chordName;
+  },
+
+  /**
+   * Load the saved annotation mode and notes row, and show them on their toggles
+   */
+  loadLabels() {
+    const saved = LocalSettings.getJSON(this.LABELS_STORAGE_KEY, 'diagram labels');
+    if (saved && this.ANNOTATION_MODES[saved.annotationMode]) this.annotationMode = saved.annotationMode;
+    if (saved && typeof saved.showNotesRow === 'boolean') this.showNotesRow = saved.showNotesRow;
+    this.updateLabelToggles();
+  },
+
+  /**
+   * Save the annotation mode and notes row
+   */
+  saveLabels() {
+    LocalSettings.setJSON(this.LABELS_STORAGE_KEY, {
+      annotationMode: this.annotationMode,
+      showNotesRow: this.showNotesRow
+    }, 'diagram labels');
+  },
+
+  /**
+   * Show the current annotation mode and notes row on their toggles
+   */
+  updateLabelToggles() {
+    document.getElementById('annotationLabel').textContent = this.ANNOTATION_MODES[this.annotationMode];
+
+    const toggle = document.getElementById('notesRowToggle');
+    toggle.setAttribute('aria-pressed', String(this.showNotesRow));
+    document.getElementById('notesRowLabel').textContent = this.showNotesRow ? 'On' : 'Off';
+  },
+
+  /**
+   * Cycle through annotation modes: intervals → notes → fingering → clean
    */
   cycleAnnotationMode() {
-    const modes = ['intervals', 'fingering', 'clean'];
-    const labels = { intervals: 'Intervals', fingering: 'Fingering', clean: 'Clean' };
+    const modes = Object.keys(this.ANNOTATION_MODES);
     const currentIndex = modes.indexOf(this.annotationMode);
     this.annotationMode = modes[(currentIndex + 1) % modes.length];
 
-    document.getElementById('annotationLabel').textContent = labels[this.annotationMode];
+    this.saveLabels();
+    this.updateLabelToggles();
+    this.refreshDiagrams();
+  },
+
+  /**
+   * Show or hide the notes row under each diagram
+   */
+  toggleNotesRow() {
+    this.showNotesRow = !this.showNotesRow;
+
+    this.saveLabels();
+    this.updateLabelToggles();
     this.refreshDiagrams();
   },
 
   /**
    * Get diagram render parameters based on current annotation mode
+   * @param {Object} position - Chord position
+   * @param {Object|null} chord - Chord with key and suffix (null if the voicing has no name)
+   * @param {string|null} chordName - Name the notes are spelled from (defaults to the chord's own)
+   * @returns {Object} - { intervals, showFingerNumbers, noteNames } (noteNames per string, low to high)
    */
-  getDiagramParams(position, chord) {
+  getDiagramParams(position, chord, chordName = null) {
     let intervals = null;
     let showFingerNumbers = true;
+    const spellingName = chordName || (chord ? chord.key + (chord.suffix === 'major' ? '' : chord.suffix) : null);
+    const noteNames = ChordDegrees.calculateNoteNames(position, spellingName);
 
-    if (this.annotationMode === 'intervals') {
+    if (this.annotationMode === 'intervals' && chord) {
       intervals = ChordDegrees.calculateIntervals(position, chord.key, chord.suffix);
+    } else if (this.annotationMode === 'notes') {
+      intervals = noteNames;
     } else if (this.annotationMode === 'clean') {
       showFingerNumbers = false;
     }
 
-    return { intervals, showFingerNumbers };
+    return { intervals, showFingerNumbers, noteNames };
   },
 
   /**
@@ -148,8 +697,8 @@ const App = {
    */
   refreshDiagrams() {
     // Re-render current view
-    if (this.searchMode === 'progressions' && this.selectedProgression) {
-      this.displayProgression(this.selectedProgression);
+    if (this.searchMode === 'progressions' || this.searchMode === 'comping') {
+      this.refreshProgressionView();
     } else {
       // Re-trigger search to refresh diagrams
       const query = document.getElementById('searchInput').value.trim();
@@ -171,55 +720,26 @@ const App = {
     if (this.searchMode === mode) return;
 
     this.searchMode = mode;
+    this.updateModeUI();
 
-    // Update tab UI
-    const tabChord = document.getElementById('tabChord');
-    const tabNotes = document.getElementById('tabNotes');
-    const tabProgressions = document.getElementById('tabProgressions');
-    const searchPanel = document.getElementById('searchPanel');
-    const progressionsPanel = document.getElementById('progressionsPanel');
-    const searchInput = document.getElementById('searchInput');
-
-    // Close autocomplete when switching modes
+    // Close autocomplete and stop progression playback when switching modes
     Autocomplete.close();
+    Transport.stop();
 
-    // Reset all tabs
-    [tabChord, tabNotes, tabProgressions].forEach(tab => {
-      tab.classList.remove('active');
-      tab.setAttribute('aria-selected', 'false');
-    });
-
-    if (mode === 'chord') {
-      tabChord.classList.add('active');
-      tabChord.setAttribute('aria-selected', 'true');
-      searchPanel.style.display = '';
-      progressionsPanel.style.display = 'none';
-      searchInput.placeholder = 'Enter chord name (e.g., Cmaj7, Am, F#dim)';
-      this.clearResults();
-      const query = searchInput.value.trim();
-      if (query) {
-        this.handleSearch();
-      }
-      searchInput.focus();
-    } else if (mode === 'notes') {
-      tabNotes.classList.add('active');
-      tabNotes.setAttribute('aria-selected', 'true');
-      searchPanel.style.display = '';
-      progressionsPanel.style.display = 'none';
-      searchInput.placeholder = 'Enter notes (e.g., C E G B)';
+    if (mode === 'chord' || mode === 'notes') {
       this.clearResults();
-      const query = searchInput.value.trim();
-      if (query) {
+      const searchInput = document.getElementById('searchInput');
+      if (searchInput.value.trim()) {
         this.handleSearch();
       }
       searchInput.focus();
     } else if (mode === 'progressions') {
-      tabProgressions.classList.add('active');
-      tabProgressions.setAttribute('aria-selected', 'true');
-      searchPanel.style.display = 'none';
-      progressionsPanel.style.display = '';
       this.displayProgressionSelector();
+    } else if (mode === 'comping') {
+      this.displayComping();
     }
+
+    this.updateUrl();
   },
 
   /**
@@ -245,37 +765,62 @@ const App = {
    * Search by chord name
    */
   searchByChordName(query) {
-    const chord = ChordSearch.search(query);
+    const chord = this.lookupPlayable(query, name => ChordSearch.search(name));
 
-    if (!chord) {
+    if (!chord || chord.positions.length === 0) {
       this.showNoResults(`No chord found for "${query}"`);
       return;
     }
 
-    const chordName = chord.key + (chord.suffix === 'major' ? '' : chord.suffix);
+    // Spelled as typed (or by the sharps/flats preference), whatever the database calls it
+    const chordName = Spelling.spellChordName(chord.key + (chord.suffix === 'major' ? '' : chord.suffix), query);
     this.displayChordResults(chord, chordName);
   },
 
   /**
-   * Search by notes (reverse lookup)
+   * Search by notes or frets (reverse lookup)
    */
   searchByNotes(query) {
-    const result = ReverseLookup.search(query);
+    const result = ReverseLookup.search(query, this.getSoundingTuning());
+
+    // Keep the tappable fretboard in step with typed frets
+    if (result.frets) {
+      FretboardInput.setFrets(result.frets);
+    }
 
     if (result.error) {
       this.showNoResults(result.error);
       return;
     }
 
-    if (result.chords.length === 0) {
+    if (result.chords.length === 0 && result.matches.length === 0 && result.names.length === 0) {
       const noteList = result.notes.join(', ');
-      this.showNoResults(`No chords found containing exactly: ${noteList}`);
+      const bass = result.bass ? ` with ${result.bass} in the bass` : '';
+      this.showNoResults(`No chords found containing exactly: ${noteList}${bass}`);
       return;
     }
 
     this.displayNoteSearchResults(result);
   },
 
+  /**
+   * Search for the chord tapped on the fretboard input
+   * @param {Array} frets - Frets per string, low to high (-1 muted)
+   */
+  searchFromFretboard(frets) {
+    const searchInput = document.getElementById('searchInput');
+
+    if (frets.every(fret => fret < 0)) {
+      searchInput.value = '';
+      this.clearResults();
+    } else {
+      searchInput.value = ReverseLookup.formatFrets(frets);
+      this.searchByNotes(searchInput.value);
+    }
+
+    this.updateUrl(true);
+  },
+
   /**
    * Display chord diagram results
    */
@@ -284,13 +829,21 @@ const App = {
     resultsContainer.innerHTML = '';
 
     // Results header
-    const header = document.createElement('div');
-    header.className = 'results-header';
-    header.innerHTML = `
-      <h2>${chordName}</h2>
-      <span class="position-count">${chord.positions.length} position${chord.positions.length > 1 ? 's' : ''}</span>
-    `;
+    const tuningName = this.tuning !== Tunings.DATABASE_TUNING ? ` · ${Tunings.TUNINGS[this.tuning].name}` : '';
+    const header = this.createResultsHeader(
+      chordName,
+      `${chord.positions.length}${chord.generated ? ' generated' : ''} position${chord.positions.length > 1 ? 's' : ''}${tuningName}`,
+      chord.capo ? this.getCapoLabel(chord) : null
+    );
+    const printButton = document.createElement('button');
+    printButton.type = 'button';
+    printButton.className = 'progression-action-button results-print-button';
+    printButton.textContent = 'Print sheet';
+    printButton.addEventListener('click', () => this.openChordSheet(chordName));
+    header.appendChild(printButton);
     resultsContainer.appendChild(header);
+    resultsContainer.appendChild(this.createNeckPanel(chord, chordName));
+    resultsContainer.appendChild(this.createScalePanel([{ chordName, numeral: null, chord }]));
 
     // Chord grid
     const grid = document.createElement('div');
@@ -305,39 +858,504 @@ const App = {
   },
 
   /**
-   * Display note search results
+   * Create the header above search results: a heading, an optional capo shape
+   * label and a count line, all set as text
+   * @param {string} heading - Chord name or the notes searched for
+   * @param {string} count - Count line (e.g., "4 positions", "2 chords found")
+   * @param {string|null} capoLabel - "C shape · capo 3" label, if any
+   * @returns {HTMLElement}
    */
-  displayNoteSearchResults(result) {
-    const resultsContainer = document.getElementById('results');
-    resultsContainer.innerHTML = '';
-
-    // Results header
+  createResultsHeader(heading, count, capoLabel = null) {
     const header = document.createElement('div');
     header.className = 'results-header';
-    header.innerHTML = `
-      <h2>Notes: ${result.notes.join(' ')}</h2>
-      <span class="position-count">${result.chords.length} chord${result.chords.length > 1 ? 's' : ''} found</span>
-    `;
-    resultsContainer.appendChild(header);
 
-    // List of matching chords
-    const chordList = document.createElement('div');
-    chordList.className = 'chord-list';
-
-    result.chords.forEach(chordName => {
-      const chordButton = document.createElement('button');
-      chordButton.className = 'chord-button';
-      chordButton.textContent = chordName;
-      chordButton.addEventListener('click', () => {
-        document.getElementById('searchInput').value = chordName;
-        this.searchMode = 'chord';
-        this.updateModeUI();
-        this.searchByChordName(chordName);
+    const title = document.createElement('h2');
+    title.textContent = heading;
+    header.appendChild(title);
+
+    if (capoLabel) {
+      const label = document.createElement('span');
+      label.className = 'capo-shape-label';
+      label.textContent = capoLabel;
+      header.appendChild(label);
+    }
+
+    const countSpan = document.createElement('span');
+    countSpan.className = 'position-count';
+    countSpan.textContent = count;
+    header.appendChild(countSpan);
+
+    return header;
+  },
+
+  /**
+   * Create the collapsible full-neck view of a chord: all its tones up the neck,
+   * a box round each position (click one to pick out its voicing) and CAGED regions
+   * @param {Object} chord - Chord object from lookupPlayable
+   * @param {string} chordName - Sounding chord name
+   * @returns {HTMLElement}
+   */
+  createNeckPanel(chord, chordName) {
+    // A new chord starts from its first position
+    if (this.neckView.chordName !== chordName) {
+      this.neckView.chordName = chordName;
+      this.neckView.voicing = 0;
+    }
+
+    const panel = document.createElement('details');
+    panel.className = 'neck-panel';
+    panel.open = this.neckView.open;
+    panel.addEventListener('toggle', () => {
+      this.neckView.open = panel.open;
+    });
+
+    const summary = document.createElement('summary');
+    summary.className = 'neck-panel-toggle';
+    summary.textContent = 'Full neck';
+    panel.appendChild(summary);
+
+    const controls = document.createElement('div');
+    controls.className = 'neck-panel-controls';
+    const neck = document.createElement('div');
+    neck.className = 'neck-panel-scroll';
+
+    const tuning = this.getSoundingTuning();
+    const chordTones = NeckDiagram.getChordTones(chordName);
+
+    const addSelect = (label, options, value, onChange) => {
+      const field = document.createElement('label');
+      field.className = 'setting-select';
+      field.textContent = `${label}: `;
+      const select = document.createElement('select');
+      options.forEach(option => {
+        const item = document.createElement('option');
+        item.value = option.id;
+        item.textContent = option.name;
+        item.selected = option.id === value;
+        select.appendChild(item);
       });
-      chordList.appendChild(chordButton);
+      select.addEventListener('change', () => onChange(Number(select.value)));
+      field.appendChild(select);
+      controls.appendChild(field);
+      return select;
+    };
+
+    const voicingOptions = [{ id: -1, name: 'None' }, ...chord.positions.map((position, index) => ({
+      id: index,
+      name: `${index + 1} · ${position.baseFret === 1 ? 'Open' : `Fret ${position.baseFret}`}`
+    }))];
+    const voicingSelect = addSelect('Voicing', voicingOptions, this.neckView.voicing, (index) => {
+      this.neckView.voicing = index;
+      renderNeck();
+    });
+    addSelect('Neck', NeckDiagram.FRET_COUNTS, this.neckView.fretCount, (fretCount) => {
+      this.neckView.fretCount = fretCount;
+      renderNeck();
+    });
+
+    const cagedAvailable = NeckDiagram.hasCagedTuning(tuning);
+    const cagedField = document.createElement('label');
+    cagedField.className = 'neck-panel-caged';
+    const cagedToggle = document.createElement('input');
+    cagedToggle.type = 'checkbox';
+    cagedToggle.checked = this.neckView.caged && cagedAvailable;
+    cagedToggle.disabled = !cagedAvailable;
+    cagedToggle.addEventListener('change', () => {
+      this.neckView.caged = cagedToggle.checked;
+      renderNeck();
+    });
+    cagedField.appendChild(cagedToggle);
+    cagedField.appendChild(document.createTextNode(' CAGED shapes'));
+    if (!cagedAvailable) cagedField.title = 'CAGED shapes need standard guitar tuning';
+    controls.appendChild(cagedField);
+
+    const renderNeck = () => {
+      neck.innerHTML = '';
+      if (!chordTones) return;
+
+      const { fretCount, voicing } = this.neckView;
+      const labels = this.annotationMode === 'notes'
+        ? new Map(Array.from(chordTones.tones.keys()).map(pc => [pc, Spelling.spellNotes([pc], chordName)[0]]))
+        : null;
+      const regions = chord.positions.map((position, index) => {
+        const region = NeckDiagram.getPositionRegion(position);
+        return region && region.to <= fretCount
+          ? { ...region, label: String(index + 1), active: index === voicing, index }
+          : null;
+      }).filter(Boolean);
+
+      neck.appendChild(NeckDiagram.render({
+        tuning,
+        tones: chordTones.tones,
+        labels,
+        fretCount,
+        isLeftHanded: ChordDiagram.isLeftHanded(),
+        voicing: voicing >= 0 && chord.positions[voicing] ? VoicingGenerator.toAbsoluteFrets(chord.positions[voicing]) : null,
+        regions,
+        caged: this.neckView.caged && cagedAvailable ? NeckDiagram.getCagedRegions(chordTones.rootPc, tuning, fretCount) : [],
+        capoFret: chord.capo || 0,
+        chordName
+      }));
+    };
+
+    // Clicking a position's box picks out that voicing
+    neck.addEventListener('click', (e) => {
+      const target = e.target.closest('[data-position]');
+      if (!target) return;
+      this.neckView.voicing = Number(target.getAttribute('data-position'));
+      voicingSelect.value = String(this.neckView.voicing);
+      renderNeck();
     });
 
-    resultsContainer.appendChild(chordList);
+    renderNeck();
+    panel.appendChild(controls);
+    panel.appendChild(neck);
+    return panel;
+  },
+
+  /**
+   * Create the collapsible chord-scale panel: the scales that fit each chord, spelled
+   * with their avoid notes marked, and the chosen one's fingering on the neck
+   * @param {Array} entries - [{ chordName, numeral, chord }] (numeral null outside a progression,
+   *   chord null when there's no voicing to place the fingering by)
+   * @returns {HTMLElement}
+   */
+  createScalePanel(entries) {
+    const panel = document.createElement('details');
+    panel.className = 'scale-panel';
+    panel.open = this.scaleView.open;
+    panel.addEventListener('toggle', () => {
+      this.scaleView.open = panel.open;
+    });
+
+    const summary = document.createElement('summary');
+    summary.className = 'neck-panel-toggle';
+    summary.textContent = 'Chord scales';
+    panel.appendChild(summary);
+
+    const suggestions = new Map(entries.map(entry => [entry.chordName, ChordScales.suggest(entry.chordName, entry.numeral, entry.mode)]));
+    const playable = entries.filter(entry => suggestions.get(entry.chordName).length > 0);
+    if (playable.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'scale-panel-empty';
+      empty.textContent = 'No scale suggestions for these chords.';
+      panel.appendChild(empty);
+      return panel;
+    }
+
+    if (!playable.some(entry => entry.chordName === this.scaleView.active)) {
+      this.scaleView.active = playable[0].chordName;
+      this.scaleView.window = 0;
+    }
+
+    const list = document.createElement('div');
+    list.className = 'scale-list';
+    const controls = document.createElement('div');
+    controls.className = 'neck-panel-controls';
+    const neck = document.createElement('div');
+    neck.className = 'neck-panel-scroll';
+
+    const getSuggestion = (chordName) => {
+      const options = suggestions.get(chordName);
+      return options.find(option => option.scale.id === this.scaleView.choices[chordName]) || options[0];
+    };
+
+    // One row per chord: its scales to choose from, and the chosen one spelled out
+    const renderList = () => {
+      list.innerHTML = '';
+      playable.forEach(entry => {
+        const chosen = getSuggestion(entry.chordName);
+        const row = document.createElement('div');
+        row.className = `scale-entry${entry.chordName === this.scaleView.active ? ' active' : ''}`;
+
+        const name = document.createElement('div');
+        name.className = 'scale-entry-name';
+        name.textContent = entry.chordName;
+        if (entry.numeral) {
+          const numeral = document.createElement('span');
+          numeral.className = 'scale-entry-numeral';
+          numeral.textContent = entry.numeral;
+          name.appendChild(numeral);
+        }
+        row.appendChild(name);
+
+        const options = document.createElement('div');
+        options.className = 'scale-options';
+        suggestions.get(entry.chordName).forEach(option => {
+          const button = document.createElement('button');
+          button.type = 'button';
+          button.className = `scale-option${option.diatonic ? ' diatonic' : ''}`;
+          button.textContent = option.scale.name;
+          button.setAttribute('aria-pressed', String(option === chosen));
+          if (option.diatonic) button.title = `The ${entry.numeral}'s own mode in the key`;
+          button.addEventListener('click', () => {
+            this.scaleView.choices[entry.chordName] = option.scale.id;
+            if (this.scaleView.active !== entry.chordName) {
+              this.scaleView.active = entry.chordName;
+              this.scaleView.window = 0;
+            }
+            renderList();
+            renderNeck();
+          });
+          options.appendChild(button);
+        });
+        row.appendChild(options);
+
+        const notes = document.createElement('div');
+        notes.className = 'scale-notes';
+        chosen.notes.forEach((note, index) => {
+          const degree = chosen.degrees[index];
+          const avoid = chosen.avoid.includes(degree);
+          const item = document.createElement('span');
+          item.className = `scale-note${avoid ? ' avoid' : ''}`;
+          item.textContent = note;
+          const label = document.createElement('small');
+          label.textContent = degree;
+          item.appendChild(label);
+          if (avoid) item.title = 'Avoid note';
+          notes.appendChild(item);
+        });
+        row.appendChild(notes);
+
+        list.appendChild(row);
+      });
+    };
+
+    const tuning = this.getSoundingTuning();
+
+    // Fingering windows: round each voicing of the chord, else from each root on the lowest string
+    const getWindows = (entry, fretCount) => {
+      const starts = entry.chord
+        ? entry.chord.positions.map(position => NeckDiagram.getPositionRegion(position)).filter(Boolean).map(region => region.from)
+        : [];
+      if (starts.length === 0) {
+        const rootPc = ChordParser.splitRoot(ChordParser.parse(entry.chordName).root).pitchClass;
+        for (let fret = ((rootPc - tuning[0]) % 12 + 12) % 12; fret <= fretCount; fret += 12) {
+          starts.push(Math.max(0, fret - 1));
+        }
+      }
+      return [...new Set(starts)]
+        .filter(from => from + 4 <= fretCount)
+        .sort((a, b) => a - b)
+        .map(from => ({ id: from, name: `Frets ${from}–${from + 4}` }));
+    };
+
+    const windowField = document.createElement('label');
+    windowField.className = 'setting-select';
+    windowField.textContent = 'Fingering: ';
+    const windowSelect = document.createElement('select');
+    windowSelect.addEventListener('change', () => {
+      this.scaleView.window = Number(windowSelect.value);
+      renderNeck();
+    });
+    windowField.appendChild(windowSelect);
+    controls.appendChild(windowField);
+
+    const renderNeck = () => {
+      const entry = playable.find(candidate => candidate.chordName === this.scaleView.active);
+      const chosen = getSuggestion(entry.chordName);
+      const fretCount = this.neckView.fretCount;
+
+      const windows = getWindows(entry, fretCount);
+      if (!windows.some(option => option.id === this.scaleView.window)) {
+        this.scaleView.window = windows.length > 0 ? windows[0].id : 0;
+      }
+      windowSelect.innerHTML = '';
+      windows.forEach(option => {
+        const item = document.createElement('option');
+        item.value = option.id;
+        item.textContent = option.name;
+        item.selected = option.id === this.scaleView.window;
+        windowSelect.appendChild(item);
+      });
+      windowField.hidden = windows.length === 0;
+
+      // Chord tones keep their interval colours; the other scale notes are plain, avoid notes marked
+      const chordTones = NeckDiagram.getChordTones(entry.chordName).tones;
+      const tones = new Map();
+      const labels = new Map();
+      const toneClasses = new Map();
+      chosen.pitchClasses.forEach((pc, index) => {
+        const degree = chosen.degrees[index];
+        tones.set(pc, chordTones.get(pc) || degree);
+        labels.set(pc, this.annotationMode === 'notes' ? chosen.notes[index] : degree);
+        toneClasses.set(pc, chordTones.has(pc)
+          ? NeckDiagram.TONE_CLASSES[chordTones.get(pc)] || 'neck-tone-extension'
+          : chosen.avoid.includes(degree) ? 'neck-tone-avoid' : 'neck-tone-scale');
+      });
+
+      const from = this.scaleView.window;
+      neck.innerHTML = '';
+      neck.appendChild(NeckDiagram.render({
+        tuning,
+        tones,
+        labels,
+        toneClasses,
+        fretCount,
+        isLeftHanded: ChordDiagram.isLeftHanded(),
+        fingering: windows.length > 0 ? NeckDiagram.getFingering(chosen.pitchClasses, tuning, from, from + 4) : null,
+        regions: windows.length > 0 ? [{ from, to: from + 4, label: '', active: true, index: from }] : [],
+        capoFret: this.capo,
+        chordName: `${entry.chordName} ${chosen.scale.name}`
+      }));
+    };
+
+    renderList();
+    renderNeck();
+    panel.appendChild(list);
+    panel.appendChild(controls);
+    panel.appendChild(neck);
+    return panel;
+  },
+
+  /**
+   * Display note search results
+   */
+  displayNoteSearchResults(result) {
+    const resultsContainer = document.getElementById('results');
+    resultsContainer.innerHTML = '';
+
+    // Results header
+    const heading = result.frets
+      ? `Frets: ${ReverseLookup.formatFrets(result.frets)}`
+      : `Notes: ${result.notes.join(' ')}`;
+    const notes = result.frets ? `${result.notes.join(' ')} · ` : '';
+    const detail = result.bass ? `${notes}${result.bass} in the bass · ` : '';
+    const matchCount = result.chords.length > 0
+      ? `${result.chords.length} chord${result.chords.length > 1 ? 's' : ''} found`
+      : 'No exact match';
+    resultsContainer.appendChild(this.createResultsHeader(heading, `${detail}${matchCount}`));
+
+    // The entered voicing
+    if (result.frets) {
+      const voicingCard = this.createFretInputCard(result);
+      if (voicingCard) resultsContainer.appendChild(voicingCard);
+    }
+
+    // Exact matches, each named over the bass note with its inversion;
+    // slash names open the slash chord's own diagrams
+    if (result.chords.length > 0) {
+      const chordList = document.createElement('div');
+      chordList.className = 'chord-list';
+
+      result.voicings.forEach(({ name, inversion }) => {
+        const displayName = Spelling.spellChordName(name);
+        chordList.appendChild(this.createChordListButton(displayName, displayName, inversion));
+      });
+
+      resultsContainer.appendChild(chordList);
+    }
+
+    // Names from interval analysis that the database doesn't list
+    const listed = new Set(result.chords);
+    const names = (result.names || []).filter(entry => !listed.has(entry.name));
+    if (names.length > 0) {
+      const heading = document.createElement('h3');
+      heading.className = 'chord-list-heading';
+      heading.textContent = result.chords.length > 0 ? 'Also named' : 'Chord names';
+      resultsContainer.appendChild(heading);
+
+      const nameList = document.createElement('div');
+      nameList.className = 'chord-list chord-list-theory';
+
+      names.forEach(entry => {
+        const detail = [entry.description, `${entry.score}%`].filter(Boolean).join(' · ');
+        const displayName = Spelling.spellChordName(entry.name);
+        const button = this.createChordListButton(displayName, entry.chordName ? displayName : null, detail);
+        button.classList.add(`name-${entry.kind}`);
+        nameList.appendChild(button);
+      });
+
+      resultsContainer.appendChild(nameList);
+    }
+
+    // Close matches, best first, each saying how it differs
+    if (result.matches && result.matches.length > 0) {
+      const heading = document.createElement('h3');
+      heading.className = 'chord-list-heading';
+      heading.textContent = 'Close matches';
+      resultsContainer.appendChild(heading);
+
+      const matchList = document.createElement('div');
+      matchList.className = 'chord-list chord-list-partial';
+
+      result.matches.forEach(match => {
+        const displayName = Spelling.spellChordName(match.chordName);
+        const button = this.createChordListButton(displayName, displayName, `${match.label} · ${match.score}%`);
+        button.classList.add(`match-${match.type}`);
+        matchList.appendChild(button);
+      });
+
+      resultsContainer.appendChild(matchList);
+    }
+  },
+
+  /**
+   * Create a button in a reverse lookup result list that shows the chord's diagrams
+   * @param {string} name - Name to show (may be a slash chord)
+   * @param {string|null} chordName - Chord to look up (null for names with no diagrams, e.g. polychords)
+   * @param {string|null} detail - Second line (inversion or how close the match is)
+   * @returns {HTMLElement}
+   */
+  createChordListButton(name, chordName, detail = null) {
+    const chordButton = document.createElement('button');
+    chordButton.className = 'chord-button';
+    chordButton.textContent = name;
+    if (detail) {
+      const detailLabel = document.createElement('span');
+      detailLabel.className = 'chord-button-detail';
+      detailLabel.textContent = detail;
+      chordButton.appendChild(detailLabel);
+    }
+    if (!chordName) {
+      chordButton.disabled = true;
+      return chordButton;
+    }
+    chordButton.addEventListener('click', () => {
+      document.getElementById('searchInput').value = chordName;
+      this.searchMode = 'chord';
+      this.updateModeUI();
+      this.searchByChordName(chordName);
+      this.updateUrl();
+    });
+    return chordButton;
+  },
+
+  /**
+   * Create a diagram card for frets entered in the reverse lookup,
+   * labelled with the first chord name found (from the database, else from theory)
+   * @param {Object} result - Fret search result from ReverseLookup.search
+   * @returns {HTMLElement|null} - Card, or null if the frets don't fit a diagram
+   */
+  createFretInputCard(result) {
+    const position = VoicingGenerator.toPosition(result.frets, this.getSoundingTuning());
+    if (!position) return null;
+
+    const best = result.voicings[0] || (result.names || []).find(entry => entry.chordName);
+    const parsed = best ? ChordParser.parse(best.chordName, this.chordData) : null;
+    const name = best ? Spelling.spellChordName(best.name) : 'Your voicing';
+
+    const card = document.createElement('div');
+    card.className = 'chord-card fret-input-card';
+
+    const label = document.createElement('div');
+    label.className = 'chord-label';
+    label.textContent = best && best.inversion ? `${name} (${best.inversion})` : name;
+    card.appendChild(label);
+
+    // Interval labels need a chord to measure from
+    const { intervals, showFingerNumbers, noteNames } = this.getDiagramParams(
+      position, parsed ? { key: parsed.root, suffix: parsed.suffix } : null, best ? name : null
+    );
+    const diagram = ChordDiagram.render(position, name, ChordDiagram.isLeftHanded(), intervals, showFingerNumbers, this.capo);
+    card.appendChild(diagram);
+    if (this.showNotesRow) card.appendChild(ChordDiagram.renderNotesRow(noteNames));
+
+    const playButton = this.createPlayButton(position, name);
+    if (playButton) card.appendChild(playButton);
+    card.appendChild(this.createExportMenu(diagram, label.textContent, noteNames));
+
+    return card;
   },
 
   /**
@@ -357,13 +1375,18 @@ const App = {
     card.appendChild(label);
 
     // Render diagram with current annotation mode
-    const { intervals, showFingerNumbers } = this.getDiagramParams(position, chord);
-    const diagram = ChordDiagram.render(position, chordName, true, intervals, showFingerNumbers);
+    const { intervals, showFingerNumbers, noteNames } = this.getDiagramParams(position, chord, chordName);
+    const diagram = ChordDiagram.render(position, chordName, ChordDiagram.isLeftHanded(), intervals, showFingerNumbers, chord.capo || 0);
     card.appendChild(diagram);
+    if (this.showNotesRow) card.appendChild(ChordDiagram.renderNotesRow(noteNames));
+
+    const playButton = this.createPlayButton(position, chordName);
+    if (playButton) card.appendChild(playButton);
+    card.appendChild(this.createExportMenu(diagram, this.getModalTitle(chord, chordName), noteNames));
 
     // Click to open modal
     const openModal = () => {
-      Modal.open(chord, chordName, positionIndex);
+      this.openModal(chord, chordName, positionIndex);
     };
 
     card.addEventListener('click', openModal);
@@ -377,6 +1400,133 @@ const App = {
     return card;
   },
 
+  /**
+   * Open the modal for a chord, remembering its name for the URL
+   * @param {Object} chord - Chord object with positions
+   * @param {string} chordName - Chord name (e.g., "Cmaj7")
+   * @param {number} positionIndex - Position to show first
+   */
+  openModal(chord, chordName, positionIndex = 0) {
+    this.modalChordName = chordName;
+    Modal.open(chord, this.getModalTitle(chord, chordName), positionIndex);
+  },
+
+  /**
+   * Reopen the modal for a chord named in the URL, using the displayed
+   * progression's voicing of it when there is one
+   * @param {string} chordName - Chord name
+   * @param {number|null} positionIndex - Position index from the URL
+   */
+  openChordFromUrl(chordName, positionIndex) {
+    const voicing = this.progressionVoicings.find(slot => slot.chord && slot.chordName === chordName);
+    const inProgression = voicing && (this.searchMode === 'progressions' || this.searchMode === 'comping');
+    const chord = inProgression ? voicing.chord : this.lookupPlayable(chordName, name => ChordSearch.search(name));
+    if (!chord || !chord.positions || chord.positions.length === 0) return;
+
+    const fallback = inProgression ? voicing.positionIndex : 0;
+    this.openModal(chord, chordName, positionIndex !== null ? positionIndex : fallback);
+  },
+
+  /**
+   * Describe the current view for the URL
+   * @returns {Object} - State in the shape UrlState.format expects
+   */
+  getUrlState() {
+    const inProgressions = this.searchMode === 'progressions' || this.searchMode === 'comping';
+    const query = document.getElementById('searchInput').value.trim();
+
+    return {
+      tab: this.searchMode === 'chord' ? null : this.searchMode,
+      query: inProgressions ? null : query,
+      progression: inProgressions && this.selectedProgression ? this.selectedProgression.id : null,
+      key: inProgressions ? this.selectedKey : null,
+      mode: inProgressions && this.selectedMode !== Progressions.getMode(this.selectedProgression) ? this.selectedMode : null,
+      alterations: inProgressions && this.selectedProgression ? this.alterations : {},
+      pattern: this.searchMode === 'comping' ? this.compingPatternId : null,
+      chord: Modal.isOpen ? this.modalChordName : null,
+      position: Modal.isOpen ? Modal.currentPositionIndex : null
+    };
+  },
+
+  /**
+   * Keep the URL in step with the modal. Closing it goes back over the entry its
+   * opening added (so Back doesn't reopen the chord just closed), or replaces the
+   * entry when it was opened from a link.
+   * @param {boolean} replace - Whether the change refines the current view (position cycling)
+   */
+  onModalChange(replace) {
+    if (Modal.isOpen) {
+      const hash = window.location.hash;
+      this.updateUrl(replace);
+      if (!replace) {
+        this.modalPushedHistory = window.location.hash !== hash;
+      }
+      return;
+    }
+
+    const pushed = this.modalPushedHistory;
+    this.modalPushedHistory = false;
+    if (this.isRestoringUrl || !this.isInitialized) return;
+
+    if (pushed) {
+      history.back();
+    } else {
+      this.updateUrl(true);
+    }
+  },
+
+  /**
+   * Write the current view to the URL hash
+   * @param {boolean} replace - Replace the current history entry instead of adding one
+   */
+  updateUrl(replace = false) {
+    if (this.isRestoringUrl || !this.isInitialized) return;
+
+    const hash = UrlState.format(this.getUrlState());
+    if (hash === window.location.hash) return;
+
+    const url = hash || window.location.pathname + window.location.search;
+    if (replace) {
+      history.replaceState(null, '', url);
+    } else {
+      history.pushState(null, '', url);
+    }
+  },
+
+  /**
+   * Restore a view from URL state (on load and on back/forward)
+   * @param {Object} state - Parsed by UrlState.parse
+   */
+  applyUrlState(state) {
+    this.isRestoringUrl = true;
+
+    try {
+      Modal.close();
+
+      if (state.key && Progressions.KEYS.includes(state.key)) {
+        this.selectedKey = state.key;
+      }
+      this.selectedProgression = state.progression ? Progressions.getById(state.progression) : null;
+      this.selectedMode = Progressions.MODES[state.mode] ? state.mode : Progressions.getMode(this.selectedProgression);
+      this.populateKeySelect();
+      this.alterations = this.selectedProgression ? { ...state.alterations } : {};
+      if (state.pattern && Comping.getById(state.pattern)) {
+        this.compingPatternId = state.pattern;
+      }
+      document.getElementById('searchInput').value = state.query || '';
+
+      // Re-render even when the tab is unchanged
+      this.searchMode = null;
+      this.setSearchMode(state.tab || 'chord');
+
+      if (state.chord) {
+        this.openChordFromUrl(state.chord, state.position);
+      }
+    } finally {
+      this.isRestoringUrl = false;
+    }
+  },
+
   /**
    * Update mode UI elements
    */
@@ -384,12 +1534,14 @@ const App = {
     const tabChord = document.getElementById('tabChord');
     const tabNotes = document.getElementById('tabNotes');
     const tabProgressions = document.getElementById('tabProgressions');
+    const tabComping = document.getElementById('tabComping');
     const searchPanel = document.getElementById('searchPanel');
+    const fretboardPanel = document.getElementById('fretboardPanel');
     const progressionsPanel = document.getElementById('progressionsPanel');
     const searchInput = document.getElementById('searchInput');
 
     // Reset all tabs
-    [tabChord, tabNotes, tabProgressions].forEach(tab => {
+    [tabChord, tabNotes, tabProgressions, tabComping].forEach(tab => {
       tab.classList.remove('active');
       tab.setAttribute('aria-selected', 'false');
     });
@@ -398,187 +1550,1033 @@ const App = {
       tabChord.classList.add('active');
       tabChord.setAttribute('aria-selected', 'true');
       searchPanel.style.display = '';
+      fretboardPanel.style.display = 'none';
       progressionsPanel.style.display = 'none';
       searchInput.placeholder = 'Enter chord name (e.g., Cmaj7, Am, F#dim)';
     } else if (this.searchMode === 'notes') {
       tabNotes.classList.add('active');
       tabNotes.setAttribute('aria-selected', 'true');
       searchPanel.style.display = '';
+      fretboardPanel.style.display = '';
       progressionsPanel.style.display = 'none';
-      searchInput.placeholder = 'Enter notes (e.g., C E G B)';
+      searchInput.placeholder = 'Enter notes, lowest first (e.g., E G C) or frets (e.g., x32010)';
     } else if (this.searchMode === 'progressions') {
       tabProgressions.classList.add('active');
       tabProgressions.setAttribute('aria-selected', 'true');
       searchPanel.style.display = 'none';
+      fretboardPanel.style.display = 'none';
+      progressionsPanel.style.display = '';
+    } else if (this.searchMode === 'comping') {
+      tabComping.classList.add('active');
+      tabComping.setAttribute('aria-selected', 'true');
+      searchPanel.style.display = 'none';
+      fretboardPanel.style.display = 'none';
       progressionsPanel.style.display = '';
     }
   },
 
   /**
-   * Show no results message
+   * Show no results message
+   */
+  showNoResults(message) {
+    const resultsContainer = document.getElementById('results');
+    resultsContainer.innerHTML = '';
+
+    // The message can hold the search text, so it goes in as text, never markup
+    const container = document.createElement('div');
+    container.className = 'no-results';
+    const text = document.createElement('p');
+    text.textContent = message;
+    container.appendChild(text);
+    const hint = document.createElement('p');
+    hint.className = 'hint';
+    hint.textContent = 'Try a different spelling or check the chord name';
+    container.appendChild(hint);
+    resultsContainer.appendChild(container);
+  },
+
+  /**
+   * Show error message
+   */
+  showError(message) {
+    const resultsContainer = document.getElementById('results');
+    resultsContainer.innerHTML = '';
+
+    const container = document.createElement('div');
+    container.className = 'error-message';
+    const text = document.createElement('p');
+    text.textContent = message;
+    container.appendChild(text);
+    resultsContainer.appendChild(container);
+  },
+
+  /**
+   * Clear search results
+   */
+  clearResults() {
+    const resultsContainer = document.getElementById('results');
+    resultsContainer.innerHTML = `
+      <div class="welcome-message">
+        <p>Search for a chord to see fingering diagrams</p>
+        <p class="hint">All diagrams shown for left-handed players</p>
+      </div>
+    `;
+  },
+
+  /**
+   * Clear search input and results
+   */
+  clearSearch() {
+    document.getElementById('searchInput').value = '';
+    this.clearResults();
+    this.updateUrl();
+    document.getElementById('searchInput').focus();
+  },
+
+  /**
+   * Show a prompt to reload when a newer version has been downloaded
+   */
+  showUpdatePrompt() {
+    if (document.querySelector('.update-prompt')) return;
+
+    const prompt = document.createElement('div');
+    prompt.className = 'update-prompt';
+    prompt.setAttribute('role', 'status');
+
+    const message = document.createElement('span');
+    message.textContent = 'Update available';
+    prompt.appendChild(message);
+
+    const reloadButton = document.createElement('button');
+    reloadButton.className = 'update-prompt-reload';
+    reloadButton.textContent = 'Reload';
+    reloadButton.addEventListener('click', () => window.location.reload());
+    prompt.appendChild(reloadButton);
+
+    const dismissButton = document.createElement('button');
+    dismissButton.className = 'update-prompt-dismiss';
+    dismissButton.setAttribute('aria-label', 'Dismiss');
+    dismissButton.innerHTML = '&times;';
+    dismissButton.addEventListener('click', () => prompt.remove());
+    prompt.appendChild(dismissButton);
+
+    document.body.appendChild(prompt);
+  },
+
+  /**
+   * Hide loading indicator
+   */
+  hideLoading() {
+    const loading = document.getElementById('loading');
+    if (loading) {
+      loading.style.display = 'none';
+    }
+  },
+
+  /**
+   * Display the progression selector UI
+   */
+  displayProgressionSelector() {
+    const resultsContainer = document.getElementById('results');
+    resultsContainer.innerHTML = '';
+
+    // Get progressions by category
+    const categories = Progressions.getByCategory();
+
+    // Create categories container
+    const categoriesDiv = document.createElement('div');
+    categoriesDiv.className = 'progression-categories';
+
+    // Render each category
+    Object.entries(categories).forEach(([catId, category]) => {
+      if (category.progressions.length === 0) return;
+
+      const categoryDiv = document.createElement('div');
+      categoryDiv.className = 'progression-category';
+
+      const heading = document.createElement('h3');
+      heading.textContent = category.name;
+      categoryDiv.appendChild(heading);
+
+      const list = document.createElement('div');
+      list.className = 'progression-list';
+
+      category.progressions.forEach(prog => {
+        const button = document.createElement('button');
+        button.className = 'progression-button';
+        if (this.selectedProgression && this.selectedProgression.id === prog.id) {
+          button.classList.add('active');
+        }
+
+        // Name and description
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'prog-name';
+        nameSpan.textContent = prog.name;
+        button.appendChild(nameSpan);
+
+        if (prog.description) {
+          const descSpan = document.createElement('span');
+          descSpan.className = 'prog-description';
+          descSpan.textContent = prog.description;
+          button.appendChild(descSpan);
+        }
+
+        button.addEventListener('click', () => {
+          this.selectedProgression = prog;
+          this.alterations = {};
+          // Keep the tonic, in the mode the progression is written in
+          this.selectedMode = Progressions.getMode(prog);
+          this.populateKeySelect();
+          this.displayProgression(prog);
+          // Update active state on buttons
+          document.querySelectorAll('.progression-button').forEach(btn => {
+            btn.classList.remove('active');
+          });
+          button.classList.add('active');
+        });
+        list.appendChild(button);
+      });
+
+      categoryDiv.appendChild(list);
+      categoriesDiv.appendChild(categoryDiv);
+    });
+
+    resultsContainer.appendChild(categoriesDiv);
+
+    // New custom progression
+    const newButton = document.createElement('button');
+    newButton.className = 'progression-action-button progression-new-button';
+    newButton.textContent = '+ New progression';
+    newButton.addEventListener('click', () => this.showProgressionEditor(null));
+    resultsContainer.appendChild(newButton);
+
+    // Find the key of a pasted chord list
+    const analyzeButton = document.createElement('button');
+    analyzeButton.className = 'progression-action-button progression-new-button';
+    analyzeButton.textContent = 'Analyze chords';
+    analyzeButton.addEventListener('click', () => this.showChordAnalyzer());
+    resultsContainer.appendChild(analyzeButton);
+
+    // If a progression was previously selected, display it
+    if (this.selectedProgression) {
+      this.displayProgression(this.selectedProgression);
+    } else {
+      this.updateUrl();
+    }
+  },
+
+  /**
+   * Display a progression with resolved chords
+   */
+  displayProgression(progression) {
+    // The sequence being played is about to change
+    Transport.stop();
+
+    // Remove any existing progression display or editor
+    document.querySelectorAll('.progression-display, .progression-editor').forEach(element => element.remove());
+
+    const resultsContainer = document.getElementById('results');
+
+    // Create progression display
+    const display = document.createElement('div');
+    display.className = 'progression-display';
+
+    // Title
+    const title = document.createElement('h2');
+    title.textContent = `${progression.name} in ${this.getProgressionKey(progression).name}`;
+    display.appendChild(title);
+
+    this.renderProgressionActions(display, progression);
+    this.renderCapoSuggestion(display, progression);
+    this.progressionVoicings = this.selectProgressionVoicings(progression);
+    this.renderTransport(display, progression);
+
+    // Route to appropriate renderer
+    const { key, mode } = this.getProgressionKey(progression);
+    if (progression.displayMode === 'summary') {
+      const resolved = Progressions.resolveProgression(progression, key, mode);
+      this.renderBluesSummary(display, progression, resolved);
+    } else if (progression.displayMode === 'sections') {
+      this.renderSections(display, progression);
+    } else if (progression.displayMode === 'chart') {
+      this.renderChart(display, progression);
+    } else {
+      const resolved = Progressions.resolveProgression(progression, key, mode);
+      this.renderProgressionNormal(display, progression, resolved);
+    }
+
+    // Scales for each chord, with its numeral
+    const entries = [];
+    this.getProgressionChart(progression).flat().forEach(({ numeral, chordName }) => {
+      if (entries.some(entry => entry.chordName === chordName)) return;
+      const voicing = this.progressionVoicings.find(slot => slot.chord && slot.chordName === chordName);
+      const chord = voicing ? voicing.chord : this.lookupPlayable(chordName, name => Progressions.lookupChord(name, this.chordData));
+      entries.push({ chordName, numeral, mode, chord });
+    });
+    display.appendChild(this.createScalePanel(entries));
+
+    resultsContainer.appendChild(display);
+    this.updateUrl();
+  },
+
+  /**
+   * Render duplicate / edit / delete buttons for a progression
+   */
+  renderProgressionActions(container, progression) {
+    const actions = document.createElement('div');
+    actions.className = 'progression-actions';
+
+    const addAction = (label, handler) => {
+      const button = document.createElement('button');
+      button.className = 'progression-action-button';
+      button.textContent = label;
+      button.addEventListener('click', handler);
+      actions.appendChild(button);
+    };
+
+    addAction('Duplicate', () => {
+      const copy = Progressions.duplicate(progression.id);
+      if (!copy) return;
+      this.selectedProgression = copy;
+      this.alterations = {};
+      this.showProgressionEditor(copy);
+    });
+
+    addAction('Print handout', () => this.openProgressionHandout(progression));
+
+    if (progression.custom) {
+      addAction('Edit', () => this.showProgressionEditor(progression));
+      addAction('Delete', () => {
+        if (!window.confirm(`Delete "${progression.name}"?`)) return;
+        Progressions.deleteCustom(progression.id);
+        this.selectedProgression = null;
+        this.alterations = {};
+        this.displayProgressionSelector();
+      });
+    }
+
+    container.appendChild(actions);
+  },
+
+  /**
+   * Show the progression editor, for a new progression (null) or an existing custom one
+   */
+  showProgressionEditor(progression) {
+    Transport.stop();
+    document.querySelectorAll('.progression-display, .progression-editor').forEach(element => element.remove());
+
+    const editor = document.createElement('form');
+    editor.className = 'progression-editor';
+    editor.noValidate = true;
+
+    const heading = document.createElement('h2');
+    heading.textContent = progression ? `Edit ${progression.name}` : 'New Progression';
+    editor.appendChild(heading);
+
+    const addField = (labelText, control) => {
+      const label = document.createElement('label');
+      label.className = 'progression-editor-field';
+      const span = document.createElement('span');
+      span.textContent = labelText;
+      label.appendChild(span);
+      label.appendChild(control);
+      editor.appendChild(label);
+      return control;
+    };
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = progression ? progression.name : '';
+    nameInput.placeholder = 'e.g., Autumn Leaves A section';
+    addField('Name', nameInput);
+
+    const categorySelect = document.createElement('select');
+    Object.entries(Progressions.CATEGORIES).forEach(([id, name]) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = name;
+      categorySelect.appendChild(option);
+    });
+    categorySelect.value = progression && progression.category ? progression.category : 'custom';
+    addField('Category', categorySelect);
+
+    const modeSelect = document.createElement('select');
+    Object.values(Progressions.MODES).forEach(mode => {
+      const option = document.createElement('option');
+      option.value = mode.id;
+      option.textContent = mode.name.charAt(0).toUpperCase() + mode.name.slice(1);
+      modeSelect.appendChild(option);
+    });
+    modeSelect.value = progression ? Progressions.getMode(progression) : this.selectedMode;
+    addField('Home mode', modeSelect);
+
+    const descriptionInput = document.createElement('input');
+    descriptionInput.type = 'text';
+    descriptionInput.value = progression && progression.description ? progression.description : '';
+    descriptionInput.placeholder = 'Optional: tunes, notes';
+    addField('Description', descriptionInput);
+
+    const chordsInput = document.createElement('textarea');
+    chordsInput.rows = 4;
+    chordsInput.spellcheck = false;
+    chordsInput.value = progression ? Progressions.formatText(progression) : '';
+    chordsInput.placeholder = 'iim7 V7 Imaj7';
+    addField('Chords', chordsInput);
+
+    const help = document.createElement('p');
+    help.className = 'progression-editor-help';
+    help.textContent = 'Roman numerals with qualities, separated by spaces (iim7 V7 Imaj7). ' +
+      'Use | between bars for a chart (Imaj7 | viim7b5 III7), and start lines with a label for sections (A: ... / Bridge: ...). ' +
+      'Numerals count up from the home mode\'s tonic, so a minor progression starts on i. ' +
+      'A bare lower-case numeral is minor (vi), and a secondary dominant (V7/ii) is saved as the chord it stands for (VI7).';
+    editor.appendChild(help);
+
+    const error = document.createElement('p');
+    error.className = 'progression-editor-error';
+    error.setAttribute('role', 'alert');
+    editor.appendChild(error);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'progression-actions';
+
+    const saveButton = document.createElement('button');
+    saveButton.type = 'submit';
+    saveButton.className = 'progression-action-button primary';
+    saveButton.textContent = 'Save';
+    buttons.appendChild(saveButton);
+
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'progression-action-button';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => this.displayProgressionSelector());
+    buttons.appendChild(cancelButton);
+
+    editor.appendChild(buttons);
+
+    editor.addEventListener('submit', (e) => {
+      e.preventDefault();
+
+      const name = nameInput.value.trim();
+      if (!name) {
+        error.textContent = 'Give the progression a name.';
+        nameInput.focus();
+        return;
+      }
+
+      const parsed = Progressions.parseText(chordsInput.value);
+      if (parsed.error) {
+        error.textContent = parsed.error;
+        chordsInput.focus();
+        return;
+      }
+
+      // A 12-bar summary (e.g., Minor Blues) edited as plain numerals stays a summary
+      const data = { ...parsed.data };
+      if (progression && progression.displayMode === 'summary' && data.numerals &&
+          data.numerals.length === progression.numerals.length) {
+        data.displayMode = 'summary';
+      }
+
+      const saved = Progressions.saveCustom({
+        id: progression ? progression.id : null,
+        name,
+        description: descriptionInput.value.trim(),
+        category: categorySelect.value,
+        mode: modeSelect.value,
+        ...data
+      });
+
+      this.selectedProgression = saved;
+      this.selectedMode = saved.mode;
+      this.populateKeySelect();
+      this.alterations = {};
+      this.displayProgressionSelector();
+    });
+
+    document.getElementById('results').appendChild(editor);
+    nameInput.focus();
+  },
+
+  /**
+   * Show the chord analyzer: paste chord names, see the likely keys and a Roman-numeral
+   * analysis in each, and save the numerals as a custom progression
+   */
+  showChordAnalyzer() {
+    Transport.stop();
+    document.querySelectorAll('.progression-display, .progression-editor').forEach(element => element.remove());
+
+    const analyzer = document.createElement('form');
+    analyzer.className = 'progression-editor chord-analyzer';
+    analyzer.noValidate = true;
+
+    const heading = document.createElement('h2');
+    heading.textContent = 'Analyze Chords';
+    analyzer.appendChild(heading);
+
+    const addField = (labelText, control, parent = analyzer) => {
+      const label = document.createElement('label');
+      label.className = 'progression-editor-field';
+      const span = document.createElement('span');
+      span.textContent = labelText;
+      label.appendChild(span);
+      label.appendChild(control);
+      parent.appendChild(label);
+      return control;
+    };
+
+    const chordsInput = document.createElement('textarea');
+    chordsInput.rows = 3;
+    chordsInput.spellcheck = false;
+    chordsInput.placeholder = 'Dm7 G7 Cmaj7 A7 Dm7';
+    addField('Chords', chordsInput);
+
+    const help = document.createElement('p');
+    help.className = 'progression-editor-help';
+    help.textContent = 'Chord names separated by spaces (Dm7 G7 Cmaj7), with | between bars to keep them as a chart.';
+    analyzer.appendChild(help);
+
+    const error = document.createElement('p');
+    error.className = 'progression-editor-error';
+    error.setAttribute('role', 'alert');
+    analyzer.appendChild(error);
+
+    const results = document.createElement('div');
+    results.className = 'chord-analysis';
+    analyzer.appendChild(results);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'progression-actions';
+
+    const analyzeButton = document.createElement('button');
+    analyzeButton.type = 'submit';
+    analyzeButton.className = 'progression-action-button primary';
+    analyzeButton.textContent = 'Analyze';
+    buttons.appendChild(analyzeButton);
+
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'progression-action-button';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => this.displayProgressionSelector());
+    buttons.appendChild(cancelButton);
+
+    analyzer.appendChild(buttons);
+
+    // Show one key's analysis, with the option to save it
+    const renderAnalysis = (parsed, keys, selected) => {
+      results.innerHTML = '';
+      const analysis = keys[selected];
+
+      const keyList = document.createElement('div');
+      keyList.className = 'chord-analysis-keys';
+      keys.forEach((key, index) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'scale-option chord-analysis-key';
+        button.textContent = `${key.name} · ${Math.round(key.confidence * 100)}%`;
+        button.setAttribute('aria-pressed', String(index === selected));
+        button.addEventListener('click', () => renderAnalysis(parsed, keys, index));
+        keyList.appendChild(button);
+      });
+      results.appendChild(keyList);
+
+      const chart = document.createElement('div');
+      chart.className = 'chord-analysis-chart';
+      analysis.chords.forEach(chord => {
+        const cell = document.createElement('div');
+        cell.className = `chord-analysis-chord chord-analysis-${chord.function}`;
+        cell.title = KeyAnalysis.FUNCTIONS[chord.function].name;
+        const name = document.createElement('strong');
+        name.textContent = chord.chordName;
+        cell.appendChild(name);
+        const label = document.createElement('span');
+        label.textContent = chord.label;
+        cell.appendChild(label);
+        const func = document.createElement('small');
+        func.textContent = KeyAnalysis.FUNCTIONS[chord.function].name;
+        cell.appendChild(func);
+        chart.appendChild(cell);
+      });
+      results.appendChild(chart);
+
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.value = parsed.bars.flat().map(chord => chord.chordName).join(' ');
+      addField('Name', nameInput, results);
+
+      const saveButton = document.createElement('button');
+      saveButton.type = 'button';
+      saveButton.className = 'progression-action-button primary';
+      saveButton.textContent = 'Save as custom progression';
+      saveButton.addEventListener('click', () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+          error.textContent = 'Give the progression a name.';
+          nameInput.focus();
+          return;
+        }
+
+        const progressionText = KeyAnalysis.toProgressionText(parsed.bars, analysis, parsed.hasBarLines);
+        const progression = Progressions.parseText(progressionText);
+        if (progression.error) {
+          error.textContent = progression.error;
+          return;
+        }
+
+        const saved = Progressions.saveCustom({
+          name,
+          description: `${analysis.chords.map(chord => chord.chordName).join(' ')} in ${analysis.name}`,
+          category: 'custom',
+          mode: analysis.mode,
+          ...progression.data
+        });
+
+        // Open it in the key it was analysed in
+        this.selectedKey = analysis.key;
+        this.selectedMode = analysis.mode;
+        this.populateKeySelect();
+        this.selectedProgression = saved;
+        this.alterations = {};
+        this.displayProgressionSelector();
+      });
+      results.appendChild(saveButton);
+    };
+
+    analyzer.addEventListener('submit', (e) => {
+      e.preventDefault();
+      error.textContent = '';
+      results.innerHTML = '';
+
+      const parsed = KeyAnalysis.parseChords(chordsInput.value);
+      if (parsed.error) {
+        error.textContent = parsed.error;
+        chordsInput.focus();
+        return;
+      }
+
+      const keys = KeyAnalysis.detectKeys(parsed.bars.flat());
+      if (keys.length === 0) {
+        error.textContent = 'No key fits these chords.';
+        return;
+      }
+      renderAnalysis(parsed, keys, 0);
+    });
+
+    document.getElementById('results').appendChild(analyzer);
+    chordsInput.focus();
+  },
+
+  /**
+   * Get the bars of a progression in playing order, with alterations applied and numerals kept.
+   * Charts (and charted sections) keep their bars; otherwise each chord is a bar.
+   * @param {Object} progression - Progression definition
+   * @returns {Array} - Bars of { numeral, chordName } (e.g., [[{ numeral: "ii", chordName: "Dm7" }], ...])
    */
-  showNoResults(message) {
-    const resultsContainer = document.getElementById('results');
-    resultsContainer.innerHTML = `
-      <div class="no-results">
-        <p>${message}</p>
-        <p class="hint">Try a different spelling or check the chord name</p>
-      </div>
-    `;
+  getProgressionChart(progression) {
+    const { key, mode } = this.getProgressionKey(progression);
+    if (progression.displayMode === 'chart') {
+      const resolvedBars = Progressions.resolveChart(progression, key, mode);
+      return resolvedBars.map(bar => bar.map(chord => ({ numeral: chord.numeral, chordName: chord.chordName })));
+    }
+
+    if (progression.displayMode === 'sections') {
+      const sections = Progressions.resolveSections(progression, key, mode);
+      const bars = [];
+      Object.entries(sections).forEach(([sectionKey, section]) => {
+        section.resolved.forEach((chord, index) => {
+          const slotKey = `${sectionKey}-${index}`;
+          const quality = this.alterations[slotKey] !== undefined ? this.alterations[slotKey] : chord.quality;
+          const entry = { numeral: chord.numeral, chordName: chord.root + quality };
+          const sameBar = index > 0 && chord.bar !== undefined && chord.bar === section.resolved[index - 1].bar;
+          if (sameBar) {
+            bars[bars.length - 1].push(entry);
+          } else {
+            bars.push([entry]);
+          }
+        });
+      });
+      return bars;
+    }
+
+    const resolved = Progressions.resolveProgression(progression, key, mode);
+    if (progression.displayMode === 'summary') {
+      return resolved.map(chord => [{ numeral: chord.numeral, chordName: chord.chordName }]);
+    }
+
+    return resolved.map((chord, index) => {
+      const quality = this.alterations[index] !== undefined ? this.alterations[index] : chord.quality;
+      return [{ numeral: chord.numeral, chordName: chord.root + quality }];
+    });
   },
 
   /**
-   * Show error message
+   * Get the bars of a progression in playing order, with alterations applied
+   * @param {Object} progression - Progression definition
+   * @returns {Array} - Bars of chord names (e.g., [["Dm7"], ["G7"], ["Cmaj7", "A7"]])
    */
-  showError(message) {
-    const resultsContainer = document.getElementById('results');
-    resultsContainer.innerHTML = `
-      <div class="error-message">
-        <p>${message}</p>
-      </div>
-    `;
+  getProgressionBars(progression) {
+    return this.getProgressionChart(progression).map(bar => bar.map(chord => chord.chordName));
   },
 
   /**
-   * Clear search results
+   * Get the chords of a progression in playing order, with alterations applied
+   * @param {Object} progression - Progression definition
+   * @returns {Array} - Chord names in order (e.g., ["Dm7", "G7", "Cmaj7"])
    */
-  clearResults() {
-    const resultsContainer = document.getElementById('results');
-    resultsContainer.innerHTML = `
-      <div class="welcome-message">
-        <p>Search for a chord to see fingering diagrams</p>
-        <p class="hint">All diagrams shown for left-handed players</p>
-      </div>
-    `;
+  getProgressionSequence(progression) {
+    return this.getProgressionBars(progression).flat();
   },
 
   /**
-   * Clear search input and results
+   * Render the playback transport (play/stop, tempo, beats, loop, count-in, metronome)
+   * With a comping pattern the pattern sets the bar length, so there is no beats-per-chord control.
    */
-  clearSearch() {
-    document.getElementById('searchInput').value = '';
-    this.clearResults();
-    document.getElementById('searchInput').focus();
+  renderTransport(container, progression, pattern = null) {
+    if (!ChordPlayer.isSupported()) return;
+
+    const transport = document.createElement('div');
+    transport.className = 'transport';
+
+    const playButton = document.createElement('button');
+    playButton.type = 'button';
+    playButton.className = 'transport-play';
+    transport.appendChild(playButton);
+
+    const updatePlayButton = () => {
+      playButton.innerHTML = Transport.isPlaying ? '&#9632; Stop' : '&#9654; Play';
+      playButton.classList.toggle('playing', Transport.isPlaying);
+    };
+    updatePlayButton();
+
+    playButton.addEventListener('click', () => {
+      if (Transport.isPlaying) {
+        Transport.stop();
+      } else {
+        this.playProgression(progression, updatePlayButton, pattern);
+      }
+      updatePlayButton();
+    });
+
+    const addControl = (labelText, control) => {
+      const label = document.createElement('label');
+      label.className = 'transport-control';
+      if (control.type === 'checkbox') {
+        label.appendChild(control);
+        label.appendChild(document.createTextNode(` ${labelText}`));
+      } else {
+        label.appendChild(document.createTextNode(`${labelText} `));
+        label.appendChild(control);
+      }
+      transport.appendChild(label);
+    };
+
+    const bpmInput = document.createElement('input');
+    bpmInput.type = 'number';
+    bpmInput.min = Transport.MIN_BPM;
+    bpmInput.max = Transport.MAX_BPM;
+    bpmInput.value = Transport.settings.bpm;
+    bpmInput.addEventListener('change', () => {
+      Transport.setSettings({ bpm: bpmInput.value });
+      bpmInput.value = Transport.settings.bpm;
+    });
+    addControl('BPM', bpmInput);
+
+    if (!pattern) {
+      const beatsSelect = document.createElement('select');
+      [1, 2, 3, 4, 6, 8].forEach(beats => {
+        const option = document.createElement('option');
+        option.value = beats;
+        option.textContent = beats;
+        beatsSelect.appendChild(option);
+      });
+      beatsSelect.value = Transport.settings.beatsPerChord;
+      beatsSelect.addEventListener('change', () => Transport.setSettings({ beatsPerChord: parseInt(beatsSelect.value, 10) }));
+      addControl('Beats per chord', beatsSelect);
+    }
+
+    [['loop', 'Loop'], ['countIn', 'Count-in'], ['metronome', 'Metronome']].forEach(([setting, labelText]) => {
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = Transport.settings[setting];
+      checkbox.addEventListener('change', () => Transport.setSettings({ [setting]: checkbox.checked }));
+      addControl(labelText, checkbox);
+    });
+
+    container.appendChild(transport);
   },
 
   /**
-   * Hide loading indicator
+   * Play the displayed progression with its voice-led voicings, highlighting each card as it sounds
+   * @param {Object} progression - Progression definition
+   * @param {Function} onStop - Called when playback stops
+   * @param {Object} pattern - Optional comping pattern (from Comping.PATTERNS) to strum each bar with
    */
-  hideLoading() {
-    const loading = document.getElementById('loading');
-    if (loading) {
-      loading.style.display = 'none';
-    }
+  playProgression(progression, onStop, pattern = null) {
+    let slot = 0;
+    const steps = this.getProgressionBars(progression).flatMap((bar, barIndex) =>
+      bar.map((chordName, chordIndex) => {
+        const voicing = this.progressionVoicings[slot];
+        const share = 1 / bar.length;
+        const step = {
+          chordName,
+          slot: slot++,
+          position: voicing && voicing.chord ? voicing.chord.positions[voicing.positionIndex] : null,
+          share
+        };
+
+        if (pattern) {
+          step.beats = pattern.beatsPerBar * share;
+          step.hits = Comping.getHits(pattern, barIndex, chordIndex * share, share);
+        }
+
+        return step;
+      })
+    );
+
+    // Light the card of the voicing that sounds in this slot
+    const highlight = (slotIndex) => {
+      document.querySelectorAll('.progression-diagram-card').forEach(card => {
+        card.classList.toggle('playing', slotIndex !== null && card.dataset.slots.split(' ').includes(String(slotIndex)));
+      });
+    };
+
+    Transport.start(steps, {
+      onStep: (index, step) => highlight(step.slot),
+      onStop: () => {
+        highlight(null);
+        onStop();
+      }
+    }, pattern ? { beatsPerBar: pattern.beatsPerBar } : {});
   },
 
   /**
-   * Display the progression selector UI
+   * Display the Comping tab: pattern library, progression chooser and a practice player
    */
-  displayProgressionSelector() {
+  displayComping() {
+    Transport.stop();
+
     const resultsContainer = document.getElementById('results');
     resultsContainer.innerHTML = '';
 
-    // Get progressions by category
-    const categories = Progressions.getByCategory();
+    if (!this.selectedProgression) {
+      this.selectedProgression = Progressions.getById('ii-V-I');
+      this.alterations = {};
+    }
+    const progression = this.selectedProgression;
+    const pattern = Comping.getById(this.compingPatternId) || Comping.getAll()[0];
 
-    // Create categories container
-    const categoriesDiv = document.createElement('div');
-    categoriesDiv.className = 'progression-categories';
+    // Progression to comp over (shared with the Progressions tab)
+    const chooser = document.createElement('label');
+    chooser.className = 'setting-select comping-progression';
+    chooser.appendChild(document.createTextNode('Progression: '));
 
-    // Render each category
-    Object.entries(categories).forEach(([catId, category]) => {
+    const progressionSelect = document.createElement('select');
+    Object.values(Progressions.getByCategory()).forEach(category => {
       if (category.progressions.length === 0) return;
+      const group = document.createElement('optgroup');
+      group.label = category.name;
+      category.progressions.forEach(prog => {
+        const option = document.createElement('option');
+        option.value = prog.id;
+        option.textContent = prog.name;
+        group.appendChild(option);
+      });
+      progressionSelect.appendChild(group);
+    });
+    progressionSelect.value = progression.id;
+    progressionSelect.addEventListener('change', () => {
+      this.selectedProgression = Progressions.getById(progressionSelect.value);
+      this.alterations = {};
+      this.selectedMode = Progressions.getMode(this.selectedProgression);
+      this.populateKeySelect();
+      this.displayComping();
+    });
+    chooser.appendChild(progressionSelect);
+    resultsContainer.appendChild(chooser);
+
+    // Pattern library
+    const patternList = document.createElement('div');
+    patternList.className = 'comping-patterns';
+
+    Comping.getAll().forEach(item => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'comping-pattern';
+      if (item.id === pattern.id) {
+        button.classList.add('active');
+      }
 
-      const categoryDiv = document.createElement('div');
-      categoryDiv.className = 'progression-category';
+      const name = document.createElement('span');
+      name.className = 'comping-pattern-name';
+      name.textContent = item.name;
+      button.appendChild(name);
 
-      const heading = document.createElement('h3');
-      heading.textContent = category.name;
-      categoryDiv.appendChild(heading);
+      const meta = document.createElement('span');
+      meta.className = 'comping-pattern-meta';
+      meta.textContent = `${item.style} · ${item.beatsPerBar}/4${item.swing ? ' · swing' : ''}`;
+      button.appendChild(meta);
 
-      const list = document.createElement('div');
-      list.className = 'progression-list';
+      const description = document.createElement('span');
+      description.className = 'comping-pattern-description';
+      description.textContent = item.description;
+      button.appendChild(description);
 
-      category.progressions.forEach(prog => {
-        const button = document.createElement('button');
-        button.className = 'progression-button';
-        if (this.selectedProgression && this.selectedProgression.id === prog.id) {
-          button.classList.add('active');
-        }
+      button.appendChild(this.renderCompingGrid(item));
 
-        // Name and description
-        const nameSpan = document.createElement('span');
-        nameSpan.className = 'prog-name';
-        nameSpan.textContent = prog.name;
-        button.appendChild(nameSpan);
+      button.addEventListener('click', () => {
+        this.compingPatternId = item.id;
+        this.displayComping();
+      });
+      patternList.appendChild(button);
+    });
 
-        if (prog.description) {
-          const descSpan = document.createElement('span');
-          descSpan.className = 'prog-description';
-          descSpan.textContent = prog.description;
-          button.appendChild(descSpan);
-        }
+    resultsContainer.appendChild(patternList);
 
-        button.addEventListener('click', () => {
-          this.selectedProgression = prog;
-          this.alterations = {};
-          this.displayProgression(prog);
-          // Update active state on buttons
-          document.querySelectorAll('.progression-button').forEach(btn => {
-            btn.classList.remove('active');
-          });
-          button.classList.add('active');
-        });
-        list.appendChild(button);
+    // Practice player
+    const display = document.createElement('div');
+    display.className = 'progression-display comping-display';
+
+    const title = document.createElement('h2');
+    title.textContent = `${pattern.name}: ${progression.name} in ${this.getProgressionKey(progression).name}`;
+    display.appendChild(title);
+
+    this.progressionVoicings = this.selectProgressionVoicings(progression);
+    this.renderTransport(display, progression, pattern);
+    this.renderProgressionDiagrams(display);
+
+    resultsContainer.appendChild(display);
+    this.updateUrl();
+  },
+
+  /**
+   * Render a comping pattern as a rhythm grid: counts above, one cell per subdivision
+   * @param {Object} pattern - Pattern definition
+   * @returns {HTMLElement}
+   */
+  renderCompingGrid(pattern) {
+    const grid = document.createElement('div');
+    grid.className = 'comping-grid';
+    grid.setAttribute('aria-label', `Rhythm: ${pattern.grid}`);
+
+    const counts = Comping.getCounts(pattern);
+    const cellClasses = { 'X': 'accent', 'x': 'hit', '-': 'sustain', '.': 'rest' };
+
+    Comping.getBars(pattern).forEach(cells => {
+      const bar = document.createElement('div');
+      bar.className = 'comping-grid-bar';
+      bar.style.gridTemplateColumns = `repeat(${cells.length}, 1fr)`;
+
+      counts.forEach(count => {
+        const label = document.createElement('span');
+        label.className = 'comping-count';
+        label.textContent = count;
+        bar.appendChild(label);
       });
 
-      categoryDiv.appendChild(list);
-      categoriesDiv.appendChild(categoryDiv);
-    });
+      cells.forEach((symbol, index) => {
+        const cell = document.createElement('span');
+        cell.className = `comping-cell ${cellClasses[symbol] || 'rest'}`;
+        if (symbol === 'x' || symbol === 'X') {
+          cell.textContent = index % pattern.subdivision === 0 ? '\u2193' : '\u2191';
+        }
+        bar.appendChild(cell);
+      });
 
-    resultsContainer.appendChild(categoriesDiv);
+      grid.appendChild(bar);
+    });
 
-    // If a progression was previously selected, display it
-    if (this.selectedProgression) {
-      this.displayProgression(this.selectedProgression);
-    }
+    return grid;
   },
 
   /**
-   * Display a progression with resolved chords
+   * Choose voicings across the whole progression with smooth voice leading.
+   * Each slot keeps the voicing chosen for it, so a chord that recurs can be
+   * played in a different position the second time.
+   * @param {Object} progression - Progression definition
+   * @returns {Array} - Per slot, in playing order: { chordName, chord, positionIndex }
+   *   (chord is null when the chord has no diagram)
    */
-  displayProgression(progression) {
-    // Remove any existing progression display
-    const existing = document.querySelector('.progression-display');
-    if (existing) {
-      existing.remove();
-    }
+  selectProgressionVoicings(progression) {
+    const sequence = this.getProgressionSequence(progression);
+    const tuning = this.getSoundingTuning();
+
+    const chords = {};
+    sequence.forEach(chordName => {
+      if (!(chordName in chords)) {
+        const chord = this.lookupPlayable(chordName, name => Progressions.lookupChord(name, this.chordData));
+        chords[chordName] = VoiceLeading.addVoicings(chord, chordName, this.voicingOptions, tuning, this.chordData);
+      }
+    });
 
-    const resultsContainer = document.getElementById('results');
+    const indices = VoiceLeading.selectSequence(sequence.map(chordName => chords[chordName]), this.voicingOptions);
 
-    // Create progression display
-    const display = document.createElement('div');
-    display.className = 'progression-display';
+    return sequence.map((chordName, index) => ({
+      chordName,
+      chord: indices[index] !== null ? chords[chordName] : null,
+      positionIndex: indices[index] !== null ? indices[index] : 0
+    }));
+  },
 
-    // Title
-    const title = document.createElement('h2');
-    title.textContent = `${progression.name} in ${this.selectedKey}`;
-    display.appendChild(title);
+  /**
+   * Group the displayed progression's slots by the voicing they use, in order of
+   * first appearance (a chord that recurs in another position gets its own group)
+   * @returns {Array} - [{ voicing, slots }] with voicing from progressionVoicings
+   */
+  getVoicingGroups() {
+    const groups = [];
+    this.progressionVoicings.forEach((voicing, slot) => {
+      const group = groups.find(({ voicing: other }) =>
+        other.chordName === voicing.chordName && other.chord === voicing.chord && other.positionIndex === voicing.positionIndex
+      );
+      if (group) {
+        group.slots.push(slot);
+      } else {
+        groups.push({ voicing, slots: [slot] });
+      }
+    });
+    return groups;
+  },
 
-    // Route to appropriate renderer
-    if (progression.displayMode === 'summary') {
-      const resolved = Progressions.resolveProgression(progression, this.selectedKey);
-      this.renderBluesSummary(display, progression, resolved);
-    } else if (progression.displayMode === 'sections') {
-      this.renderSections(display, progression);
-    } else if (progression.displayMode === 'chart') {
-      this.renderChart(display, progression);
-    } else {
-      const resolved = Progressions.resolveProgression(progression, this.selectedKey);
-      this.renderProgressionNormal(display, progression, resolved);
-    }
+  /**
+   * Render a diagram card for each voicing the displayed progression uses
+   */
+  renderProgressionDiagrams(container) {
+    const diagramsDiv = document.createElement('div');
+    diagramsDiv.className = 'progression-diagrams';
+    this.getVoicingGroups().forEach(({ voicing, slots }) => {
+      diagramsDiv.appendChild(this.createProgressionDiagramCard(voicing, slots));
+    });
+    container.appendChild(diagramsDiv);
+  },
 
-    resultsContainer.appendChild(display);
+  /**
+   * Suggest a capo when the progression's shapes are mostly barred or up the
+   * neck and another capo gives clearly easier, open-string shapes
+   */
+  renderCapoSuggestion(container, progression) {
+    const chordNames = [...new Set(this.getProgressionSequence(progression))];
+    const lookupShape = name => Tunings.adaptChord(Progressions.lookupChord(name, this.chordData), this.tuning);
+    const best = Capo.recommend(chordNames, lookupShape, this.capo, this.chordData);
+    if (!best) return;
+
+    const bar = document.createElement('div');
+    bar.className = 'capo-suggestion';
+
+    const shapes = best.shapes.filter(Boolean).map(shape => Spelling.spellChordName(shape)).join(' ');
+    const text = document.createElement('span');
+    text.textContent = best.capo === 0
+      ? `Easier without a capo: ${shapes}`
+      : `Capo ${best.capo} gives easier shapes: ${shapes}`;
+    bar.appendChild(text);
+
+    const button = document.createElement('button');
+    button.className = 'capo-suggestion-button';
+    button.textContent = best.capo === 0 ? 'Remove capo' : `Use capo ${best.capo}`;
+    button.addEventListener('click', () => this.setCapo(best.capo));
+    bar.appendChild(button);
+
+    container.appendChild(bar);
   },
 
   /**
@@ -631,30 +2629,15 @@ const App = {
     container.appendChild(chordsDiv);
 
     // Chord diagrams
-    const diagramsDiv = document.createElement('div');
-    diagramsDiv.className = 'progression-diagrams';
-
-    // Get unique chords accounting for alterations
-    const displayedChords = resolved.map((chord, index) => {
-      const quality = this.alterations[index] !== undefined ? this.alterations[index] : chord.quality;
-      return { ...chord, chordName: chord.root + quality };
-    });
-    const unique = Progressions.getUniqueChords(displayedChords);
-
-    unique.forEach(chord => {
-      const card = this.createProgressionDiagramCard(chord.chordName);
-      diagramsDiv.appendChild(card);
-    });
-
-    container.appendChild(diagramsDiv);
+    this.renderProgressionDiagrams(container);
   },
 
   /**
    * Render sections display mode (Rhythm Changes)
    */
   renderSections(container, progression) {
-    const sections = Progressions.resolveSections(progression, this.selectedKey);
-    const allUniqueChords = [];
+    const { key, mode } = this.getProgressionKey(progression);
+    const sections = Progressions.resolveSections(progression, key, mode);
 
     Object.entries(sections).forEach(([sectionKey, section]) => {
       const sectionDiv = document.createElement('div');
@@ -672,10 +2655,7 @@ const App = {
         span.textContent = chord.numeral;
         numeralsDiv.appendChild(span);
         if (index < section.resolved.length - 1) {
-          const sep = document.createElement('span');
-          sep.className = 'progression-chord-separator';
-          sep.textContent = ' - ';
-          numeralsDiv.appendChild(sep);
+          numeralsDiv.appendChild(this.createSectionSeparator(chord, section.resolved[index + 1]));
         }
       });
       sectionDiv.appendChild(numeralsDiv);
@@ -699,40 +2679,132 @@ const App = {
 
         chordsDiv.appendChild(span);
         if (index < section.resolved.length - 1) {
-          const sep = document.createElement('span');
-          sep.className = 'progression-chord-separator';
-          sep.textContent = ' - ';
-          chordsDiv.appendChild(sep);
+          chordsDiv.appendChild(this.createSectionSeparator(chord, section.resolved[index + 1]));
         }
-
-        // Collect for unique chords
-        allUniqueChords.push({ ...chord, chordName: displayName });
       });
       sectionDiv.appendChild(chordsDiv);
 
       container.appendChild(sectionDiv);
     });
 
-    // Combined unique chord diagrams
-    const unique = Progressions.getUniqueChords(allUniqueChords);
-    const diagramsDiv = document.createElement('div');
-    diagramsDiv.className = 'progression-diagrams';
-    unique.forEach(chord => {
-      const card = this.createProgressionDiagramCard(chord.chordName);
-      diagramsDiv.appendChild(card);
+    // Combined chord diagrams
+    this.renderProgressionDiagrams(container);
+  },
+
+  /**
+   * Describe how a printed sheet's diagrams are drawn (tuning, capo, labels, handedness)
+   * @returns {Array} - Detail strings for the sheet header
+   */
+  getPrintDetails() {
+    const details = [];
+    if (this.tuning !== Tunings.DATABASE_TUNING) details.push(Tunings.TUNINGS[this.tuning].name);
+    if (this.capo) details.push(`Capo ${this.capo}`);
+    details.push(`Labels: ${this.ANNOTATION_MODES[this.annotationMode]}`);
+    details.push(ChordDiagram.HANDEDNESS[ChordDiagram.handedness].description);
+    return details;
+  },
+
+  /**
+   * Build a print sheet card for one voicing, labelled as the app currently labels diagrams
+   * @param {Object} chord - Chord object from lookupPlayable
+   * @param {number} positionIndex - Position to draw
+   * @param {string} chordName - Chord name
+   * @param {Object} extra - { numeral, label } shown with the diagram
+   * @returns {Object} - Card for PrintSheet.render
+   */
+  createPrintCard(chord, positionIndex, chordName, { numeral = null, label = null } = {}) {
+    const position = chord.positions[positionIndex];
+    const { intervals, showFingerNumbers, noteNames } = this.getDiagramParams(position, chord, chordName);
+    return {
+      name: chordName,
+      numeral,
+      label: [label, this.getCapoLabel(chord)].filter(Boolean).join(' · '),
+      diagram: ChordDiagram.render(position, chordName, ChordDiagram.isLeftHanded(), intervals, showFingerNumbers, chord.capo || 0),
+      noteNames: this.showNotesRow ? noteNames : null
+    };
+  },
+
+  /**
+   * Open the print view for a set of chords: every position of a single chord,
+   * or the first position of each of several
+   * @param {string} chordsText - Chord names separated by spaces or commas
+   */
+  openChordSheet(chordsText) {
+    PrintSheet.open(text => {
+      const names = text.split(/[\s,]+/).filter(Boolean);
+      const found = names
+        .map(name => ({ name, chord: this.lookupPlayable(name, query => ChordSearch.search(query)) }))
+        .filter(({ chord }) => chord && chord.positions.length > 0)
+        .map(({ name, chord }) => ({
+          chord,
+          chordName: Spelling.spellChordName(chord.key + (chord.suffix === 'major' ? '' : chord.suffix), name)
+        }));
+
+      let cards;
+      if (found.length === 1) {
+        const { chord, chordName } = found[0];
+        cards = chord.positions.map((position, index) => this.createPrintCard(chord, index, chordName, {
+          label: position.baseFret === 1 ? 'Open' : `Fret ${position.baseFret}`
+        }));
+      } else {
+        cards = found.map(({ chord, chordName }) => this.createPrintCard(chord, 0, chordName));
+      }
+
+      return {
+        title: found.length === 1 ? found[0].chordName : 'Chord sheet',
+        details: this.getPrintDetails(),
+        bars: null,
+        cards
+      };
+    }, chordsText);
+  },
+
+  /**
+   * Open the print view for a progression: its chart with numerals, then a
+   * diagram of each chord in the voicing the progression view uses
+   * @param {Object} progression - Progression definition
+   */
+  openProgressionHandout(progression) {
+    PrintSheet.open(() => {
+      const bars = this.getProgressionChart(progression);
+      const slots = bars.flat();
+
+      const cards = this.getVoicingGroups().map(({ voicing, slots: [first] }) => {
+        const chordName = voicing.chordName;
+        const chord = voicing.chord || this.lookupPlayable(chordName, name => Progressions.lookupChord(name, this.chordData));
+        if (!chord || !chord.positions || chord.positions.length === 0) return null;
+        return this.createPrintCard(chord, voicing.chord ? voicing.positionIndex : 0, chordName, { numeral: slots[first].numeral });
+      }).filter(Boolean);
+
+      return {
+        title: progression.name,
+        details: [`Key of ${this.getProgressionKey(progression).name}`, ...this.getPrintDetails()],
+        bars,
+        cards
+      };
     });
-    container.appendChild(diagramsDiv);
+  },
+
+  /**
+   * Create the separator between two chords of a section: a barline where charted sections change bar
+   */
+  createSectionSeparator(chord, nextChord) {
+    const sep = document.createElement('span');
+    sep.className = 'progression-chord-separator';
+    sep.textContent = chord.bar !== undefined && chord.bar !== nextChord.bar ? ' | ' : ' - ';
+    return sep;
   },
 
   /**
    * Render chart display mode (Bird Blues)
    */
   renderChart(container, progression) {
-    const resolvedBars = Progressions.resolveChart(progression, this.selectedKey);
+    const { key, mode } = this.getProgressionKey(progression);
+    const resolvedBars = Progressions.resolveChart(progression, key, mode);
 
     // Chart heading
     const heading = document.createElement('h3');
-    heading.textContent = '12-Bar Structure';
+    heading.textContent = `${resolvedBars.length}-Bar Structure`;
     heading.style.textAlign = 'center';
     heading.style.marginBottom = 'var(--spacing-md)';
     container.appendChild(heading);
@@ -741,13 +2813,13 @@ const App = {
     const gridDiv = document.createElement('div');
     gridDiv.className = 'chart-grid';
 
-    for (let row = 0; row < 3; row++) {
+    for (let row = 0; row < Math.ceil(resolvedBars.length / 4); row++) {
       const rowDiv = document.createElement('div');
       rowDiv.className = 'chart-grid-row';
 
       for (let col = 0; col < 4; col++) {
         const barIndex = row * 4 + col;
-        const bar = resolvedBars[barIndex];
+        const bar = resolvedBars[barIndex] || [];
         const cell = document.createElement('div');
         cell.className = 'chart-grid-cell';
         cell.textContent = bar.map(c => c.chordName).join('  ');
@@ -759,15 +2831,8 @@ const App = {
 
     container.appendChild(gridDiv);
 
-    // Unique chord diagrams
-    const unique = Progressions.getUniqueChordsFromChart(resolvedBars);
-    const diagramsDiv = document.createElement('div');
-    diagramsDiv.className = 'progression-diagrams';
-    unique.forEach(chord => {
-      const card = this.createProgressionDiagramCard(chord.chordName);
-      diagramsDiv.appendChild(card);
-    });
-    container.appendChild(diagramsDiv);
+    // Chord diagrams
+    this.renderProgressionDiagrams(container);
   },
 
   /**
@@ -786,15 +2851,11 @@ const App = {
     gridDiv.className = 'blues-grid';
 
     // 12 bars in 3 rows of 4
-    const bars = progression.numerals;
-    const qualities = progression.qualities;
     for (let row = 0; row < 3; row++) {
       const rowDiv = document.createElement('div');
       rowDiv.className = 'blues-grid-row';
       for (let col = 0; col < 4; col++) {
-        const idx = row * 4 + col;
-        const numeral = bars[idx];
-        const quality = qualities[numeral] || '';
+        const { numeral, quality } = resolved[row * 4 + col];
         const cell = document.createElement('span');
         cell.className = 'blues-grid-cell';
         cell.textContent = `| ${numeral}${quality} |`;
@@ -805,19 +2866,8 @@ const App = {
     summaryDiv.appendChild(gridDiv);
     container.appendChild(summaryDiv);
 
-    // Get unique chords
-    const unique = Progressions.getUniqueChords(resolved);
-
-    // Chord diagrams (unique only)
-    const diagramsDiv = document.createElement('div');
-    diagramsDiv.className = 'progression-diagrams';
-
-    unique.forEach(chord => {
-      const card = this.createProgressionDiagramCard(chord.chordName);
-      diagramsDiv.appendChild(card);
-    });
-
-    container.appendChild(diagramsDiv);
+    // Chord diagrams
+    this.renderProgressionDiagrams(container);
   },
 
   /**
@@ -892,10 +2942,15 @@ const App = {
 
   /**
    * Create a small chord diagram card for progression display
+   * @param {Object} voicing - Slot voicing from progressionVoicings
+   * @param {Array} slots - Slots that play this voicing, for highlighting during playback
    */
-  createProgressionDiagramCard(chordName) {
+  createProgressionDiagramCard(voicing, slots = []) {
+    const chordName = voicing.chordName;
     const card = document.createElement('div');
     card.className = 'progression-diagram-card';
+    card.dataset.chordName = chordName;
+    card.dataset.slots = slots.join(' ');
     card.setAttribute('role', 'button');
     card.setAttribute('tabindex', '0');
 
@@ -905,18 +2960,32 @@ const App = {
     nameLabel.textContent = chordName;
     card.appendChild(nameLabel);
 
-    // Look up chord in database
-    const chord = Progressions.lookupChord(chordName, this.chordData);
+    // Voicing chosen for the slot, else the first position adapted to the current tuning and capo
+    const chord = voicing.chord || this.lookupPlayable(chordName, name => Progressions.lookupChord(name, this.chordData));
+    const positionIndex = voicing.chord ? voicing.positionIndex : 0;
 
     if (chord && chord.positions && chord.positions.length > 0) {
-      const position = chord.positions[0]; // First position
-      const { intervals, showFingerNumbers } = this.getDiagramParams(position, chord);
-      const diagram = ChordDiagram.render(position, chordName, true, intervals, showFingerNumbers);
+      const position = chord.positions[positionIndex];
+      const { intervals, showFingerNumbers, noteNames } = this.getDiagramParams(position, chord, chordName);
+      const diagram = ChordDiagram.render(position, chordName, ChordDiagram.isLeftHanded(), intervals, showFingerNumbers, chord.capo || 0);
       card.appendChild(diagram);
+      if (this.showNotesRow) card.appendChild(ChordDiagram.renderNotesRow(noteNames));
+
+      // Shape fingered behind the capo
+      if (chord.capo) {
+        const shapeLabel = document.createElement('div');
+        shapeLabel.className = 'capo-shape-label';
+        shapeLabel.textContent = this.getCapoLabel(chord);
+        card.appendChild(shapeLabel);
+      }
+
+      const playButton = this.createPlayButton(position, chordName);
+      if (playButton) card.appendChild(playButton);
+      card.appendChild(this.createExportMenu(diagram, this.getModalTitle(chord, chordName), noteNames));
 
       // Click to open modal
       const openModal = () => {
-        Modal.open(chord, chordName, 0);
+        this.openModal(chord, chordName, positionIndex);
       };
 
       card.addEventListener('click', openModal);
@@ -0,0 +1,154 @@
+/**
+ * Capo Module
+ * Maps sounding chords to the shapes fingered behind a capo,
+ * and suggests capo positions that give open-string-friendly shapes
+ */
+
+const Capo = {
+  // Highest capo fret offered
+  MAX_FRET: 11,
+
+  // Highest capo fret considered when suggesting a capo for a progression
+  MAX_SUGGESTED_FRET: 7,
+
+  // Share of a progression's shapes that must be exceeded by awkward ones before a capo is suggested
+  MAX_AWKWARD_SHARE: 0.5,
+
+  // Points per chord a suggested capo must score above the current one
+  MIN_MARGIN_PER_CHORD: 1,
+
+  /**
+   * Get the shape to finger for a sounding chord with a capo
+   * @param {string} chordName - Sounding chord (e.g., "Eb")
+   * @param {number} capoFret - Capo fret (0 for none)
+   * @param {Object} chordData - Optional chord database
+   * @returns {string|null} - Shape chord name (e.g., "C" for Eb at capo 3) or null if unparseable
+   */
+  getShapeName(chordName, capoFret, chordData = null) {
+    const parsed = ChordParser.parse(chordName, chordData);
+    if (!parsed) return null;
+    if (!capoFret) return ChordParser.getDisplayName(parsed);
+
+    return ChordParser.getDisplayName(ChordParser.transpose(parsed, -capoFret, chordData));
+  },
+
+  /**
+   * Turn a shape chord into the sounding chord played behind a capo.
+   * Frets stay as fingered (relative to the capo); MIDI and key become the sounding ones.
+   * @param {Object} shapeChord - Chord object for the shape (from search or lookup)
+   * @param {number} capoFret - Capo fret (0 for none)
+   * @param {Object} sounding - Structured sounding chord from ChordParser.parse (e.g., Eb)
+   * @returns {Object} - Chord object with capo, shapeKey/shapeSuffix and sounding key, suffix and MIDI
+   */
+  applyCapo(shapeChord, capoFret, sounding) {
+    if (!shapeChord || !capoFret) return shapeChord;
+
+    return {
+      ...shapeChord,
+      key: sounding.root,
+      suffix: sounding.suffix,
+      shapeKey: shapeChord.key,
+      shapeSuffix: shapeChord.suffix,
+      capo: capoFret,
+      positions: shapeChord.positions.map(position => ({
+        ...position,
+        midi: position.midi ? position.midi.map(note => note + capoFret) : position.midi
+      }))
+    };
+  },
+
+  /**
+   * Score how open-string-friendly a chord shape is
+   * Based on its best first-position voicing: open strings count for it, barres against it
+   * @param {Object} chord - Chord object with positions
+   * @returns {number} - Score (0 if the shape has no first-position voicing)
+   */
+  scoreShape(chord) {
+    if (!chord || !chord.positions) return 0;
+
+    let best = 0;
+    chord.positions.forEach(position => {
+      if ((position.baseFret || 1) !== 1) return;
+
+      const openStrings = position.frets.filter(fret => fret === 0).length;
+      const barrePenalty = position.barres && position.barres.length > 0 ? 2 : 0;
+      best = Math.max(best, 2 + openStrings - barrePenalty);
+    });
+
+    return best;
+  },
+
+  /**
+   * Check whether a chord shape is awkward to play: it has no first-position
+   * voicing that rings an open string without a barre
+   * @param {Object} chord - Chord object with positions
+   * @returns {boolean} - True if the shape is awkward
+   */
+  isAwkward(chord) {
+    if (!chord || !chord.positions) return true;
+
+    return !chord.positions.some(position =>
+      (position.baseFret || 1) === 1 &&
+      !(position.barres && position.barres.length > 0) &&
+      position.frets.includes(0)
+    );
+  },
+
+  /**
+   * Suggest capo frets for a set of sounding chords, best first
+   * @param {Array} chordNames - Sounding chord names (e.g., ["Ebmaj7", "Cm7", "Fm7", "Bb7"])
+   * @param {Function} lookupChord - Resolves a chord name to a chord object with positions
+   * @param {Object} chordData - Optional chord database
+   * @returns {Array} - Array of { capo, score, awkward, shapes } sorted by score (ties favour lower capo),
+   *   where awkward counts the shapes isAwkward rejects
+   */
+  suggest(chordNames, lookupChord, chordData = null) {
+    const suggestions = [];
+
+    for (let capo = 0; capo <= this.MAX_SUGGESTED_FRET; capo++) {
+      suggestions.push(this._rateCapo(chordNames, capo, lookupChord, chordData));
+    }
+
+    return suggestions.sort((a, b) => b.score - a.score || a.capo - b.capo);
+  },
+
+  /**
+   * Score the shapes a set of sounding chords needs at one capo fret
+   * @returns {Object} - { capo, score, awkward, shapes }
+   */
+  _rateCapo(chordNames, capo, lookupChord, chordData) {
+    const shapes = chordNames.map(name => this.getShapeName(name, capo, chordData));
+    const chords = shapes.map(shape => (shape ? lookupChord(shape) : null));
+    const score = chords.reduce((total, chord) => total + this.scoreShape(chord), 0);
+    const awkward = chords.filter(chord => this.isAwkward(chord)).length;
+    return { capo, score, awkward, shapes };
+  },
+
+  /**
+   * Recommend a capo change for a progression, only when the current shapes are
+   * mostly awkward (barred or up the neck) and another capo is clearly easier
+   * @param {Array} chordNames - Sounding chord names
+   * @param {Function} lookupChord - Resolves a chord name to a chord object with positions
+   * @param {number} currentCapo - Capo fret in use (0 for none)
+   * @param {Object} chordData - Optional chord database
+   * @returns {Object|null} - { capo, score, awkward, shapes } to suggest, or null to leave the capo alone
+   */
+  recommend(chordNames, lookupChord, currentCapo, chordData = null) {
+    if (chordNames.length === 0) return null;
+
+    const best = this.suggest(chordNames, lookupChord, chordData)[0];
+    const current = this._rateCapo(chordNames, currentCapo, lookupChord, chordData);
+
+    if (best.capo === currentCapo) return null;
+    if (current.awkward <= chordNames.length * this.MAX_AWKWARD_SHARE) return null;
+    if (best.awkward >= current.awkward) return null;
+    if (best.score - current.score < chordNames.length * this.MIN_MARGIN_PER_CHORD) return null;
+
+    return best;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Capo;
+}
@@ -1,6 +1,7 @@
 /**
  * SVG Chord Diagram Renderer for Left-Handed Guitarists
- * Renders chord diagrams with low E string on the RIGHT side
+ * Renders chord diagrams with low E string on the RIGHT side, or mirrored
+ * (low E on the left) for right-handed players
  */
 
 const ChordDiagram = {
@@ -9,23 +10,76 @@ const ChordDiagram = {
     width: 200,
     height: 240,
     padding: { top: 50, right: 20, bottom: 20, left: 30 },
-    strings: 6,
     frets: 4,
     dotRadius: 12,
     fontSize: 11,
     nutHeight: 6
   },
 
+  // Diagram orientations
+  HANDEDNESS: {
+    left: { id: 'left', name: 'Left-handed', description: 'Left-handed diagrams (low string on the right)' },
+    right: { id: 'right', name: 'Right-handed', description: 'Right-handed diagrams (low string on the left)' }
+  },
+
+  // localStorage key for the handedness preference
+  STORAGE_KEY: 'guitarChords.handedness',
+
+  // Current handedness (ID from HANDEDNESS)
+  handedness: 'left',
+
+  /**
+   * Load the saved handedness from localStorage
+   */
+  load() {
+    this.handedness = LocalSettings.getChoice(this.STORAGE_KEY, this.HANDEDNESS, 'handedness') || this.handedness;
+  },
+
+  /**
+   * Change and save the handedness
+   * @param {string} handedness - ID from HANDEDNESS
+   */
+  setHandedness(handedness) {
+    if (!this.HANDEDNESS[handedness]) return;
+    this.handedness = handedness;
+    LocalSettings.set(this.STORAGE_KEY, handedness, 'handedness');
+  },
+
+  /**
+   * Match the layout to an instrument (frets shown; the string count comes from each position)
+   * @param {Object} instrument - Instrument from Instruments.INSTRUMENTS
+   */
+  setInstrument(instrument) {
+    this.config.frets = instrument.fretSpan;
+  },
+
+  /**
+   * Check whether diagrams are drawn left-handed
+   * @returns {boolean}
+   */
+  isLeftHanded() {
+    return this.handedness === 'left';
+  },
+
   /**
    * Create an SVG chord diagram
    * @param {Object} position - Chord position data from database
    * @param {string} chordName - Full chord name (e.g., "Cmaj7")
    * @param {boolean} isLeftHanded - Render for left-handed (default true)
-   * @param {Array} intervals - Optional array of interval labels for each string
+   * @param {Array} intervals - Optional array of interval (or note name) labels for each string
+   * @param {boolean} showFingerNumbers - Show finger numbers on dots without interval labels
+   * @param {number} capoFret - Capo fret the shape is played behind (0 for none)
    * @returns {SVGElement} - The rendered SVG element
    */
-  render(position, chordName = '', isLeftHanded = true, intervals = null, showFingerNumbers = true) {
-    const { width, height, padding, strings, frets, dotRadius, nutHeight } = this.config;
+  render(position, chordName = '', isLeftHanded = true, intervals = null, showFingerNumbers = true, capoFret = 0) {
+    const { width, height, frets, dotRadius, nutHeight } = this.config;
+    // One line per string in the position (the instrument's string count)
+    const strings = position.frets.length;
+    // Right-handed diagrams are the mirror image, so the position number changes sides too
+    const padding = isLeftHanded
+      ? this.config.padding
+      : { ...this.config.padding, left: this.config.padding.right, right: this.config.padding.left };
+    const numberX = isLeftHanded ? padding.left - 18 : width - padding.right + 18;
 
     // Calculate grid dimensions
     const gridWidth = width - padding.left - padding.right;
@@ -38,7 +92,7 @@ const ChordDiagram = {
     svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
     svg.setAttribute('class', 'chord-diagram');
     svg.setAttribute('role', 'img');
-    svg.setAttribute('aria-label', `Chord diagram for ${chordName}`);
+    svg.setAttribute('aria-label', `Chord diagram for ${chordName}${capoFret ? `, capo ${capoFret}` : ''}${isLeftHanded ? '' : ', right-handed'}`);
 
     // For left-handed: reverse the frets and fingers arrays
     const fretPositions = isLeftHanded ? [...position.frets].reverse() : position.frets;
@@ -49,7 +103,7 @@ const ChordDiagram = {
     const baseFret = position.baseFret || 1;
 
     // Draw components
-    this._drawNutOrPosition(svg, baseFret, padding, gridWidth, nutHeight);
+    this._drawNutOrPosition(svg, baseFret, padding, gridWidth, nutHeight, capoFret, numberX);
     this._drawFretGrid(svg, padding, gridWidth, gridHeight, strings, frets, stringSpacing, fretSpacing);
     this._drawBarres(svg, barres, fretPositions, baseFret, padding, stringSpacing, fretSpacing, dotRadius, isLeftHanded);
     this._drawFingerDots(svg, fretPositions, fingerPositions, baseFret, padding, stringSpacing, fretSpacing, dotRadius, intervalPositions, showFingerNumbers);
@@ -59,10 +113,30 @@ const ChordDiagram = {
   },
 
   /**
-   * Draw nut (thick line at top) or position number
+   * Draw nut (thick line at top), capo bar, or position number
+   * With a capo, frets are counted from the capo, which stands in for the nut
+   * numberX places the position or capo number (beside the high string when left-handed)
    */
-  _drawNutOrPosition(svg, baseFret, padding, gridWidth, nutHeight) {
-    if (baseFret === 1) {
+  _drawNutOrPosition(svg, baseFret, padding, gridWidth, nutHeight, capoFret = 0, numberX = padding.left - 18) {
+    if (baseFret === 1 && capoFret > 0) {
+      // Draw capo as a bar across all strings, with the capo fret beside it
+      const capoHeight = nutHeight * 2;
+      const capo = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      capo.setAttribute('x', padding.left - 6);
+      capo.setAttribute('y', padding.top - capoHeight);
+      capo.setAttribute('width', gridWidth + 12);
+      capo.setAttribute('height', capoHeight);
+      capo.setAttribute('rx', capoHeight / 2);
+      capo.setAttribute('class', 'chord-capo');
+      svg.appendChild(capo);
+
+      const capoText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      capoText.setAttribute('x', numberX);
+      capoText.setAttribute('y', padding.top - 1);
+      capoText.setAttribute('class', 'chord-capo-number');
+      capoText.textContent = capoFret;
+      svg.appendChild(capoText);
+    } else if (baseFret === 1) {
       // Draw nut
       const nut = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
       nut.setAttribute('x', padding.left);
@@ -74,11 +148,21 @@ const ChordDiagram = {
     } else {
       // Draw position number
       const posText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-      posText.setAttribute('x', padding.left - 18);
+      posText.setAttribute('x', numberX);
       posText.setAttribute('y', padding.top + 20);
       posText.setAttribute('class', 'chord-position-number');
       posText.textContent = baseFret;
       svg.appendChild(posText);
+
+      // The position is counted from the capo, so show its fret above the position number
+      if (capoFret > 0) {
+        const capoText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        capoText.setAttribute('x', numberX);
+        capoText.setAttribute('y', padding.top - 1);
+        capoText.setAttribute('class', 'chord-capo-number');
+        capoText.textContent = capoFret;
+        svg.appendChild(capoText);
+      }
     }
   },
 
@@ -241,6 +325,26 @@ const ChordDiagram = {
         svg.appendChild(line2);
       }
     });
+  },
+
+  /**
+   * Create the row listing a position's notes under its diagram, low string to high
+   * @param {Array} noteNames - Note name per string, low to high (null for muted)
+   * @returns {HTMLElement}
+   */
+  renderNotesRow(noteNames) {
+    const row = document.createElement('div');
+    row.className = 'chord-notes-row';
+    row.setAttribute('aria-label', 'Notes, low string to high');
+
+    noteNames.filter(Boolean).forEach(name => {
+      const note = document.createElement('span');
+      note.className = 'chord-notes-row-note';
+      note.textContent = name;
+      row.appendChild(note);
+    });
+
+    return row;
   }
 };
 
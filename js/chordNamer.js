@@ -0,0 +1,371 @@
+/**
+ * Chord Namer Module
+ * Names any set of pitch classes from interval analysis, independent of the
+ * chord database: every root is tried against a table of chord formulas
+ * (allowing the usual omissions), alongside rootless voicings, upper-structure
+ * triads over a seventh chord, and stacks of fourths. Names are ranked, and the
+ * lowest note, when known, turns inversions into slash chords.
+ */
+
+const ChordNamer = {
+  /**
+   * Chord formulas to match, as ChordParser suffixes, with a cost for how
+   * unusual the name is (lower names first when several fit)
+   */
+  FORMULAS: [
+    { suffix: '', cost: 0 }, { suffix: 'm', cost: 0 },
+    { suffix: '7', cost: 1 }, { suffix: 'maj7', cost: 1 }, { suffix: 'm7', cost: 1 },
+    { suffix: 'm7b5', cost: 2 }, { suffix: 'dim7', cost: 2 },
+    { suffix: '9', cost: 2 }, { suffix: 'maj9', cost: 2 }, { suffix: 'm9', cost: 2 },
+    { suffix: '5', cost: 2 }, { suffix: 'dim', cost: 3 }, { suffix: 'aug', cost: 3 },
+    { suffix: '6', cost: 3 }, { suffix: 'm6', cost: 3 },
+    { suffix: '13', cost: 3 }, { suffix: 'm11', cost: 3 },
+    { suffix: 'add9', cost: 3 }, { suffix: 'madd9', cost: 3 }, { suffix: '7sus4', cost: 3 },
+    { suffix: 'sus4', cost: 4 }, { suffix: 'sus2', cost: 5 },
+    { suffix: '69', cost: 4 }, { suffix: 'm69', cost: 4 }, { suffix: 'mmaj7', cost: 4 },
+    { suffix: '9sus4', cost: 4 }, { suffix: 'maj13', cost: 4 }, { suffix: 'm13', cost: 4 },
+    { suffix: '11', cost: 4 }, { suffix: '7#5', cost: 4 },
+    { suffix: '7b9', cost: 4 }, { suffix: '7#9', cost: 4 }, { suffix: '7#11', cost: 4 }, { suffix: 'maj7#11', cost: 4 },
+    { suffix: '7b5', cost: 5 }, { suffix: '7b13', cost: 5 }, { suffix: '9#11', cost: 5 }, { suffix: 'maj9#11', cost: 5 },
+    { suffix: '13#11', cost: 5 }, { suffix: 'mmaj9', cost: 5 }, { suffix: 'm9b5', cost: 5 }, { suffix: '13sus4', cost: 5 },
+    { suffix: 'add11', cost: 6 }, { suffix: 'maj7#5', cost: 6 }, { suffix: '13b9', cost: 6 }, { suffix: 'm7b9', cost: 6 },
+    { suffix: '7b9#11', cost: 6 }, { suffix: '7#9b13', cost: 6 }, { suffix: '7b9b13', cost: 6 }, { suffix: '7#9#11', cost: 6 },
+    { suffix: 'alt', cost: 6 },
+    { suffix: 'maj7b5', cost: 7 }, { suffix: 'maj7sus2', cost: 7 }, { suffix: '7b9#9', cost: 7 }
+  ],
+
+  // Seventh chords an upper-structure triad can sit over
+  LOWER_STRUCTURES: ['7', 'maj7', 'm7', 'm7b5'],
+
+  // Costs added for omitted tones, missing root, slash bass and other readings
+  COSTS: {
+    omitFifth: 1,
+    omitExtension: 3,   // 9 left out of an 11th or 13th chord
+    rootless: 25,
+    slash: 6,
+    slashTension: 3,    // Extra when the bass is not the root, 3rd, 5th or 7th
+    upperStructure: 12,
+    polychord: 4,       // Extra when the chord below isn't a dominant seventh
+    quartal: 10
+  },
+
+  // Inversion named by the chord degree in the bass
+  INVERSIONS: { '3': '1st inversion', '5': '2nd inversion', '7': '3rd inversion' },
+
+  // Most names returned
+  MAX_NAMES: 12,
+
+  // Formulas with their intervals, built on first use
+  templates: null,
+
+  /**
+   * Build the formula table from ChordParser, so every name produced parses back
+   * @returns {Array} - Array of { suffix, cost, tones: [{ label, semitone }] }
+   */
+  getTemplates() {
+    if (!this.templates) {
+      this.templates = this.FORMULAS.map(formula => {
+        const parsed = ChordParser.parse(`C${formula.suffix}`);
+        return {
+          ...formula,
+          tones: parsed.intervals.map(label => ({ label, semitone: ChordDegrees.INTERVAL_SEMITONES[label] % 12 }))
+        };
+      });
+    }
+    return this.templates;
+  },
+
+  /**
+   * Note name for a pitch class (flat notation)
+   * @param {number} pitchClass - 0-11
+   * @returns {string}
+   */
+  noteName(pitchClass) {
+    return ChordParser.PITCH_CLASS_TO_NOTE[((pitchClass % 12) + 12) % 12];
+  },
+
+  /**
+   * Chord or note name as displayed, spelled by the Spelling module when it's loaded
+   * (names used for lookups stay in flat notation)
+   * @param {string} name - Chord or note name in flat notation
+   * @returns {string}
+   */
+  displayName(name) {
+    return typeof Spelling !== 'undefined' ? Spelling.spellChordName(name) : name;
+  },
+
+  /**
+   * Name the inversion of a chord from its interval in the bass
+   * @param {string|null} bassInterval - Interval label of the bass note (null if not a chord tone)
+   * @param {string} bassNote - Bass note name
+   * @returns {string} - "root position", "1st inversion", ... or e.g. "9 in the bass"
+   */
+  describeInversion(bassInterval, bassNote) {
+    if (bassInterval === 'R') return 'root position';
+    if (!bassInterval) return `${bassNote} in the bass`;
+    return this.INVERSIONS[bassInterval.replace(/[^0-9]/g, '')] || `${bassInterval} in the bass`;
+  },
+
+  /**
+   * Match a pitch-class set against one formula on one root
+   * Every note must be a chord tone; of the chord tones only the 5th, the 9th
+   * of an 11th or 13th chord, and (for rootless voicings) the root may be missing.
+   * @param {Set} pitchClasses - Pitch classes to name
+   * @param {number} rootPc - Candidate root
+   * @param {Object} template - Entry from getTemplates()
+   * @returns {Object|null} - { omitted, rootless, cost } or null if it doesn't fit
+   */
+  _matchFormula(pitchClasses, rootPc, template) {
+    const chordPcs = new Set(template.tones.map(tone => (rootPc + tone.semitone) % 12));
+    for (const pc of pitchClasses) {
+      if (!chordPcs.has(pc)) return null;
+    }
+
+    const labels = template.tones.map(tone => tone.label);
+    const hasUpper = labels.includes('11') || labels.includes('13');
+    const omitted = [];
+    let cost = template.cost;
+    let rootless = false;
+
+    for (const tone of template.tones) {
+      if (pitchClasses.has((rootPc + tone.semitone) % 12)) continue;
+
+      if (tone.label === '5') {
+        cost += this.COSTS.omitFifth;
+      } else if (tone.label === '9' && hasUpper) {
+        cost += this.COSTS.omitExtension;
+      } else if (tone.label === 'R') {
+        rootless = true;
+        cost += this.COSTS.rootless;
+      } else {
+        return null;
+      }
+      omitted.push(tone.label);
+    }
+
+    // A rootless voicing still needs its guide tones (a third and a seventh or sixth)
+    // and a tension, as in the 3-7-9 and 3-7-9-13 voicings pianists and guitarists use
+    if (rootless) {
+      const present = template.tones.filter(tone => pitchClasses.has((rootPc + tone.semitone) % 12)).map(tone => tone.label);
+      const hasThird = present.includes('3') || present.includes('b3');
+      const hasSeventh = present.some(label => ['7', 'b7', 'bb7', '6'].includes(label));
+      const hasTension = present.some(label => /^[b#]?(9|11|13)$/.test(label));
+      if (!hasThird || !hasSeventh || !hasTension) return null;
+    }
+
+    return { omitted, rootless, cost };
+  },
+
+  /**
+   * Name chords formed by the formula table on every root
+   * @param {Set} pitchClasses - Pitch classes to name
+   * @param {number|null} bassPc - Lowest note, or null if unknown
+   * @returns {Array} - Candidate names
+   */
+  _nameByFormula(pitchClasses, bassPc) {
+    const names = [];
+
+    for (let rootPc = 0; rootPc < 12; rootPc++) {
+      this.getTemplates().forEach(template => {
+        const match = this._matchFormula(pitchClasses, rootPc, template);
+        if (!match) return;
+
+        const root = this.noteName(rootPc);
+        const chordName = root + template.suffix;
+        let name = chordName;
+        let cost = match.cost;
+        let inversion = null;
+
+        // Slash bass for inversions (a rootless voicing's lowest note is just its lowest voice)
+        if (bassPc !== null && !match.rootless) {
+          const bassTone = template.tones.find(tone => (rootPc + tone.semitone) % 12 === bassPc);
+          const bassInterval = bassTone ? bassTone.label : null;
+          inversion = this.describeInversion(bassInterval, this.displayName(this.noteName(bassPc)));
+          if (bassPc !== rootPc) {
+            name = `${chordName}/${this.noteName(bassPc)}`;
+            cost += this.COSTS.slash;
+            if (!['3', 'b3', '5', 'b5', '#5', '7', 'b7', 'bb7'].includes(bassInterval)) {
+              cost += this.COSTS.slashTension;
+            }
+          }
+        }
+
+        const notes = [];
+        if (match.rootless) notes.push('rootless');
+        const shown = match.omitted.filter(label => label !== 'R');
+        if (shown.length > 0) notes.push(`no ${shown.join(', ')}`);
+        if (inversion && inversion !== 'root position') notes.unshift(inversion);
+
+        names.push({
+          name,
+          chordName,
+          root,
+          suffix: template.suffix,
+          bass: bassPc !== null ? this.noteName(bassPc) : null,
+          kind: match.rootless ? 'rootless' : 'chord',
+          omitted: match.omitted,
+          inversion,
+          description: notes.join(', '),
+          cost
+        });
+      });
+    }
+
+    return names;
+  },
+
+  /**
+   * Name upper-structure triads and polychords: a major or minor triad over a seventh chord,
+   * written "D/C7", where the triad adds at least two notes to the chord below
+   * @param {Set} pitchClasses - Pitch classes to name (five or more)
+   * @param {number|null} bassPc - Lowest note (the lower chord's root), or null to try every note
+   * @returns {Array} - Candidate names
+   */
+  _nameUpperStructures(pitchClasses, bassPc) {
+    if (pitchClasses.size < 5) return [];
+
+    const names = [];
+    const lowerRoots = bassPc !== null ? [bassPc] : Array.from(pitchClasses);
+    const triads = this.getTemplates().filter(template => template.suffix === '' || template.suffix === 'm');
+    const lowers = this.getTemplates().filter(template => this.LOWER_STRUCTURES.includes(template.suffix));
+
+    lowerRoots.forEach(lowerRoot => {
+      lowers.forEach(lower => {
+        const lowerMatch = this._matchFormula(new Set(
+          Array.from(pitchClasses).filter(pc => lower.tones.some(tone => (lowerRoot + tone.semitone) % 12 === pc))
+        ), lowerRoot, lower);
+        if (!lowerMatch || lowerMatch.rootless) return;
+
+        const lowerPcs = new Set(lower.tones.map(tone => (lowerRoot + tone.semitone) % 12));
+        const upperNotes = Array.from(pitchClasses).filter(pc => !lowerPcs.has(pc));
+        if (upperNotes.length < 2) return;
+
+        for (let triadRoot = 0; triadRoot < 12; triadRoot++) {
+          if (triadRoot === lowerRoot) continue;
+          triads.forEach(triad => {
+            const triadPcs = triad.tones.map(tone => (triadRoot + tone.semitone) % 12);
+            if (!triadPcs.every(pc => pitchClasses.has(pc))) return;
+            if (!upperNotes.every(pc => triadPcs.includes(pc))) return;
+
+            const triadName = this.noteName(triadRoot) + triad.suffix;
+            const lowerName = this.noteName(lowerRoot) + lower.suffix;
+            names.push({
+              name: `${triadName}/${lowerName}`,
+              chordName: null,
+              root: this.noteName(lowerRoot),
+              suffix: null,
+              bass: bassPc !== null ? this.noteName(bassPc) : null,
+              kind: lower.suffix === '7' ? 'upper-structure' : 'polychord',
+              omitted: lowerMatch.omitted,
+              inversion: null,
+              description: `${this.displayName(triadName)} triad over ${this.displayName(lowerName)}`,
+              cost: this.COSTS.upperStructure + lowerMatch.cost + triad.cost +
+                (lower.suffix === '7' ? 0 : this.COSTS.polychord)
+            });
+          });
+        }
+      });
+    });
+
+    return names;
+  },
+
+  /**
+   * Name a stack of perfect fourths (three or more notes, e.g. E A D G)
+   * @param {Set} pitchClasses - Pitch classes to name
+   * @param {number|null} bassPc - Lowest note, or null if unknown
+   * @returns {Array} - Zero or one candidate
+   */
+  _nameQuartal(pitchClasses, bassPc) {
+    if (pitchClasses.size < 3) return [];
+
+    for (const start of pitchClasses) {
+      const stack = [];
+      for (let i = 0; i < pitchClasses.size; i++) {
+        stack.push((start + 5 * i) % 12);
+      }
+      if (!stack.every(pc => pitchClasses.has(pc))) continue;
+
+      const notes = stack.map(pc => this.noteName(pc));
+      return [{
+        name: `${notes[0]} quartal`,
+        chordName: null,
+        root: notes[0],
+        suffix: null,
+        bass: bassPc !== null ? this.noteName(bassPc) : null,
+        kind: 'quartal',
+        omitted: [],
+        inversion: null,
+        description: `stacked fourths: ${notes.map(note => this.displayName(note)).join(' ')}`,
+        cost: this.COSTS.quartal + (bassPc !== null && bassPc !== start ? this.COSTS.slash : 0)
+      }];
+    }
+
+    return [];
+  },
+
+  /**
+   * Name a pitch-class set, most plausible names first
+   * @param {Array} pitchClasses - Pitch classes (0-11)
+   * @param {number|null} bassPc - Pitch class of the lowest note, or null if unknown
+   * @returns {Array} - Array of { name, chordName, root, suffix, bass, kind, omitted, inversion, description, score }:
+   *   kind is "chord", "rootless", "upper-structure", "polychord" or "quartal";
+   *   chordName is the name without any slash bass (null for names ChordParser can't read);
+   *   score is 100 for a plain root-position chord, lower for less likely readings
+   */
+  identify(pitchClasses, bassPc = null) {
+    const set = new Set(pitchClasses.map(pc => ((pc % 12) + 12) % 12));
+    if (set.size === 0) return [];
+    const bass = bassPc !== null && set.has(bassPc) ? bassPc : null;
+
+    const candidates = [
+      ...this._nameByFormula(set, bass),
+      ...this._nameUpperStructures(set, bass),
+      ...this._nameQuartal(set, bass)
+    ];
+
+    const byName = new Map();
+    candidates.forEach(candidate => {
+      const existing = byName.get(candidate.name);
+      if (!existing || candidate.cost < existing.cost) {
+        byName.set(candidate.name, candidate);
+      }
+    });
+
+    return Array.from(byName.values())
+      .sort((a, b) => a.cost - b.cost || a.name.localeCompare(b.name))
+      .slice(0, this.MAX_NAMES)
+      .map(({ cost, ...name }) => ({ ...name, score: Math.max(0, 100 - cost * 2) }));
+  },
+
+  /**
+   * Get the pitch classes of a chord name, including slash basses and
+   * upper-structure names ("D/C7" is a D triad over C7)
+   * @param {string} chordName - Chord name
+   * @returns {Array|null} - Sorted pitch classes, or null if the name can't be read
+   */
+  getPitchClasses(chordName) {
+    if (!chordName || typeof chordName !== 'string') return null;
+
+    const parsed = ChordParser.parse(chordName);
+    if (parsed) return ChordParser.getPitchClasses(parsed);
+
+    // Polychord: a chord over a chord
+    const slash = chordName.indexOf('/');
+    if (slash > 0) {
+      const upper = ChordParser.parse(chordName.slice(0, slash));
+      const lower = ChordParser.parse(chordName.slice(slash + 1));
+      if (upper && lower) {
+        const union = new Set([...ChordParser.getPitchClasses(upper), ...ChordParser.getPitchClasses(lower)]);
+        return Array.from(union).sort((a, b) => a - b);
+      }
+    }
+
+    return null;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChordNamer;
+}
@@ -0,0 +1,514 @@
+/**
+ * Chord Symbol Parser Module
+ * Tokenizes chord symbols (e.g., "C7(b9,#11)", "Dm7/G", "F#ø", "A-9")
+ * into a structured chord object shared by search, autocomplete and progressions
+ */
+
+const ChordParser = {
+  // Note letter to pitch class (0-11)
+  LETTER_PITCH_CLASSES: { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 },
+
+  // Pitch class to note name (flat notation, jazz convention)
+  PITCH_CLASS_TO_NOTE: ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'],
+
+  // Accidental symbols and their semitone offsets
+  ACCIDENTALS: { '#': 1, '♯': 1, 'b': -1, '♭': -1 },
+
+  /**
+   * Quality tokens that may only appear directly after the root.
+   * Order matters: longer and more specific tokens first.
+   */
+  QUALITY_TOKENS: [
+    { pattern: /^(major|maj)/i, quality: 'major', majorSeventh: true },
+    { pattern: /^(Δ|∆)/, quality: 'major', majorSeventh: true, impliesSeventh: true },
+    { pattern: /^M(?=[0-9(]|$)/, quality: 'major', majorSeventh: true },
+    { pattern: /^(minor|min|mi)/i, quality: 'minor' },
+    { pattern: /^(m|-)/, quality: 'minor' },
+    { pattern: /^(diminished|dim|°|o(?!mit))/i, quality: 'dim' },
+    { pattern: /^(half-diminished|half-dim|ø|Ø)/i, quality: 'dim', halfDiminished: true, impliesSeventh: true },
+    { pattern: /^(augmented|aug|\+)/i, quality: 'aug' },
+    { pattern: /^(dominant|dom)/i, quality: 'major', impliesSeventh: true },
+    { pattern: /^power/i, quality: 'power' }
+  ],
+
+  /**
+   * Upper extension intervals implied by each chord number
+   */
+  EXTENSION_NUMBERS: {
+    '7': [],
+    '9': ['9'],
+    '11': ['9', '11'],
+    '13': ['9', '13']
+  },
+
+  // Interval that each alteration replaces (e.g., b9 replaces the natural 9)
+  ALTERATION_REPLACES: {
+    'b5': '5', '#5': '5',
+    'b9': '9', '#9': '9',
+    '#11': '11',
+    'b13': '13'
+  },
+
+  // Interval label produced by each add/omit degree
+  ADD_DEGREES: { '2': '9', '4': '11', '6': '6', '9': '9', '11': '11', '13': '13' },
+  OMIT_DEGREES: { '1': 'R', 'R': 'R', '3': '3', '5': '5' },
+
+  /**
+   * Split the root note off a chord symbol
+   * @param {string} input - Chord symbol (e.g., "Ebmaj7#11")
+   * @returns {Object|null} - { root: 'Eb', pitchClass: 3, length: 2 } or null
+   */
+  splitRoot(input) {
+    if (!input || typeof input !== 'string') return null;
+
+    const letter = input[0].toUpperCase();
+    if (this.LETTER_PITCH_CLASSES[letter] === undefined) return null;
+
+    let offset = 0;
+    let length = 1;
+    const accidental = input[1];
+    if (accidental !== undefined && this.ACCIDENTALS[accidental] !== undefined) {
+      offset = this.ACCIDENTALS[accidental];
+      length = 2;
+    }
+
+    const pitchClass = (this.LETTER_PITCH_CLASSES[letter] + offset + 12) % 12;
+    return {
+      root: this.PITCH_CLASS_TO_NOTE[pitchClass],
+      pitchClass,
+      length
+    };
+  },
+
+  /**
+   * Parse a chord symbol into a structured chord object
+   * @param {string} input - Chord symbol (e.g., "C7(b9,#11)", "Dm7/G", "Bb13sus")
+   * @param {Object} chordData - Optional chord database, used to resolve the database suffix
+   * @returns {Object|null} - Structured chord object or null if the symbol is invalid:
+   *   {
+   *     root: 'C',             // Flat-notation root
+   *     quality: 'major',      // 'major', 'minor', 'dim', 'aug' or 'power'
+   *     sus: null,             // null, '2', '4' or '24'
+   *     extensions: ['b7', '9'],
+   *     alterations: ['b9', '#11'],
+   *     added: [], omitted: [],
+   *     bass: null,            // Flat-notation slash bass or null
+   *     intervals: ['R', '3', '5', 'b7', 'b9', '#11'],
+   *     suffix: '7b9#11'       // Database suffix if available, else canonical suffix
+   *   }
+   */
+  parse(input, chordData = null) {
+    if (!input || typeof input !== 'string') return null;
+
+    const symbol = input.trim().replace(/\s+/g, '');
+    if (symbol.length === 0) return null;
+
+    const rootInfo = this.splitRoot(symbol);
+    if (!rootInfo) return null;
+
+    let body = symbol.slice(rootInfo.length);
+
+    // Slash bass: a trailing "/<note>" (but not "6/9")
+    let bass = null;
+    const slashMatch = body.match(/\/([A-Ga-g][#♯b♭]?)$/);
+    if (slashMatch) {
+      const bassInfo = this.splitRoot(slashMatch[1]);
+      if (bassInfo) {
+        bass = bassInfo.root;
+        body = body.slice(0, slashMatch.index);
+      }
+    }
+
+    const chord = this.tokenizeBody(body);
+    if (!chord) return null;
+
+    chord.root = rootInfo.root;
+    chord.bass = bass === chord.root ? null : bass;
+    chord.intervals = this.buildIntervals(chord);
+    chord.suffix = this.resolveSuffix(chord, chordData);
+
+    return chord;
+  },
+
+  /**
+   * Tokenize the part of a chord symbol after the root (and before any slash bass)
+   * @param {string} body - Suffix text (e.g., "m7(b5)", "13sus", "(maj7)")
+   * @returns {Object|null} - Partial chord object or null if unparseable
+   */
+  tokenizeBody(body) {
+    const chord = {
+      quality: 'major',
+      sus: null,
+      seventh: null,
+      extensions: [],
+      alterations: [],
+      added: [],
+      omitted: [],
+      isAltered: false
+    };
+
+    let rest = body;
+    let majorSeventh = false;
+    let halfDiminished = false;
+    let impliesSeventh = false;
+
+    // Power chord is a whole-body token
+    if (/^(5|power)$/i.test(rest)) {
+      chord.quality = 'power';
+      return chord;
+    }
+
+    // 1. Quality (only directly after the root)
+    for (const token of this.QUALITY_TOKENS) {
+      const match = rest.match(token.pattern);
+      if (match) {
+        chord.quality = token.quality;
+        if (token.majorSeventh) majorSeventh = true;
+        if (token.halfDiminished) halfDiminished = true;
+        if (token.impliesSeventh) impliesSeventh = true;
+        rest = rest.slice(match[0].length);
+        break;
+      }
+    }
+
+    // Minor-major: "mmaj7", "mM7", "m(maj7)", "-Δ7"
+    if (chord.quality === 'minor') {
+      const minMaj = rest.match(/^\(?(maj|M|Δ|∆)(?=[0-9]|\)|$)/);
+      if (minMaj) {
+        majorSeventh = true;
+        rest = rest.slice(minMaj[0].length);
+      }
+    }
+
+    // 2. Chord number (6, 69, 6/9, 7, 9, 11, 13)
+    let number = null;
+    const numberMatch = rest.match(/^(6\/9|69|13|11|9|7|6|2)(?![0-9])/);
+    if (numberMatch) {
+      number = numberMatch[1];
+      rest = rest.slice(numberMatch[0].length);
+    }
+
+    // A bare Δ, ø or "dom" implies a seventh
+    if (impliesSeventh && number === null) {
+      number = '7';
+    }
+
+    // 3. Modifiers: alterations, sus, add, omit, alt, aug, in any order
+    while (rest.length > 0) {
+      let match;
+
+      if ((match = rest.match(/^[(),\s]+/))) {
+        // Separators
+      } else if ((match = rest.match(/^alt(ered)?/i))) {
+        chord.isAltered = true;
+        if (number === null) number = '7';
+      } else if ((match = rest.match(/^sus(?:pended)?(2|4)?(sus(2|4))?/i))) {
+        const first = match[1] || '4';
+        const second = match[3];
+        chord.sus = second && second !== first ? '24' : first;
+      } else if ((match = rest.match(/^add(2|4|6|9|11|13)/i))) {
+        chord.added.push(this.ADD_DEGREES[match[1]]);
+      } else if ((match = rest.match(/^(omit|no)(1|R|3|5)/i))) {
+        chord.omitted.push(this.OMIT_DEGREES[match[2].toUpperCase()]);
+      } else if ((match = rest.match(/^(b|♭|-|#|♯|\+)(5|9|11|13)/))) {
+        const flat = /^(b|♭|-)$/.test(match[1]);
+        const alteration = (flat ? 'b' : '#') + match[2];
+        if (!this.isValidAlteration(alteration)) return null;
+        if (!chord.alterations.includes(alteration)) chord.alterations.push(alteration);
+      } else if ((match = rest.match(/^(aug|\+)/i))) {
+        if (chord.quality === 'major') {
+          chord.quality = 'aug';
+        } else if (!chord.alterations.includes('#5')) {
+          chord.alterations.push('#5');
+        }
+      } else if ((match = rest.match(/^(maj|M|Δ|∆)7/))) {
+        // "m(add)maj7" style trailing major seventh
+        majorSeventh = true;
+        number = number || '7';
+      } else {
+        return null;
+      }
+
+      rest = rest.slice(match[0].length);
+    }
+
+    // Resolve the chord number into seventh and extensions
+    if (number === '2') {
+      chord.added.push('9');
+    } else if (number === '6') {
+      chord.extensions.push('6');
+    } else if (number === '69' || number === '6/9') {
+      chord.extensions.push('6', '9');
+    } else if (number !== null) {
+      if (majorSeventh) {
+        chord.seventh = '7';
+      } else if (chord.quality === 'dim' && !halfDiminished && number === '7') {
+        chord.seventh = 'bb7';
+      } else {
+        chord.seventh = 'b7';
+      }
+      chord.extensions.push(chord.seventh, ...this.EXTENSION_NUMBERS[number]);
+    } else if (majorSeventh && chord.quality === 'minor') {
+      // "mmaj" with no number still means minor-major seventh
+      chord.seventh = '7';
+      chord.extensions.push('7');
+    }
+
+    // "alt" is shorthand for a dominant with altered fifth and ninths
+    if (chord.isAltered) {
+      ['b5', 'b9', '#9'].forEach(alteration => {
+        if (!chord.alterations.includes(alteration)) chord.alterations.push(alteration);
+      });
+    }
+
+    // Altered upper extensions replace their natural counterparts
+    chord.extensions = chord.extensions.filter(ext =>
+      !chord.alterations.some(alt => this.ALTERATION_REPLACES[alt] === ext)
+    );
+
+    return chord;
+  },
+
+  /**
+   * Check that an alteration is one the parser understands
+   * @param {string} alteration - e.g., "b9", "#11"
+   * @returns {boolean}
+   */
+  isValidAlteration(alteration) {
+    return this.ALTERATION_REPLACES[alteration] !== undefined;
+  },
+
+  /**
+   * Build the interval list (R, 3, 5, b7, ...) for a structured chord
+   * @param {Object} chord - Structured chord from tokenizeBody
+   * @returns {Array} - Interval labels in ascending order of function
+   */
+  buildIntervals(chord) {
+    if (chord.quality === 'power') {
+      return ['R', '5'];
+    }
+
+    const intervals = ['R'];
+
+    // Third (or suspension)
+    if (chord.sus === '2') {
+      intervals.push('2');
+    } else if (chord.sus === '4') {
+      intervals.push('4');
+    } else if (chord.sus === '24') {
+      intervals.push('2', '4');
+    } else {
+      intervals.push(chord.quality === 'minor' || chord.quality === 'dim' ? 'b3' : '3');
+    }
+
+    // Fifth (replaced by an altered fifth if present)
+    const alteredFifths = chord.alterations.filter(alt => alt === 'b5' || alt === '#5');
+    if (alteredFifths.length > 0) {
+      intervals.push(...alteredFifths);
+    } else if (chord.quality === 'dim') {
+      intervals.push('b5');
+    } else if (chord.quality === 'aug') {
+      intervals.push('#5');
+    } else {
+      intervals.push('5');
+    }
+
+    // Sixth, seventh and upper extensions
+    chord.extensions.forEach(ext => {
+      if (!intervals.includes(ext)) intervals.push(ext);
+    });
+
+    // Upper alterations
+    chord.alterations.forEach(alt => {
+      if (!intervals.includes(alt)) intervals.push(alt);
+    });
+
+    // Added tones
+    chord.added.forEach(add => {
+      if (!intervals.includes(add)) intervals.push(add);
+    });
+
+    // Omitted tones
+    return intervals.filter(interval => !chord.omitted.includes(interval));
+  },
+
+  /**
+   * Get the pitch classes (0-11) sounded by a structured chord, including any bass
+   * @param {Object} chord - Structured chord from parse()
+   * @returns {Array} - Sorted array of unique pitch classes
+   */
+  getPitchClasses(chord) {
+    const rootPc = this.splitRoot(chord.root).pitchClass;
+    const pitchClasses = new Set(this.intervalsToPitchClasses(chord.intervals, rootPc));
+
+    if (chord.bass) {
+      pitchClasses.add(this.splitRoot(chord.bass).pitchClass);
+    }
+
+    return Array.from(pitchClasses).sort((a, b) => a - b);
+  },
+
+  /**
+   * Convert interval labels to pitch classes relative to a root
+   * @param {Array} intervals - Interval labels (e.g., ['R', '3', '5'])
+   * @param {number} rootPc - Root pitch class (0-11)
+   * @returns {Array} - Pitch classes (unsorted, may contain duplicates)
+   */
+  intervalsToPitchClasses(intervals, rootPc = 0) {
+    return intervals
+      .map(interval => ChordDegrees.INTERVAL_SEMITONES[interval])
+      .filter(semitones => semitones !== undefined)
+      .map(semitones => (rootPc + semitones) % 12);
+  },
+
+  /**
+   * Get the set of semitones (mod 12) for a list of intervals, as a lookup key
+   * @param {Array} intervals - Interval labels
+   * @returns {string} - Sorted comma-separated semitone key
+   */
+  intervalKey(intervals) {
+    const set = new Set(this.intervalsToPitchClasses(intervals));
+    return Array.from(set).sort((a, b) => a - b).join(',');
+  },
+
+  /**
+   * Resolve the database suffix for a structured chord.
+   * Matches on sounding intervals, so "7#5" finds "aug7" and "m7(b5)" finds "m7b5".
+   * @param {Object} chord - Structured chord with root, bass and intervals
+   * @param {Object} chordData - Optional chord database
+   * @returns {string} - Database suffix, or a canonical suffix if none matches
+   */
+  resolveSuffix(chord, chordData) {
+    const canonical = this.buildSuffix(chord);
+    if (!chordData || !chordData.suffixes) return canonical;
+    if (chordData.suffixes.includes(canonical)) return canonical;
+
+    const key = this.intervalKey(chord.intervals);
+    const bassPc = chord.bass ? this.splitRoot(chord.bass).pitchClass : null;
+
+    for (const dbSuffix of chordData.suffixes) {
+      const slashIndex = dbSuffix.indexOf('/');
+      const base = slashIndex === -1 ? dbSuffix : dbSuffix.slice(0, slashIndex);
+      const dbBass = slashIndex === -1 ? null : dbSuffix.slice(slashIndex + 1);
+
+      // Bass must agree: both absent, or same pitch class
+      if ((bassPc === null) !== (dbBass === null)) continue;
+      if (dbBass !== null) {
+        const dbBassInfo = this.splitRoot(dbBass);
+        if (!dbBassInfo || dbBassInfo.pitchClass !== bassPc) continue;
+      }
+
+      const formula = ChordDegrees.CHORD_FORMULAS[base === '' ? 'major' : base === 'm' ? 'minor' : base];
+      if (formula && this.intervalKey(formula) === key) {
+        return dbSuffix;
+      }
+    }
+
+    return canonical;
+  },
+
+  /**
+   * Build a canonical suffix string for a structured chord
+   * @param {Object} chord - Structured chord
+   * @returns {string} - Suffix like "m7b5", "7b9#11", "13sus4", "m/E"
+   */
+  buildSuffix(chord) {
+    let suffix = '';
+
+    if (chord.quality === 'power') {
+      suffix = '5';
+    } else {
+      const seventh = chord.seventh;
+      const ext = chord.extensions;
+      const upper = ext.includes('13') ? '13' : ext.includes('11') ? '11' : ext.includes('9') ? '9' : null;
+      const alterations = chord.alterations.slice();
+
+      if (chord.quality === 'dim' && seventh === 'b7') {
+        suffix = 'm' + (upper || '7');
+        if (!alterations.includes('b5')) alterations.unshift('b5');
+      } else if (chord.quality === 'dim') {
+        suffix = seventh === 'bb7' ? 'dim7' : 'dim';
+      } else if (chord.quality === 'aug' && seventh === '7') {
+        suffix = 'maj' + (upper || '7');
+        alterations.unshift('#5');
+      } else if (chord.quality === 'aug') {
+        suffix = 'aug' + (seventh ? (upper || '7') : '');
+      } else {
+        const minor = chord.quality === 'minor' ? 'm' : '';
+        if (seventh === '7') {
+          suffix = minor + 'maj' + (upper || '7');
+        } else if (seventh) {
+          suffix = minor + (upper || '7');
+        } else if (ext.includes('6')) {
+          suffix = minor + (ext.includes('9') ? '69' : '6');
+        } else {
+          suffix = minor || 'major';
+        }
+      }
+
+      if (chord.isAltered && chord.quality === 'major' && seventh === 'b7') {
+        suffix = 'alt';
+      } else {
+        suffix += alterations.join('');
+      }
+
+      if (suffix === 'major' && (chord.sus || chord.added.length > 0 || chord.omitted.length > 0)) {
+        suffix = '';
+      }
+      if (chord.sus) {
+        suffix += chord.sus === '24' ? 'sus2sus4' : 'sus' + chord.sus;
+      }
+      chord.added.forEach(add => {
+        suffix += 'add' + add;
+      });
+      chord.omitted.forEach(omit => {
+        suffix += 'no' + omit;
+      });
+    }
+
+    if (chord.bass) {
+      suffix = (suffix === 'major' ? '' : suffix === 'minor' ? 'm' : suffix) + '/' + chord.bass;
+    }
+
+    return suffix;
+  },
+
+  /**
+   * Transpose a structured chord (root and slash bass) by a number of semitones
+   * @param {Object} chord - Structured chord from parse()
+   * @param {number} semitones - Semitones to move (negative for down)
+   * @param {Object} chordData - Optional chord database, used to re-resolve slash suffixes
+   * @returns {Object} - New structured chord
+   */
+  transpose(chord, semitones, chordData = null) {
+    const shift = note => {
+      const pitchClass = this.splitRoot(note).pitchClass;
+      return this.PITCH_CLASS_TO_NOTE[((pitchClass + semitones) % 12 + 12) % 12];
+    };
+
+    const transposed = {
+      ...chord,
+      root: shift(chord.root),
+      bass: chord.bass ? shift(chord.bass) : null
+    };
+
+    // Slash suffixes name the bass ("/E"), so they move with it
+    transposed.suffix = chord.bass ? this.resolveSuffix(transposed, chordData) : chord.suffix;
+    return transposed;
+  },
+
+  /**
+   * Get the display name for a structured chord (e.g., "Dm7/G")
+   * @param {Object} chord - Structured chord from parse()
+   * @returns {string}
+   */
+  getDisplayName(chord) {
+    const suffix = chord.suffix === 'major' ? '' : chord.suffix === 'minor' ? 'm' : chord.suffix;
+    return chord.root + suffix;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChordParser;
+}
@@ -0,0 +1,193 @@
+/**
+ * Chord Scales Module
+ * Suggests the scales and modes that fit a chord (Dorian over a ii, Mixolydian
+ * or altered over a V7, Lydian over a IVmaj7, Locrian ♮2 over a m7b5), with
+ * their notes spelled from the chord's root and the avoid notes marked
+ */
+
+const ChordScales = {
+  // Semitones above the root for each scale degree label
+  DEGREE_SEMITONES: {
+    '1': 0, 'b2': 1, '2': 2, 'b3': 3, '3': 4, '4': 5, '#4': 6,
+    'b5': 6, '5': 7, '#5': 8, 'b6': 8, '6': 9, 'bb7': 9, 'b7': 10, '7': 11
+  },
+
+  /**
+   * Scale definitions (degrees from the root). The altered, half-whole and whole-tone
+   * scales write their #9 as b3 and #5 as b6, so E altered is spelled
+   * E F G G# Bb C D rather than with F## and B#
+   */
+  SCALES: {
+    'ionian':                { id: 'ionian', name: 'Ionian (major)', degrees: ['1', '2', '3', '4', '5', '6', '7'] },
+    'dorian':                { id: 'dorian', name: 'Dorian', degrees: ['1', '2', 'b3', '4', '5', '6', 'b7'] },
+    'phrygian':              { id: 'phrygian', name: 'Phrygian', degrees: ['1', 'b2', 'b3', '4', '5', 'b6', 'b7'] },
+    'lydian':                { id: 'lydian', name: 'Lydian', degrees: ['1', '2', '3', '#4', '5', '6', '7'] },
+    'mixolydian':            { id: 'mixolydian', name: 'Mixolydian', degrees: ['1', '2', '3', '4', '5', '6', 'b7'] },
+    'aeolian':               { id: 'aeolian', name: 'Aeolian (natural minor)', degrees: ['1', '2', 'b3', '4', '5', 'b6', 'b7'] },
+    'locrian':               { id: 'locrian', name: 'Locrian', degrees: ['1', 'b2', 'b3', '4', 'b5', 'b6', 'b7'] },
+    'melodic-minor':         { id: 'melodic-minor', name: 'Melodic minor', degrees: ['1', '2', 'b3', '4', '5', '6', '7'] },
+    'harmonic-minor':        { id: 'harmonic-minor', name: 'Harmonic minor', degrees: ['1', '2', 'b3', '4', '5', 'b6', '7'] },
+    'lydian-augmented':      { id: 'lydian-augmented', name: 'Lydian augmented', degrees: ['1', '2', '3', '#4', '#5', '6', '7'] },
+    'lydian-dominant':       { id: 'lydian-dominant', name: 'Lydian dominant', degrees: ['1', '2', '3', '#4', '5', '6', 'b7'] },
+    'locrian-natural-2':     { id: 'locrian-natural-2', name: 'Locrian ♮2', degrees: ['1', '2', 'b3', '4', 'b5', 'b6', 'b7'] },
+    'altered':               { id: 'altered', name: 'Altered', degrees: ['1', 'b2', 'b3', '3', 'b5', 'b6', 'b7'] },
+    'phrygian-dominant':     { id: 'phrygian-dominant', name: 'Phrygian dominant', degrees: ['1', 'b2', '3', '4', '5', 'b6', 'b7'] },
+    'diminished-half-whole': { id: 'diminished-half-whole', name: 'Half-whole diminished', degrees: ['1', 'b2', 'b3', '3', '#4', '5', '6', 'b7'] },
+    'diminished-whole-half': { id: 'diminished-whole-half', name: 'Whole-half diminished', degrees: ['1', '2', 'b3', '4', 'b5', 'b6', 'bb7', '7'] },
+    'whole-tone':            { id: 'whole-tone', name: 'Whole tone', degrees: ['1', '2', '3', '#4', 'b6', 'b7'] }
+  },
+
+  // Scales to try for each chord family, most usual first
+  FAMILY_SCALES: {
+    major: ['ionian', 'lydian'],
+    dominant: ['mixolydian', 'altered', 'lydian-dominant', 'diminished-half-whole', 'phrygian-dominant', 'whole-tone'],
+    augmented: ['lydian-augmented', 'whole-tone'],
+    minor: ['dorian', 'aeolian', 'phrygian', 'melodic-minor'],
+    'minor-major': ['melodic-minor', 'harmonic-minor'],
+    'half-diminished': ['locrian-natural-2', 'locrian'],
+    diminished: ['diminished-whole-half', 'locrian', 'locrian-natural-2'],
+    suspended: ['mixolydian', 'ionian', 'dorian']
+  },
+
+  // The modes of the major scale, in degree order
+  MAJOR_MODES: ['ionian', 'dorian', 'phrygian', 'lydian', 'mixolydian', 'aeolian', 'locrian'],
+
+  // Semitones above the tonic of each major-scale degree
+  MAJOR_STEPS: [0, 2, 4, 5, 7, 9, 11],
+
+  /**
+   * Get a scale's steps from its degree labels
+   * @param {Object} scale - Scale from SCALES
+   * @returns {Array} - [{ label, degree (1-7), semitones }]
+   */
+  getSteps(scale) {
+    return scale.degrees.map(label => ({
+      label,
+      degree: parseInt(label.replace(/^[b#]+/, ''), 10),
+      semitones: this.DEGREE_SEMITONES[label]
+    }));
+  },
+
+  /**
+   * Sort a chord into the family that decides which scales are tried
+   * @param {Array} semitones - Chord tones as semitones above the root (0-11)
+   * @returns {string} - Key of FAMILY_SCALES
+   */
+  getFamily(semitones) {
+    const has = value => semitones.includes(value);
+    const third = has(4);
+    const minorThird = has(3) && !third;
+
+    if (third && has(10)) return 'dominant';
+    if (third && has(8) && !has(7)) return 'augmented';
+    if (third) return 'major';
+    if (minorThird && has(6) && !has(7) && has(10)) return 'half-diminished';
+    if (minorThird && has(6) && !has(7)) return 'diminished';
+    if (minorThird && has(11)) return 'minor-major';
+    if (minorThird) return 'minor';
+    return 'suspended';
+  },
+
+  /**
+   * Get the mode for a numeral's root in a key, if the root is diatonic to it
+   * (ii is Dorian in a major key, Locrian in a minor one)
+   * @param {string} numeral - Roman numeral (e.g., "ii", "IV", "bVII")
+   * @param {string} keyMode - Key of Progressions.MODES the numeral is counted in
+   * @returns {string|null} - Mode ID (e.g., "dorian"), or null for a chromatic root
+   */
+  getDiatonicMode(numeral, keyMode = 'major') {
+    const cleanNumeral = numeral.replace(/[0-9]/g, '');
+    const interval = Progressions.getInterval(cleanNumeral);
+    const degree = Progressions.getDegree(cleanNumeral);
+    if (interval === undefined || degree === undefined) return null;
+
+    // Rotate the major scale to start on the key's tonic
+    const offset = Progressions.MODES[keyMode].offset;
+    const index = (this.MAJOR_STEPS.indexOf(offset) + degree - 1) % 7;
+    const step = (this.MAJOR_STEPS[index] - offset + 12) % 12;
+    return step === interval ? this.MAJOR_MODES[index] : null;
+  },
+
+  /**
+   * Suggest scales for a chord
+   * @param {string} chordName - Chord name (e.g., "Dm7", "G7b9")
+   * @param {string|null} numeral - The chord's numeral in a key, to put its mode first
+   * @param {string} keyMode - Key of Progressions.MODES the numeral is counted in
+   * @returns {Array} - [{ scale, notes, degrees, avoid, pitchClasses, diatonic }], best first:
+   *   notes are spelled names, avoid the degree labels to avoid (e.g., ['4'])
+   */
+  suggest(chordName, numeral = null, keyMode = 'major') {
+    const parsed = ChordParser.parse(chordName);
+    if (!parsed) return [];
+
+    const chordSemitones = [...new Set(parsed.intervals
+      .map(label => ChordDegrees.INTERVAL_SEMITONES[label])
+      .filter(semitones => semitones !== undefined)
+      .map(semitones => semitones % 12))];
+    const family = this.getFamily(chordSemitones);
+    const diatonicMode = numeral ? this.getDiatonicMode(numeral, keyMode) : null;
+
+    let candidates = [...this.FAMILY_SCALES[family]];
+    if (diatonicMode) {
+      candidates = [diatonicMode, ...candidates.filter(id => id !== diatonicMode)];
+    }
+
+    let fitting = candidates.filter(id => this._fits(this.SCALES[id], chordSemitones, family));
+    if (fitting.length === 0) {
+      fitting = Object.keys(this.SCALES).filter(id => this._fits(this.SCALES[id], chordSemitones, family));
+    }
+
+    const rootPc = ChordParser.splitRoot(parsed.root).pitchClass;
+    return fitting.map(id => {
+      const scale = this.SCALES[id];
+      const steps = this.getSteps(scale);
+      return {
+        scale,
+        notes: Spelling.spellScale(chordName, steps),
+        degrees: scale.degrees,
+        avoid: this.getAvoidNotes(steps, chordSemitones, family),
+        pitchClasses: steps.map(step => (rootPc + step.semitones) % 12),
+        diatonic: id === diatonicMode
+      };
+    });
+  },
+
+  /**
+   * Check that a scale holds every chord tone (a dominant's plain fifth may be left out,
+   * as the altered scale does)
+   * @param {Object} scale - Scale from SCALES
+   * @param {Array} chordSemitones - Chord tones as semitones above the root
+   * @param {string} family - Chord family from getFamily
+   * @returns {boolean}
+   */
+  _fits(scale, chordSemitones, family) {
+    const scaleSemitones = scale.degrees.map(label => this.DEGREE_SEMITONES[label]);
+    return chordSemitones.every(semitones =>
+      scaleSemitones.includes(semitones) || (family === 'dominant' && semitones === 7)
+    );
+  },
+
+  /**
+   * Find a scale's avoid notes: tones outside the chord a half step above a chord tone
+   * (a dominant's b9 is a tension, not an avoid note)
+   * @param {Array} steps - Scale steps from getSteps
+   * @param {Array} chordSemitones - Chord tones as semitones above the root
+   * @param {string} family - Chord family from getFamily
+   * @returns {Array} - Degree labels (e.g., ['4'] for Ionian over maj7)
+   */
+  getAvoidNotes(steps, chordSemitones, family) {
+    const scaleSemitones = steps.map(step => step.semitones);
+    const sounding = chordSemitones.filter(semitones => scaleSemitones.includes(semitones));
+
+    return steps
+      .filter(step => !chordSemitones.includes(step.semitones))
+      .filter(step => sounding.includes((step.semitones + 11) % 12))
+      .filter(step => !(family === 'dominant' && step.label === 'b2'))
+      .map(step => step.label);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChordScales;
+}
@@ -0,0 +1,208 @@
+/**
+ * Comping Module
+ * Rhythm patterns for accompanying a progression, defined as data,
+ * and conversion of a pattern into timed strums for each chord
+ */
+
+const Comping = {
+  /**
+   * Counting syllables per subdivision of the beat
+   */
+  COUNTS: {
+    2: ['', '&'],
+    3: ['', 'trip', 'let'],
+    4: ['', 'e', '&', 'a']
+  },
+
+  /**
+   * Pattern definitions.
+   * grid: one character per subdivision, bars separated by "|" (spaces ignored):
+   *   X = accented strum, x = strum, - = let the previous strum ring, . = rest
+   * Strums on the beat are downstrokes, strums off the beat upstrokes.
+   * swing: off-beat eighths are played late (triplet feel).
+   */
+  PATTERNS: {
+    // ── Swing ─────────────────────────────────────────────
+    "four-to-the-bar": {
+      id: "four-to-the-bar",
+      name: "Four to the Bar",
+      style: "Swing",
+      description: 'Freddie Green rhythm guitar: short, even quarter notes. Count Basie band, medium swing.',
+      beatsPerBar: 4,
+      subdivision: 2,
+      swing: true,
+      grid: "x.X.x.X."
+    },
+    "charleston": {
+      id: "charleston",
+      name: "Charleston",
+      style: "Swing",
+      description: 'Beat 1 and the "and" of 2. The basic jazz comping figure.',
+      beatsPerBar: 4,
+      subdivision: 2,
+      swing: true,
+      grid: "X--x...."
+    },
+    "two-feel": {
+      id: "two-feel",
+      name: "Two Feel",
+      style: "Swing",
+      description: 'Long chords on beats 1 and 3. Ballads and the first chorus of a medium-tempo head.',
+      beatsPerBar: 4,
+      subdivision: 2,
+      swing: true,
+      grid: "X---x---"
+    },
+
+    // ── Latin ─────────────────────────────────────────────
+    "bossa-nova": {
+      id: "bossa-nova",
+      name: "Bossa Nova",
+      style: "Latin",
+      description: 'Two-bar pattern following the bossa clave. "The Girl from Ipanema," "Wave," "Desafinado."',
+      beatsPerBar: 4,
+      subdivision: 2,
+      swing: false,
+      grid: "X..x..x. | ..x..x.."
+    },
+
+    // ── Funk / Pop / Reggae ───────────────────────────────
+    "funk-sixteenths": {
+      id: "funk-sixteenths",
+      name: "Funk Sixteenths",
+      style: "Funk",
+      description: 'Syncopated sixteenth-note stabs. Keep the hand moving and mute between hits.',
+      beatsPerBar: 4,
+      subdivision: 4,
+      swing: false,
+      grid: "X..x..x...x.x..x"
+    },
+    "pop-strum": {
+      id: "pop-strum",
+      name: "Pop Strum",
+      style: "Pop",
+      description: 'Down, down-up, up-down-up. The campfire strum for countless pop and folk songs.',
+      beatsPerBar: 4,
+      subdivision: 2,
+      swing: false,
+      grid: "X.xx.xxx"
+    },
+    "reggae-skank": {
+      id: "reggae-skank",
+      name: "Reggae Skank",
+      style: "Reggae",
+      description: 'Short chops on beats 2 and 4 only.',
+      beatsPerBar: 4,
+      subdivision: 2,
+      swing: false,
+      grid: "..X...X."
+    },
+    "waltz": {
+      id: "waltz",
+      name: "Jazz Waltz",
+      style: "Swing",
+      description: 'Bass-chord-chord feel in 3/4. "Someday My Prince Will Come," "Alice in Wonderland."',
+      beatsPerBar: 3,
+      subdivision: 2,
+      swing: true,
+      grid: "X-x.x."
+    }
+  },
+
+  /**
+   * Get all patterns
+   * @returns {Array} - Pattern definitions
+   */
+  getAll() {
+    return Object.values(this.PATTERNS);
+  },
+
+  /**
+   * Get a pattern by ID
+   * @param {string} id - Pattern ID
+   * @returns {Object|null}
+   */
+  getById(id) {
+    return this.PATTERNS[id] || null;
+  },
+
+  /**
+   * Split a pattern's grid into bars of cells
+   * @param {Object} pattern - Pattern definition
+   * @returns {Array} - Bars, each an array of cell characters
+   */
+  getBars(pattern) {
+    return pattern.grid.split('|').map(bar => bar.replace(/\s+/g, '').split(''));
+  },
+
+  /**
+   * Get the counting label for each cell of a bar ("1", "&", "2", "&", ...)
+   * @param {Object} pattern - Pattern definition
+   * @returns {Array} - Labels
+   */
+  getCounts(pattern) {
+    const syllables = this.COUNTS[pattern.subdivision] || [''];
+    const counts = [];
+    for (let beat = 1; beat <= pattern.beatsPerBar; beat++) {
+      syllables.forEach(syllable => counts.push(syllable || String(beat)));
+    }
+    return counts;
+  },
+
+  /**
+   * Beat position of a cell within the bar, applying swing to off-beat eighths
+   * @param {Object} pattern - Pattern definition
+   * @param {number} cell - Cell index in the bar
+   * @returns {number} - Beats from the start of the bar
+   */
+  _cellBeat(pattern, cell) {
+    const beat = Math.floor(cell / pattern.subdivision);
+    const part = cell % pattern.subdivision;
+    if (pattern.swing && pattern.subdivision === 2 && part === 1) {
+      return beat + 2 / 3;
+    }
+    return beat + part / pattern.subdivision;
+  },
+
+  /**
+   * Get the strums for one chord of a progression bar
+   * @param {Object} pattern - Pattern definition
+   * @param {number} barIndex - Bar of the progression (patterns longer than a bar cycle through their bars)
+   * @param {number} start - Where the chord starts, as a fraction of the bar (0, or 0.5 for a bar's second chord)
+   * @param {number} share - Fraction of the bar the chord lasts
+   * @returns {Array} - Array of { offset, length, accent, upstroke } in beats from the chord's start
+   */
+  getHits(pattern, barIndex, start = 0, share = 1) {
+    const bars = this.getBars(pattern);
+    const cells = bars[barIndex % bars.length];
+    const first = Math.round(start * cells.length);
+    const last = Math.round((start + share) * cells.length);
+    const chordStart = this._cellBeat(pattern, first);
+    const chordEnd = last >= cells.length ? pattern.beatsPerBar : this._cellBeat(pattern, last);
+
+    const hits = [];
+    for (let cell = first; cell < last; cell++) {
+      const symbol = cells[cell];
+      if (symbol !== 'x' && symbol !== 'X') continue;
+
+      // A strum lasts its own cell plus any "-" after it
+      let end = cell + 1;
+      while (end < last && cells[end] === '-') end++;
+      const endBeat = end >= cells.length ? pattern.beatsPerBar : this._cellBeat(pattern, end);
+
+      hits.push({
+        offset: this._cellBeat(pattern, cell) - chordStart,
+        length: Math.min(endBeat, chordEnd) - this._cellBeat(pattern, cell),
+        accent: symbol === 'X',
+        upstroke: cell % pattern.subdivision !== 0
+      });
+    }
+
+    return hits;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Comping;
+}
@@ -161,18 +161,18 @@ const ChordDegrees = {
    */
   calculateIntervals(position, rootKey, suffix) {
     if (!position.midi || position.midi.length === 0) {
-      return new Array(6).fill(null);
+      return new Array(position.frets.length).fill(null);
     }
 
     const rootPitchClass = this.getRootPitchClass(rootKey);
-    const formula = this.CHORD_FORMULAS[suffix] || this.CHORD_FORMULAS["major"];
+    const formula = this.getFormula(suffix);
     const intervals = [];
 
     // Map MIDI notes to their string positions
     // The midi array doesn't include muted strings (-1 in frets)
     let midiIndex = 0;
 
-    for (let string = 0; string < 6; string++) {
+    for (let string = 0; string < position.frets.length; string++) {
       const fret = position.frets[string];
 
       if (fret === -1) {
@@ -201,6 +201,49 @@ const ChordDegrees = {
     return intervals;
   },
 
+  /**
+   * Calculate the sounding note name on each string of a chord position,
+   * spelled as tones of the chord (so E major reads E G# B, not E Ab B)
+   * @param {Object} position - Chord position with frets and midi arrays
+   * @param {string|null} chordName - Chord the notes belong to (e.g., "E", "F#m7"), or null
+   * @returns {Array} - Array of note names for each string (null for muted)
+   */
+  calculateNoteNames(position, chordName) {
+    const names = [];
+    let midiIndex = 0;
+
+    position.frets.forEach(fret => {
+      if (fret === -1 || !position.midi || position.midi[midiIndex] === undefined) {
+        names.push(null);
+        if (fret !== -1) midiIndex++;
+        return;
+      }
+      names.push(Spelling.spellNotes([position.midi[midiIndex] % 12], chordName)[0]);
+      midiIndex++;
+    });
+
+    return names;
+  },
+
+  /**
+   * Get the formula for a chord suffix
+   * Falls back to parsing the suffix for chords without a fixed formula (e.g., "7#11", "m7/G")
+   * @param {string} suffix - Chord suffix
+   * @returns {Array} - Chord formula array
+   */
+  getFormula(suffix) {
+    if (this.CHORD_FORMULAS[suffix]) {
+      return this.CHORD_FORMULAS[suffix];
+    }
+
+    if (typeof ChordParser !== 'undefined') {
+      const parsed = ChordParser.parse('C' + suffix);
+      if (parsed) return parsed.intervals;
+    }
+
+    return this.CHORD_FORMULAS["major"];
+  },
+
   /**
    * Find the interval name that matches given semitones within a chord formula
    * @param {number} semitones - Semitones from root (0-11)
@@ -0,0 +1,254 @@
+/**
+ * Diagram Export Module
+ * Turns a rendered chord diagram into a standalone SVG (styles inlined, chord
+ * name as a title) or a PNG at a chosen scale, for worksheets and handouts
+ */
+
+const DiagramExport = {
+  // Presentation attributes per diagram class, mirroring the chord diagram
+  // rules in css/styles.css so the file looks the same outside the app
+  STYLES: {
+    'chord-string': { stroke: '#333', 'stroke-width': 1.5 },
+    'chord-fret': { stroke: '#333', 'stroke-width': 1 },
+    'chord-nut': { fill: '#333' },
+    'chord-position-number': { fill: '#666', 'font-size': 14, 'font-weight': 600, 'text-anchor': 'middle', 'dominant-baseline': 'middle' },
+    'chord-capo': { fill: '#e94560' },
+    'chord-capo-number': { fill: '#e94560', 'font-size': 14, 'font-weight': 700, 'text-anchor': 'middle' },
+    'chord-dot': { fill: '#1a1a2e' },
+    'chord-finger-number': { fill: '#fff', 'font-size': 11, 'font-weight': 600, 'text-anchor': 'middle', 'dominant-baseline': 'middle' },
+    'chord-open': { fill: 'none', stroke: '#333', 'stroke-width': 2 },
+    'chord-muted': { stroke: '#333', 'stroke-width': 2, 'stroke-linecap': 'round' },
+    'chord-barre': { fill: '#1a1a2e' },
+    'chord-interval-label': { fill: '#fff', 'font-size': 10, 'font-weight': 600, 'text-anchor': 'middle', 'dominant-baseline': 'middle' },
+    'chord-open-interval': { fill: '#666', 'font-size': 9, 'font-weight': 600, 'text-anchor': 'middle', 'dominant-baseline': 'middle' }
+  },
+
+  FONT_FAMILY: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif",
+
+  // Space added above the diagram for the chord name, and below it for the notes
+  TITLE_HEIGHT: 36,
+  NOTES_HEIGHT: 24,
+
+  // PNG scales offered (the diagram is 200 units wide)
+  SCALES: [
+    { id: 1, name: 'PNG 1×' },
+    { id: 2, name: 'PNG 2×' },
+    { id: 4, name: 'PNG 4×' }
+  ],
+
+  /**
+   * Build a self-contained copy of a diagram: inline styles, a white
+   * background, the chord name above it and (optionally) its notes below
+   * @param {SVGElement} svg - Diagram from ChordDiagram.render
+   * @param {string} chordName - Title to draw (e.g., "F#m7 (capo 2)")
+   * @param {Array|null} noteNames - Note names low string to high (null entries skipped)
+   * @returns {SVGElement}
+   */
+  createStandaloneSvg(svg, chordName = '', noteNames = null) {
+    const ns = 'http://www.w3.org/2000/svg';
+    const [, , width, height] = svg.getAttribute('viewBox').split(/\s+/).map(Number);
+    const notes = (noteNames || []).filter(Boolean);
+    const top = chordName ? this.TITLE_HEIGHT : 0;
+    const bottom = notes.length > 0 ? this.NOTES_HEIGHT : 0;
+    const totalHeight = height + top + bottom;
+
+    const standalone = document.createElementNS(ns, 'svg');
+    standalone.setAttribute('viewBox', `0 0 ${width} ${totalHeight}`);
+    standalone.setAttribute('width', width);
+    standalone.setAttribute('height', totalHeight);
+    standalone.setAttribute('font-family', this.FONT_FAMILY);
+
+    const create = (tag, attributes, text = null) => {
+      const element = document.createElementNS(ns, tag);
+      Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+      if (text !== null) element.textContent = text;
+      standalone.appendChild(element);
+      return element;
+    };
+
+    create('rect', { x: 0, y: 0, width, height: totalHeight, fill: '#fff' });
+
+    if (chordName) {
+      create('text', {
+        x: width / 2, y: top / 2 + 4, fill: '#1a1a2e', 'font-size': 20, 'font-weight': 700,
+        'text-anchor': 'middle', 'dominant-baseline': 'middle'
+      }, chordName);
+    }
+
+    // The diagram itself, shifted below the title
+    const group = create('g', { transform: `translate(0 ${top})` });
+    Array.from(svg.childNodes).forEach(node => {
+      const copy = node.cloneNode(true);
+      if (copy.nodeType === 1) this._inlineStyles(copy);
+      group.appendChild(copy);
+    });
+
+    if (notes.length > 0) {
+      create('text', {
+        x: width / 2, y: top + height + bottom / 2, fill: '#666', 'font-size': 13, 'font-weight': 600,
+        'text-anchor': 'middle', 'dominant-baseline': 'middle'
+      }, notes.join('  '));
+    }
+
+    return standalone;
+  },
+
+  /**
+   * Replace class names with the presentation attributes they stand for
+   * @param {Element} element - Element (and descendants) to restyle in place
+   */
+  _inlineStyles(element) {
+    const className = element.getAttribute('class');
+    if (className) {
+      className.split(/\s+/).forEach(name => {
+        const style = this.STYLES[name];
+        if (style) {
+          Object.entries(style).forEach(([attribute, value]) => element.setAttribute(attribute, value));
+        }
+      });
+      element.removeAttribute('class');
+    }
+    Array.from(element.children).forEach(child => this._inlineStyles(child));
+  },
+
+  /**
+   * Serialize a standalone diagram as an SVG file
+   * @param {SVGElement} svg - Diagram from ChordDiagram.render
+   * @param {string} chordName - Title to draw
+   * @param {Array|null} noteNames - Note names low string to high
+   * @returns {string} - SVG document text
+   */
+  toSvgString(svg, chordName = '', noteNames = null) {
+    const standalone = this.createStandaloneSvg(svg, chordName, noteNames);
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(standalone);
+  },
+
+  /**
+   * Rasterise a standalone diagram
+   * @param {SVGElement} svg - Diagram from ChordDiagram.render
+   * @param {string} chordName - Title to draw
+   * @param {Array|null} noteNames - Note names low string to high
+   * @param {number} scale - Pixels per diagram unit
+   * @returns {Promise<Blob>} - PNG image
+   */
+  toPngBlob(svg, chordName = '', noteNames = null, scale = 2) {
+    const standalone = this.createStandaloneSvg(svg, chordName, noteNames);
+    const width = Number(standalone.getAttribute('width')) * scale;
+    const height = Number(standalone.getAttribute('height')) * scale;
+    const source = new XMLSerializer().serializeToString(standalone);
+
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+      };
+      image.onerror = () => reject(new Error('Could not draw the diagram'));
+      image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(source);
+    });
+  },
+
+  /**
+   * Make a file name from a chord name (e.g., "F#m7/C#" -> "F-sharp-m7-over-C-sharp")
+   * @param {string} chordName - Chord name
+   * @param {string} extension - File extension without the dot
+   * @returns {string}
+   */
+  fileName(chordName, extension) {
+    const base = (chordName || 'chord')
+      .replace(/#/g, '-sharp-')
+      .replace(/\//g, '-over-')
+      .replace(/[^A-Za-z0-9_-]+/g, '-')
+      .replace(/-+/g, '-')
+      .replace(/^-|-$/g, '');
+    return `${base || 'chord'}.${extension}`;
+  },
+
+  /**
+   * Save a blob through a temporary download link
+   * @param {Blob} blob - File contents
+   * @param {string} fileName - Suggested file name
+   */
+  download(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+
+  /**
+   * Download a diagram as an SVG file
+   * @param {Object} target - { svg, chordName, noteNames }
+   */
+  exportSvg({ svg, chordName = '', noteNames = null }) {
+    const blob = new Blob([this.toSvgString(svg, chordName, noteNames)], { type: 'image/svg+xml' });
+    this.download(blob, this.fileName(chordName, 'svg'));
+  },
+
+  /**
+   * Download a diagram as a PNG file
+   * @param {Object} target - { svg, chordName, noteNames }
+   * @param {number} scale - Pixels per diagram unit
+   */
+  async exportPng({ svg, chordName = '', noteNames = null }, scale) {
+    try {
+      const blob = await this.toPngBlob(svg, chordName, noteNames, scale);
+      this.download(blob, this.fileName(chordName, 'png'));
+    } catch (error) {
+      console.error('PNG export failed:', error);
+    }
+  },
+
+  /**
+   * Create an "Export" menu (SVG and PNG sizes) for a diagram
+   * @param {Function} getTarget - Returns { svg, chordName, noteNames } when an option is chosen
+   * @returns {HTMLElement}
+   */
+  createMenu(getTarget) {
+    const menu = document.createElement('details');
+    menu.className = 'export-menu';
+
+    const summary = document.createElement('summary');
+    summary.className = 'export-menu-toggle';
+    summary.textContent = 'Export';
+    menu.appendChild(summary);
+
+    const options = document.createElement('div');
+    options.className = 'export-menu-options';
+
+    const addOption = (label, onChoose) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'export-menu-option';
+      button.textContent = label;
+      button.addEventListener('click', () => {
+        onChoose(getTarget());
+        menu.open = false;
+      });
+      options.appendChild(button);
+    };
+
+    addOption('SVG', target => this.exportSvg(target));
+    this.SCALES.forEach(scale => addOption(scale.name, target => this.exportPng(target, scale.id)));
+
+    menu.appendChild(options);
+
+    // Keep clicks and keys inside the menu from reaching a clickable card
+    menu.addEventListener('click', (e) => e.stopPropagation());
+    menu.addEventListener('keydown', (e) => e.stopPropagation());
+
+    return menu;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DiagramExport;
+}
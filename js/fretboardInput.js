@@ -0,0 +1,226 @@
+/**
+ * Fretboard Input Component
+ * A blank fretboard, oriented like ChordDiagram (low string on the RIGHT when
+ * left-handed), where frets are tapped in: tap a fret to place a dot, tap it again to mute
+ * the string, tap above the nut to switch between open and muted
+ */
+
+const FretboardInput = {
+  // SVG layout
+  config: {
+    width: 220,
+    height: 270,
+    padding: { top: 50, right: 25, bottom: 20, left: 40 },
+    frets: 5,
+    dotRadius: 12,
+    nutHeight: 6
+  },
+
+  // Highest fret the window can start at
+  MAX_BASE_FRET: 20,
+
+  // State
+  frets: [],
+  baseFret: 1,
+  container: null,
+  onChange: null,
+
+  /**
+   * Initialize in a container
+   * @param {HTMLElement} container - Element to render into
+   * @param {Function} onChange - Called with the frets (low string to high, -1 muted) after each tap
+   * @param {number} stringCount - Strings on the instrument
+   */
+  init(container, onChange, stringCount = 6) {
+    this.container = container;
+    this.onChange = onChange;
+    this.frets = new Array(stringCount).fill(-1);
+    this.baseFret = 1;
+    this.render();
+    return this;
+  },
+
+  /**
+   * Show frets entered elsewhere (e.g., typed as "x32010"), moving the window to them
+   * @param {Array} frets - Frets per string, low to high (-1 muted)
+   */
+  setFrets(frets) {
+    if (!this.container || frets.length !== this.frets.length) return;
+
+    this.frets = frets.slice();
+    const fretted = frets.filter(fret => fret > 0);
+    if (fretted.length > 0) {
+      const lowest = Math.min(...fretted);
+      const highest = Math.max(...fretted);
+      if (lowest < this.baseFret || highest > this.baseFret + this.config.frets - 1) {
+        this.baseFret = highest <= this.config.frets ? 1 : lowest;
+      }
+    }
+    this.render();
+  },
+
+  /**
+   * Mute every string
+   */
+  clear() {
+    this.frets = this.frets.map(() => -1);
+    this.render();
+    this._notify();
+  },
+
+  /**
+   * Tap a string at a fret (0 taps the open/muted marker)
+   * @param {number} string - String index, low to high
+   * @param {number} fret - Absolute fret
+   */
+  tap(string, fret) {
+    if (fret === 0) {
+      this.frets[string] = this.frets[string] === 0 ? -1 : 0;
+    } else {
+      this.frets[string] = this.frets[string] === fret ? -1 : fret;
+    }
+    this.render();
+    this._notify();
+  },
+
+  /**
+   * Move the visible fret window up or down the neck
+   * @param {number} delta - Frets to move by
+   */
+  shiftWindow(delta) {
+    this.baseFret = Math.min(this.MAX_BASE_FRET, Math.max(1, this.baseFret + delta));
+    this.render();
+  },
+
+  /**
+   * Report the current frets
+   */
+  _notify() {
+    if (this.onChange) {
+      this.onChange(this.frets.slice());
+    }
+  },
+
+  /**
+   * Render the fretboard and its controls
+   */
+  render() {
+    if (!this.container) return;
+    this.container.innerHTML = '';
+
+    const controls = document.createElement('div');
+    controls.className = 'fretboard-input-controls';
+
+    const addButton = (label, ariaLabel, onClick, disabled = false) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'fretboard-input-button';
+      button.innerHTML = label;
+      button.setAttribute('aria-label', ariaLabel);
+      button.disabled = disabled;
+      button.addEventListener('click', onClick);
+      controls.appendChild(button);
+    };
+
+    addButton('&uarr;', 'Show lower frets', () => this.shiftWindow(-1), this.baseFret === 1);
+    const windowLabel = document.createElement('span');
+    windowLabel.className = 'fretboard-input-window';
+    windowLabel.textContent = `Frets ${this.baseFret}–${this.baseFret + this.config.frets - 1}`;
+    controls.appendChild(windowLabel);
+    addButton('&darr;', 'Show higher frets', () => this.shiftWindow(1), this.baseFret === this.MAX_BASE_FRET);
+    addButton('Clear', 'Clear all strings', () => this.clear());
+
+    this.container.appendChild(controls);
+    this.container.appendChild(this._renderSvg());
+  },
+
+  /**
+   * Build the tappable SVG fretboard
+   * @returns {SVGElement}
+   */
+  _renderSvg() {
+    const { width, height, padding, frets, dotRadius, nutHeight } = this.config;
+    const strings = this.frets.length;
+    const gridWidth = width - padding.left - padding.right;
+    const gridHeight = height - padding.top - padding.bottom;
+    const stringSpacing = gridWidth / (strings - 1);
+    const fretSpacing = gridHeight / frets;
+    const ns = 'http://www.w3.org/2000/svg';
+
+    const svg = document.createElementNS(ns, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('class', 'chord-diagram fretboard-input-diagram');
+    svg.setAttribute('role', 'group');
+    svg.setAttribute('aria-label', 'Fretboard: tap frets to find a chord');
+
+    const create = (tag, attributes) => {
+      const element = document.createElementNS(ns, tag);
+      Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+      svg.appendChild(element);
+      return element;
+    };
+
+    // Left-handed: the lowest string is drawn on the right
+    const leftHanded = typeof ChordDiagram === 'undefined' || ChordDiagram.isLeftHanded();
+    const stringX = string => padding.left + (leftHanded ? strings - 1 - string : string) * stringSpacing;
+
+    // Nut or window position
+    if (this.baseFret === 1) {
+      create('rect', { x: padding.left, y: padding.top - nutHeight, width: gridWidth, height: nutHeight, class: 'chord-nut' });
+    } else {
+      const label = create('text', { x: padding.left - 22, y: padding.top + fretSpacing / 2, class: 'chord-position-number' });
+      label.textContent = this.baseFret;
+    }
+
+    // Grid
+    for (let string = 0; string < strings; string++) {
+      create('line', { x1: stringX(string), y1: padding.top, x2: stringX(string), y2: padding.top + gridHeight, class: 'chord-string' });
+    }
+    for (let i = 0; i <= frets; i++) {
+      const y = padding.top + i * fretSpacing;
+      create('line', { x1: padding.left, y1: y, x2: padding.left + gridWidth, y2: y, class: 'chord-fret' });
+    }
+
+    for (let string = 0; string < strings; string++) {
+      const x = stringX(string);
+      const current = this.frets[string];
+      const markerY = padding.top - 22;
+
+      // Open / muted marker (tap target above the nut)
+      if (current === 0) {
+        create('circle', { cx: x, cy: markerY, r: 6, class: 'chord-open' });
+      } else if (current === -1) {
+        create('line', { x1: x - 6, y1: markerY - 6, x2: x + 6, y2: markerY + 6, class: 'chord-muted' });
+        create('line', { x1: x + 6, y1: markerY - 6, x2: x - 6, y2: markerY + 6, class: 'chord-muted' });
+      }
+      const openTarget = create('rect', {
+        x: x - stringSpacing / 2, y: 0, width: stringSpacing, height: padding.top - nutHeight,
+        class: 'fretboard-input-target'
+      });
+      openTarget.addEventListener('click', () => this.tap(string, 0));
+
+      // Fret cells
+      for (let row = 0; row < frets; row++) {
+        const fret = this.baseFret + row;
+        const y = padding.top + row * fretSpacing;
+
+        if (current === fret) {
+          create('circle', { cx: x, cy: y + fretSpacing / 2, r: dotRadius, class: 'chord-dot' });
+        }
+
+        const target = create('rect', {
+          x: x - stringSpacing / 2, y, width: stringSpacing, height: fretSpacing,
+          class: 'fretboard-input-target'
+        });
+        target.addEventListener('click', () => this.tap(string, fret));
+      }
+    }
+
+    return svg;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FretboardInput;
+}
@@ -0,0 +1,69 @@
+/**
+ * Instruments Module
+ * Fretted instruments the app can show chords for: string count, fret span
+ * of a diagram and the chord database for each (tunings are in Tunings)
+ */
+
+const Instruments = {
+  /**
+   * Instrument definitions
+   * fretSpan: frets shown in a diagram, and the widest stretch of a voicing
+   */
+  INSTRUMENTS: {
+    "guitar":           { id: "guitar", name: "Guitar", strings: 6, fretSpan: 4, database: "data/guitar.json" },
+    "guitar-7":         { id: "guitar-7", name: "7-String Guitar", strings: 7, fretSpan: 4, database: "data/guitar-7.json" },
+    "ukulele":          { id: "ukulele", name: "Ukulele", strings: 4, fretSpan: 4, database: "data/ukulele.json" },
+    "baritone-ukulele": { id: "baritone-ukulele", name: "Baritone Ukulele", strings: 4, fretSpan: 4, database: "data/baritone-ukulele.json" },
+    "bass-4":           { id: "bass-4", name: "Bass (4-string)", strings: 4, fretSpan: 4, database: "data/bass-4.json" },
+    "bass-5":           { id: "bass-5", name: "Bass (5-string)", strings: 5, fretSpan: 4, database: "data/bass-5.json" },
+    "mandolin":         { id: "mandolin", name: "Mandolin", strings: 4, fretSpan: 5, database: "data/mandolin.json" }
+  },
+
+  // Instrument shown when none has been chosen
+  DEFAULT_INSTRUMENT: "guitar",
+
+  // localStorage key for the chosen instrument
+  STORAGE_KEY: 'guitarChords.instrument',
+
+  // Current instrument ID
+  current: "guitar",
+
+  /**
+   * Load the saved instrument from localStorage
+   */
+  load() {
+    this.current = LocalSettings.getChoice(this.STORAGE_KEY, this.INSTRUMENTS, 'instrument') || this.current;
+  },
+
+  /**
+   * Change and save the current instrument
+   * @param {string} instrumentId - ID from INSTRUMENTS
+   */
+  setInstrument(instrumentId) {
+    if (!this.INSTRUMENTS[instrumentId]) return;
+    this.current = instrumentId;
+    LocalSettings.set(this.STORAGE_KEY, instrumentId, 'instrument');
+  },
+
+  /**
+   * Get an instrument definition
+   * @param {string} instrumentId - ID from INSTRUMENTS (default: the current instrument)
+   * @returns {Object} - { id, name, strings, fretSpan, database }
+   */
+  get(instrumentId = this.current) {
+    return this.INSTRUMENTS[instrumentId] || this.INSTRUMENTS[this.DEFAULT_INSTRUMENT];
+  },
+
+  /**
+   * Get all instruments for display
+   * @returns {Array} - Array of instrument definitions
+   */
+  getAll() {
+    return Object.values(this.INSTRUMENTS);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Instruments;
+}
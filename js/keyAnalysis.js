@@ -0,0 +1,251 @@
+/**
+ * Key Analysis Module
+ * The reverse of Progressions.resolveRoot: takes a list of chord names, scores
+ * every major and minor key against it, and analyses the chords in a key as
+ * Roman numerals (diatonic chords, secondary dominants like V7/ii, chords
+ * borrowed from the parallel key and tritone substitutes), ready to be saved
+ * as a custom progression that can be played in any key
+ */
+
+const KeyAnalysis = {
+  /**
+   * Key modes: scale steps above the tonic, and the parallel mode chords are borrowed from
+   */
+  MODES: {
+    major: { id: 'major', name: 'major', steps: [0, 2, 4, 5, 7, 9, 11], parallel: 'minor' },
+    minor: { id: 'minor', name: 'minor', steps: [0, 2, 3, 5, 7, 8, 10], parallel: 'major' }
+  },
+
+  // Raised seventh minor keys take from harmonic minor for their V7 and vii°7
+  LEADING_TONE: 11,
+
+  // Numeral for each interval above the tonic, named against the major scale as
+  // Progressions.INTERVALS does (so the saved numerals resolve back to the same roots)
+  NUMERALS: ['I', 'bII', 'II', 'bIII', 'III', 'IV', '#IV', 'V', 'bVI', 'VI', 'bVII', 'VII'],
+
+  /**
+   * Chord functions, with how strongly each one supports the key
+   */
+  FUNCTIONS: {
+    'diatonic': { id: 'diatonic', name: 'Diatonic', score: 1 },
+    'secondary': { id: 'secondary', name: 'Secondary dominant', score: 0.75 },
+    'borrowed': { id: 'borrowed', name: 'Borrowed', score: 0.5 },
+    'tritone-sub': { id: 'tritone-sub', name: 'Tritone substitute', score: 0.5 },
+    'chromatic': { id: 'chromatic', name: 'Chromatic', score: 0 }
+  },
+
+  // Extra score for a secondary dominant or tritone sub that resolves to its target
+  RESOLUTION_BONUS: 0.25,
+
+  // Extra score for the tonic chord: anywhere in the list, first, and last
+  TONIC_BONUS: { present: 0.5, first: 0.25, last: 0.5 },
+
+  // Keys listed by detectKeys
+  MAX_KEYS: 3,
+
+  /**
+   * Parse a pasted chord list: chords separated by spaces or commas, bars by "|"
+   * @param {string} text - Chord list (e.g., "Dm7 G7 | Cmaj7 A7 | Dm7")
+   * @returns {Object} - { bars: [[chord]], hasBarLines } with each chord
+   *   { chordName, rootPc, quality, semitones }, or { error }
+   */
+  parseChords(text) {
+    const bars = [];
+    for (const barText of (text || '').split('|')) {
+      const bar = [];
+      for (const token of barText.split(/[\s,]+/).filter(Boolean)) {
+        const parsed = ChordParser.parse(token);
+        if (!parsed) {
+          return { error: `"${token}" isn't a chord name this app understands.` };
+        }
+
+        const rootInfo = ChordParser.splitRoot(token);
+        // The quality as typed, without a slash bass (which can't follow a numeral)
+        const quality = token.slice(rootInfo.length).replace(/\/[A-Ga-g][#♯b♭]?$/, '');
+        bar.push({
+          chordName: token,
+          rootPc: rootInfo.pitchClass,
+          quality,
+          semitones: [...new Set(ChordParser.intervalsToPitchClasses(parsed.intervals))]
+        });
+      }
+      if (bar.length > 0) bars.push(bar);
+    }
+
+    if (bars.length === 0) {
+      return { error: 'Enter at least one chord, e.g. "Dm7 G7 Cmaj7".' };
+    }
+    return { bars, hasBarLines: text.includes('|') };
+  },
+
+  /**
+   * Get the pitch classes of a key (minor keys include the leading tone)
+   * @param {number} tonicPc - Tonic pitch class (0-11)
+   * @param {string} mode - Key of MODES
+   * @returns {Set}
+   */
+  getScale(tonicPc, mode) {
+    const steps = mode === 'minor' ? [...this.MODES.minor.steps, this.LEADING_TONE] : this.MODES[mode].steps;
+    return new Set(steps.map(step => (tonicPc + step) % 12));
+  },
+
+  /**
+   * Get the numeral for a root, upper case unless the chord has a minor third
+   * @param {number} interval - Semitones above the tonic
+   * @param {Array} semitones - Chord tones as semitones above the chord root
+   * @returns {string} - e.g. "ii", "bVII", "#iv"
+   */
+  getNumeral(interval, semitones) {
+    const numeral = this.NUMERALS[(interval + 12) % 12];
+    const minor = semitones.includes(3) && !semitones.includes(4);
+    return minor ? numeral.toLowerCase() : numeral;
+  },
+
+  /**
+   * Get the numeral of a diatonic triad a chord could lead to, or null if it can't be a target
+   * (the tonic, the other degrees, but not a diminished triad)
+   * @param {number} interval - Target root, semitones above the tonic
+   * @param {string} mode - Key of MODES
+   * @returns {string|null}
+   */
+  getTargetNumeral(interval, mode) {
+    const steps = this.MODES[mode].steps;
+    const degree = steps.indexOf((interval + 12) % 12);
+    if (degree === -1) return null;
+
+    const third = (steps[(degree + 2) % 7] - steps[degree] + 12) % 12;
+    const fifth = (steps[(degree + 4) % 7] - steps[degree] + 12) % 12;
+    if (fifth === 6) return null;
+    return this.getNumeral(steps[degree], [0, third, fifth]);
+  },
+
+  /**
+   * Analyse one chord in a key
+   * @param {Object} chord - Chord from parseChords
+   * @param {Object|null} next - The chord after it, for resolutions
+   * @param {number} tonicPc - Tonic pitch class
+   * @param {string} mode - Key of MODES
+   * @returns {Object} - { chordName, numeral, quality, label, function, score }
+   */
+  analyzeChord(chord, next, tonicPc, mode) {
+    const interval = (chord.rootPc - tonicPc + 12) % 12;
+    const pitchClasses = chord.semitones.map(semitones => (chord.rootPc + semitones) % 12);
+    const numeral = this.getNumeral(interval, chord.semitones);
+    const dominant = chord.semitones.includes(4) && !chord.semitones.includes(11);
+    const result = (func, label, resolves = false) => ({
+      chordName: chord.chordName,
+      numeral,
+      quality: chord.quality,
+      label,
+      function: func,
+      score: this.FUNCTIONS[func].score + (resolves ? this.RESOLUTION_BONUS : 0)
+    });
+
+    const scale = this.getScale(tonicPc, mode);
+    if (pitchClasses.every(pc => scale.has(pc))) {
+      return result('diatonic', numeral + chord.quality);
+    }
+
+    // A dominant a fifth above a diatonic chord (the key's own V, altered, counts as diatonic)
+    if (dominant) {
+      const targetPc = (chord.rootPc + 5) % 12;
+      const target = this.getTargetNumeral(targetPc - tonicPc, mode);
+      if (target !== null) {
+        const resolves = next !== null && next.rootPc === targetPc;
+        return targetPc === tonicPc
+          ? result('diatonic', `V${chord.quality}`)
+          : result('secondary', `V${chord.quality}/${target}`, resolves);
+      }
+    }
+
+    const parallel = this.MODES[mode].parallel;
+    const parallelScale = new Set(this.MODES[parallel].steps.map(step => (tonicPc + step) % 12));
+    if (pitchClasses.every(pc => parallelScale.has(pc))) {
+      return result('borrowed', numeral + chord.quality);
+    }
+
+    // A dominant seventh a half step above a diatonic chord
+    if (dominant && chord.semitones.includes(10)) {
+      const targetPc = (chord.rootPc + 11) % 12;
+      const target = this.getTargetNumeral(targetPc - tonicPc, mode);
+      if (target !== null) {
+        const resolves = next !== null && next.rootPc === targetPc;
+        return result('tritone-sub', `subV${chord.quality}${targetPc === tonicPc ? '' : `/${target}`}`, resolves);
+      }
+    }
+
+    return result('chromatic', numeral + chord.quality);
+  },
+
+  /**
+   * Analyse a chord list in a key
+   * @param {Array} chords - Chords from parseChords, in order (bars flattened)
+   * @param {number} tonicPc - Tonic pitch class
+   * @param {string} mode - Key of MODES
+   * @returns {Object} - { key (flat name, as Progressions.KEYS), mode, name (e.g. "F# minor"),
+   *   chords: [analysis], confidence (0-1) }
+   */
+  analyze(chords, tonicPc, mode) {
+    const analysed = chords.map((chord, index) =>
+      this.analyzeChord(chord, chords[index + 1] || null, tonicPc, mode)
+    );
+
+    // How well the key fits, plus a little for having the tonic chord (more for ending on it)
+    const isTonic = analysis => analysis.function === 'diatonic' && analysis.numeral.toUpperCase() === 'I';
+    const bonus = this.TONIC_BONUS;
+    let total = analysed.reduce((sum, analysis) => sum + analysis.score, 0);
+    if (analysed.some(isTonic)) total += bonus.present;
+    if (isTonic(analysed[0])) total += bonus.first;
+    if (isTonic(analysed[analysed.length - 1])) total += bonus.last;
+
+    const key = Progressions.KEYS[tonicPc];
+    return {
+      key,
+      mode,
+      name: Progressions.getKeyName(key, mode),
+      chords: analysed,
+      confidence: Math.min(1, total / (analysed.length + bonus.present + bonus.first + bonus.last))
+    };
+  },
+
+  /**
+   * Find the most likely keys for a chord list
+   * @param {Array} chords - Chords from parseChords, in order
+   * @param {number} limit - Keys to return
+   * @returns {Array} - Analyses from analyze, most likely first
+   */
+  detectKeys(chords, limit = this.MAX_KEYS) {
+    const analyses = [];
+    Object.keys(this.MODES).forEach(mode => {
+      for (let tonicPc = 0; tonicPc < 12; tonicPc++) {
+        analyses.push(this.analyze(chords, tonicPc, mode));
+      }
+    });
+
+    return analyses
+      .filter(analysis => analysis.confidence > 0)
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, limit);
+  },
+
+  /**
+   * Write an analysed chord list as progression text for Progressions.parseText
+   * @param {Array} bars - Bars from parseChords
+   * @param {Object} analysis - Analysis of the flattened chords, from analyze
+   * @param {boolean} hasBarLines - Keep the bars (a chart) rather than a plain list
+   * @returns {string} - e.g. "iim7 V7 Imaj7 VI7 iim7"
+   */
+  toProgressionText(bars, analysis, hasBarLines) {
+    let index = 0;
+    const barTexts = bars.map(bar => bar.map(() => {
+      const chord = analysis.chords[index++];
+      return chord.numeral + chord.quality;
+    }).join(' '));
+    return barTexts.join(hasBarLines ? ' | ' : ' ');
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KeyAnalysis;
+}
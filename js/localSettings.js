@@ -0,0 +1,86 @@
+/**
+ * Local Settings Module
+ * Reads and writes saved preferences (handedness, instrument, spelling, print
+ * layout) in localStorage, logging rather than throwing when storage is
+ * unavailable or full so a setting still applies for the rest of the visit
+ */
+
+const LocalSettings = {
+  /**
+   * Read a saved string
+   * @param {string} key - localStorage key
+   * @param {string} what - What is stored, for the error log (e.g., "instrument")
+   * @returns {string|null} - Stored value, or null if none or storage is unavailable
+   */
+  get(key, what) {
+    try {
+      return localStorage.getItem(key);
+    } catch (error) {
+      console.error(`Failed to load ${what}:`, error);
+      return null;
+    }
+  },
+
+  /**
+   * Read a saved choice, if it is still one of the choices
+   * @param {string} key - localStorage key
+   * @param {Object} choices - Table keyed by choice ID (e.g., Instruments.INSTRUMENTS)
+   * @param {string} what - What is stored, for the error log
+   * @returns {string|null} - Choice ID, or null if none is saved or it is unknown
+   */
+  getChoice(key, choices, what) {
+    const stored = this.get(key, what);
+    return stored !== null && Object.prototype.hasOwnProperty.call(choices, stored) ? stored : null;
+  },
+
+  /**
+   * Read a saved JSON value
+   * @param {string} key - localStorage key
+   * @param {string} what - What is stored, for the error log
+   * @returns {*} - Parsed value, or null if none or it can't be parsed
+   */
+  getJSON(key, what) {
+    const stored = this.get(key, what);
+    if (stored === null) return null;
+
+    try {
+      return JSON.parse(stored);
+    } catch (error) {
+      console.error(`Failed to load ${what}:`, error);
+      return null;
+    }
+  },
+
+  /**
+   * Save a string
+   * @param {string} key - localStorage key
+   * @param {string} value - Value to store
+   * @param {string} what - What is stored, for the error log
+   * @returns {boolean} - Whether it was saved
+   */
+  set(key, value, what) {
+    try {
+      localStorage.setItem(key, value);
+      return true;
+    } catch (error) {
+      console.error(`Failed to save ${what}:`, error);
+      return false;
+    }
+  },
+
+  /**
+   * Save a value as JSON
+   * @param {string} key - localStorage key
+   * @param {*} value - Value to store
+   * @param {string} what - What is stored, for the error log
+   * @returns {boolean} - Whether it was saved
+   */
+  setJSON(key, value, what) {
+    return this.set(key, JSON.stringify(value), what);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LocalSettings;
+}
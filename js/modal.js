@@ -10,6 +10,8 @@ const Modal = {
   positions: [],
   currentPositionIndex: 0,
   previouslyFocused: null,
+  onChange: null, // Called as onChange(replace) when the modal opens, closes or changes position
+  showBothHands: false, // Show left- and right-handed diagrams side by side
 
   // DOM elements (set during init)
   modalElement: null,
@@ -19,6 +21,10 @@ const Modal = {
   diagramContainer: null,
   chordNameElement: null,
   positionIndicator: null,
+  playButton: null,
+  bothHandsButton: null,
+  diagramElement: null, // Current diagram, for export
+  noteNames: null, // Its note names when the notes row is shown
   prevButton: null,
   nextButton: null,
 
@@ -52,6 +58,8 @@ const Modal = {
       <button class="modal-close" aria-label="Close modal">&times;</button>
       <h2 class="modal-chord-name" id="modal-chord-name"></h2>
       <div class="modal-diagram-container"></div>
+      <button class="modal-play" aria-label="Play this voicing">&#9654; Play</button>
+      <button class="modal-both-hands" type="button" aria-pressed="false">Both hands</button>
       <div class="modal-navigation">
         <button class="modal-nav-btn modal-prev" aria-label="Previous position">&larr;</button>
         <span class="modal-position-indicator"></span>
@@ -64,9 +72,22 @@ const Modal = {
     this.chordNameElement = this.modalElement.querySelector('.modal-chord-name');
     this.diagramContainer = this.modalElement.querySelector('.modal-diagram-container');
     this.positionIndicator = this.modalElement.querySelector('.modal-position-indicator');
+    this.playButton = this.modalElement.querySelector('.modal-play');
+    this.bothHandsButton = this.modalElement.querySelector('.modal-both-hands');
     this.prevButton = this.modalElement.querySelector('.modal-prev');
     this.nextButton = this.modalElement.querySelector('.modal-next');
 
+    // Export the diagram shown, titled with the chord name
+    if (typeof DiagramExport !== 'undefined') {
+      const exportMenu = DiagramExport.createMenu(() => ({
+        svg: this.diagramElement,
+        chordName: this.chordNameElement.textContent,
+        noteNames: this.noteNames
+      }));
+      exportMenu.classList.add('modal-export');
+      this.playButton.after(exportMenu);
+    }
+
     // Create wrapper
     this.contentElement = document.createElement('div');
     this.contentElement.className = 'modal-wrapper';
@@ -87,6 +108,22 @@ const Modal = {
     // Close button
     this.closeButton.addEventListener('click', () => this.close());
 
+    // Play the current voicing
+    if (typeof ChordPlayer !== 'undefined' && ChordPlayer.isSupported()) {
+      this.playButton.addEventListener('click', () => {
+        ChordPlayer.playPosition(this.positions[this.currentPositionIndex]);
+      });
+    } else {
+      this.playButton.style.display = 'none';
+    }
+
+    // Left- and right-handed side by side (for a lefty student and a righty teacher)
+    this.bothHandsButton.addEventListener('click', () => {
+      this.showBothHands = !this.showBothHands;
+      this.bothHandsButton.setAttribute('aria-pressed', String(this.showBothHands));
+      this.renderCurrentPosition();
+    });
+
     // Navigation buttons
     this.prevButton.addEventListener('click', () => this.prevPosition());
     this.nextButton.addEventListener('click', () => this.nextPosition());
@@ -125,6 +162,8 @@ const Modal = {
     };
 
     addTouchFeedback(this.closeButton);
+    addTouchFeedback(this.playButton);
+    addTouchFeedback(this.bothHandsButton);
     addTouchFeedback(this.prevButton);
     addTouchFeedback(this.nextButton);
   },
@@ -164,6 +203,8 @@ const Modal = {
 
     // Announce to screen readers
     this.modalElement.setAttribute('aria-label', `${chordName} chord diagram, position ${this.currentPositionIndex + 1} of ${this.positions.length}`);
+
+    this.notifyChange(false);
   },
 
   /**
@@ -187,6 +228,8 @@ const Modal = {
     this.chord = null;
     this.positions = [];
     this.currentPositionIndex = 0;
+
+    this.notifyChange(false);
   },
 
   /**
@@ -197,6 +240,7 @@ const Modal = {
       this.currentPositionIndex--;
       this.renderCurrentPosition();
       this.updateNavigationState();
+      this.notifyChange(true);
     }
   },
 
@@ -208,6 +252,17 @@ const Modal = {
       this.currentPositionIndex++;
       this.renderCurrentPosition();
       this.updateNavigationState();
+      this.notifyChange(true);
+    }
+  },
+
+  /**
+   * Tell the listener (the app's URL state) that the modal changed
+   * @param {boolean} replace - Whether the change refines the current view (position cycling)
+   */
+  notifyChange(replace) {
+    if (this.onChange) {
+      this.onChange(replace);
     }
   },
 
@@ -222,18 +277,51 @@ const Modal = {
     if (typeof ChordDiagram !== 'undefined') {
       // Determine annotation mode from App state
       const mode = (typeof App !== 'undefined' && App.annotationMode) || 'intervals';
+      const showNotesRow = typeof App !== 'undefined' && App.showNotesRow;
       let intervals = null;
       let showFingerNumbers = true;
 
+      // Note names are spelled from the chord as the app named it (e.g., "F#m7" not "Gbm7")
+      const chordName = (typeof App !== 'undefined' && App.modalChordName) ||
+        this.chord.key + (this.chord.suffix === 'major' ? '' : this.chord.suffix);
+      const noteNames = (mode === 'notes' || showNotesRow) && typeof ChordDegrees !== 'undefined'
+        ? ChordDegrees.calculateNoteNames(position, chordName)
+        : null;
+
       if (mode === 'intervals' && typeof ChordDegrees !== 'undefined' && this.chord) {
         intervals = ChordDegrees.calculateIntervals(position, this.chord.key, this.chord.suffix);
+      } else if (mode === 'notes') {
+        intervals = noteNames;
       } else if (mode === 'clean') {
         showFingerNumbers = false;
       }
 
-      const svg = ChordDiagram.render(position, '', true, intervals, showFingerNumbers);
-      svg.classList.add('modal-diagram');
-      this.diagramContainer.appendChild(svg);
+      // The preferred orientation first, then its mirror image when both are shown
+      const leftHanded = ChordDiagram.isLeftHanded();
+      const orientations = this.showBothHands ? [leftHanded, !leftHanded] : [leftHanded];
+      const diagrams = orientations.map(isLeftHanded => {
+        const svg = ChordDiagram.render(position, '', isLeftHanded, intervals, showFingerNumbers, this.chord.capo || 0);
+        svg.classList.add('modal-diagram');
+        if (!this.showBothHands) {
+          this.diagramContainer.appendChild(svg);
+          return svg;
+        }
+
+        const figure = document.createElement('figure');
+        figure.className = 'modal-orientation';
+        figure.appendChild(svg);
+        const caption = document.createElement('figcaption');
+        caption.textContent = ChordDiagram.HANDEDNESS[isLeftHanded ? 'left' : 'right'].name;
+        figure.appendChild(caption);
+        this.diagramContainer.appendChild(figure);
+        return svg;
+      });
+      this.diagramElement = diagrams[0];
+      this.noteNames = showNotesRow ? noteNames : null;
+
+      if (showNotesRow && noteNames) {
+        this.diagramContainer.appendChild(ChordDiagram.renderNotesRow(noteNames));
+      }
     }
 
     // Update position indicator
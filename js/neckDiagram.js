@@ -0,0 +1,290 @@
+/**
+ * Neck Diagram Renderer
+ * Draws the whole fretboard sideways (nut to fret 15 or 24), with every chord
+ * tone (or scale note) coloured by its interval, one voicing or scale fingering
+ * picked out, a box round each database position and, in standard guitar
+ * tuning, the CAGED shape regions.
+ * Left-handed necks run from the nut on the right; right-handed from the left
+ */
+
+const NeckDiagram = {
+  // SVG layout (the width follows the number of frets)
+  config: {
+    fretWidth: 44,
+    stringSpacing: 24,
+    openWidth: 34,
+    padding: { top: 44, right: 16, bottom: 28, left: 16 },
+    dotRadius: 10,
+    nutWidth: 5
+  },
+
+  // Neck lengths offered
+  FRET_COUNTS: [
+    { id: 15, name: 'Frets 0–15' },
+    { id: 24, name: 'Frets 0–24' }
+  ],
+
+  // Frets with inlay dots (double dots at the octaves)
+  INLAYS: [3, 5, 7, 9, 15, 17, 19, 21],
+  DOUBLE_INLAYS: [12, 24],
+
+  // Colour class per interval family
+  TONE_CLASSES: {
+    'R': 'neck-tone-root',
+    'b3': 'neck-tone-third', '3': 'neck-tone-third', '2': 'neck-tone-third', '4': 'neck-tone-third',
+    'b5': 'neck-tone-fifth', '5': 'neck-tone-fifth', '#5': 'neck-tone-fifth',
+    '6': 'neck-tone-seventh', 'bb7': 'neck-tone-seventh', 'b7': 'neck-tone-seventh', '7': 'neck-tone-seventh'
+  },
+
+  // CAGED shapes: the string holding the root they're named from (0 = lowest)
+  // and the frets they cover, counted from that root
+  CAGED_SHAPES: [
+    { id: 'C', string: 1, from: -3, to: 0 },
+    { id: 'A', string: 1, from: 0, to: 2 },
+    { id: 'G', string: 0, from: -3, to: 0 },
+    { id: 'E', string: 0, from: 0, to: 2 },
+    { id: 'D', string: 2, from: 0, to: 3 }
+  ],
+
+  // Semitones between neighbouring strings in standard guitar tuning (EADGBE)
+  STANDARD_GUITAR_STEPS: [5, 5, 5, 4, 5],
+
+  /**
+   * Get the tones of a chord with their intervals
+   * @param {string} chordName - Chord name (e.g., "Am7", "D/F#")
+   * @returns {Object|null} - { rootPc, tones: Map of pitch class to interval label }, or null if unparseable
+   */
+  getChordTones(chordName) {
+    const parsed = ChordParser.parse(chordName);
+    if (!parsed) return null;
+
+    const rootPc = ChordParser.splitRoot(parsed.root).pitchClass;
+    const tones = new Map();
+    parsed.intervals.forEach(label => {
+      const semitones = ChordDegrees.INTERVAL_SEMITONES[label];
+      if (semitones === undefined) return;
+      const pc = (rootPc + semitones) % 12;
+      if (!tones.has(pc)) tones.set(pc, label);
+    });
+
+    // A slash bass outside the chord still belongs on the neck
+    if (parsed.bass) {
+      const bassPc = ChordParser.splitRoot(parsed.bass).pitchClass;
+      if (!tones.has(bassPc)) {
+        tones.set(bassPc, ChordDegrees.findIntervalFromFormula((bassPc - rootPc + 12) % 12, parsed.intervals));
+      }
+    }
+
+    return { rootPc, tones };
+  },
+
+  /**
+   * Get the fret span of a database position
+   * @param {Object} position - Position with frets and baseFret
+   * @returns {Object|null} - { from, to } (from is 0 when a string rings open), or null if all muted
+   */
+  getPositionRegion(position) {
+    const played = VoicingGenerator.toAbsoluteFrets(position).filter(fret => fret >= 0);
+    if (played.length === 0) return null;
+    return { from: Math.min(...played), to: Math.max(...played) };
+  },
+
+  /**
+   * Find a scale fingering in a fret window: the scale notes on each string within it
+   * @param {Array} pitchClasses - Scale pitch classes
+   * @param {Array} tuning - Open-string MIDI notes, low string to high
+   * @param {number} from - Lowest fret of the window
+   * @param {number} to - Highest fret of the window
+   * @returns {Array} - Frets per string, low string to high
+   */
+  getFingering(pitchClasses, tuning, from, to) {
+    return tuning.map(openNote => {
+      const frets = [];
+      for (let fret = from; fret <= to; fret++) {
+        if (pitchClasses.includes((openNote + fret) % 12)) frets.push(fret);
+      }
+      return frets;
+    });
+  },
+
+  /**
+   * Check whether a tuning has standard guitar intervals (at any pitch, so a capo still counts)
+   * @param {Array} tuning - Open-string MIDI notes, low string to high
+   * @returns {boolean}
+   */
+  hasCagedTuning(tuning) {
+    return tuning.length === this.STANDARD_GUITAR_STEPS.length + 1 &&
+      this.STANDARD_GUITAR_STEPS.every((step, index) => tuning[index + 1] - tuning[index] === step);
+  },
+
+  /**
+   * Find the CAGED shape regions of a chord up the neck
+   * @param {number} rootPc - Chord root pitch class (0-11)
+   * @param {Array} tuning - Open-string MIDI notes, low string to high
+   * @param {number} fretCount - Last fret shown
+   * @returns {Array} - [{ shape, from, to }] in fret order (empty unless in standard guitar tuning)
+   */
+  getCagedRegions(rootPc, tuning, fretCount) {
+    if (!this.hasCagedTuning(tuning)) return [];
+
+    const regions = [];
+    this.CAGED_SHAPES.forEach(shape => {
+      const rootFret = ((rootPc - tuning[shape.string]) % 12 + 12) % 12;
+      for (let fret = rootFret; fret + shape.from <= fretCount; fret += 12) {
+        const from = fret + shape.from;
+        const to = fret + shape.to;
+        if (from >= 0 && to <= fretCount) regions.push({ shape: shape.id, from, to });
+      }
+    });
+
+    return regions.sort((a, b) => a.from - b.from || a.to - b.to);
+  },
+
+  /**
+   * Create an SVG neck diagram
+   * @param {Object} options
+   * @param {Array} options.tuning - Open-string MIDI notes as they sound, low string to high
+   * @param {Map} options.tones - Pitch class to interval label for each chord tone
+   * @param {Map|null} options.labels - Pitch class to the text shown on its dots (default: the interval)
+   * @param {number} options.fretCount - Last fret shown (15 or 24)
+   * @param {boolean} options.isLeftHanded - Nut on the right (default true)
+   * @param {Map|null} options.toneClasses - Pitch class to colour class (default: by interval)
+   * @param {Array|null} options.voicing - Absolute frets of the voicing to pick out, low string to high
+   * @param {Array|null} options.fingering - Frets to pick out on each string, low to high (instead of a voicing)
+   * @param {Array} options.regions - Position boxes: [{ from, to, label, active, index }]
+   * @param {Array} options.caged - CAGED regions from getCagedRegions
+   * @param {number} options.capoFret - Capo fret the neck is counted from (0 for none)
+   * @param {string} options.chordName - Chord (or scale) name for the accessible label
+   * @returns {SVGElement} - The rendered SVG element
+   */
+  render({ tuning, tones, labels = null, toneClasses = null, fretCount = 15, isLeftHanded = true, voicing = null,
+    fingering = null, regions = [], caged = [], capoFret = 0, chordName = '' }) {
+    const { fretWidth, stringSpacing, openWidth, padding, dotRadius, nutWidth } = this.config;
+    const strings = tuning.length;
+    const width = padding.left + openWidth + fretCount * fretWidth + padding.right;
+    const height = padding.top + (strings - 1) * stringSpacing + padding.bottom;
+    const top = padding.top;
+    const bottom = padding.top + (strings - 1) * stringSpacing;
+    const nutX = padding.left + openWidth;
+
+    // Laid out right-handed, then mirrored when left-handed
+    const mirror = x => (isLeftHanded ? width - x : x);
+    const wireX = fret => nutX + fret * fretWidth;
+    const noteX = fret => mirror(fret === 0 ? padding.left + openWidth / 2 : nutX + (fret - 0.5) * fretWidth);
+    // Highest string on top, as the player looks down at the neck
+    const stringY = string => top + (strings - 1 - string) * stringSpacing;
+    const spanX = (from, to) => {
+      const x1 = mirror(from === 0 ? padding.left : wireX(from - 1));
+      const x2 = mirror(wireX(to));
+      return { x: Math.min(x1, x2), width: Math.abs(x2 - x1) };
+    };
+
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('class', 'neck-diagram');
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', `Fretboard for ${chordName}, frets 0 to ${fretCount}${capoFret ? ` from capo ${capoFret}` : ''}${isLeftHanded ? '' : ', right-handed'}`);
+
+    const create = (tag, attributes, text = null) => {
+      const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+      Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+      if (text !== null) element.textContent = text;
+      svg.appendChild(element);
+      return element;
+    };
+
+    // CAGED bands behind everything, lettered along the top
+    caged.forEach(region => {
+      const { x, width: bandWidth } = spanX(region.from, region.to);
+      create('rect', {
+        x, y: top - dotRadius - 4, width: bandWidth, height: bottom - top + 2 * dotRadius + 8,
+        class: `neck-caged neck-caged-${region.shape.toLowerCase()}`
+      });
+      create('text', { x: x + bandWidth / 2, y: 12, class: 'neck-caged-label' }, region.shape);
+    });
+
+    // Inlays between the middle strings
+    const middleY = (top + bottom) / 2;
+    this.INLAYS.filter(fret => fret <= fretCount).forEach(fret => {
+      create('circle', { cx: noteX(fret), cy: middleY, r: 5, class: 'neck-inlay' });
+    });
+    this.DOUBLE_INLAYS.filter(fret => fret <= fretCount).forEach(fret => {
+      create('circle', { cx: noteX(fret), cy: top + (middleY - top) / 2, r: 5, class: 'neck-inlay' });
+      create('circle', { cx: noteX(fret), cy: bottom - (bottom - middleY) / 2, r: 5, class: 'neck-inlay' });
+    });
+
+    // Frets, nut (or capo) and strings
+    for (let fret = 1; fret <= fretCount; fret++) {
+      create('line', { x1: mirror(wireX(fret)), y1: top, x2: mirror(wireX(fret)), y2: bottom, class: 'neck-fret' });
+    }
+    create('rect', {
+      x: isLeftHanded ? mirror(nutX) : nutX - nutWidth, y: top - 2, width: nutWidth, height: bottom - top + 4,
+      class: capoFret > 0 ? 'neck-capo' : 'neck-nut'
+    });
+    for (let string = 0; string < strings; string++) {
+      create('line', {
+        x1: mirror(nutX), y1: stringY(string), x2: mirror(wireX(fretCount)), y2: stringY(string), class: 'neck-string'
+      });
+    }
+
+    // Fret numbers under the inlays
+    [...this.INLAYS, ...this.DOUBLE_INLAYS].filter(fret => fret <= fretCount).forEach(fret => {
+      create('text', { x: noteX(fret), y: height - 10, class: 'neck-fret-number' }, fret);
+    });
+
+    // Position boxes, numbered above the top string (numbers of boxes with the same span side by side)
+    regions.forEach(region => {
+      const { x, width: boxWidth } = spanX(region.from, region.to);
+      const sameSpan = regions.filter(other => other.from === region.from && other.to === region.to);
+      const offset = (sameSpan.indexOf(region) - (sameSpan.length - 1) / 2) * 14;
+      const box = create('rect', {
+        x: x + 2, y: top - dotRadius - 2, width: boxWidth - 4, height: bottom - top + 2 * dotRadius + 4, rx: 6,
+        class: `neck-region${region.active ? ' active' : ''}`
+      });
+      box.setAttribute('data-position', region.index);
+      const label = create('text', { x: x + boxWidth / 2 + offset, y: top - dotRadius - 8, class: 'neck-region-label' }, region.label);
+      label.setAttribute('data-position', region.index);
+    });
+
+    // Notes picked out: a scale fingering, or the voicing's one note per string
+    const marked = fingering || (voicing ? voicing.map(fret => [fret]) : null);
+
+    // Every chord tone on every string
+    for (let string = 0; string < strings; string++) {
+      for (let fret = 0; fret <= fretCount; fret++) {
+        const pc = (tuning[string] + fret) % 12;
+        if (!tones.has(pc)) continue;
+        const interval = tones.get(pc);
+        const x = noteX(fret);
+        const y = stringY(string);
+        const toneClass = (toneClasses && toneClasses.get(pc)) || this.TONE_CLASSES[interval] || 'neck-tone-extension';
+        create('circle', {
+          cx: x, cy: y, r: dotRadius,
+          class: `neck-tone ${toneClass}${marked && !marked[string].includes(fret) ? ' faded' : ''}`
+        });
+        create('text', { x, y: y + 1, class: 'neck-tone-label' }, labels && labels.has(pc) ? labels.get(pc) : interval);
+      }
+    }
+
+    // Rings round the picked-out notes, and an X beside the nut for a voicing's muted strings
+    if (marked) {
+      marked.forEach((frets, string) => {
+        const y = stringY(string);
+        frets.forEach(fret => {
+          if (fret < 0) {
+            create('text', { x: noteX(0), y: y + 1, class: 'neck-muted' }, '×');
+          } else if (fret <= fretCount) {
+            create('circle', { cx: noteX(fret), cy: y, r: dotRadius + 3, class: 'neck-voicing' });
+          }
+        });
+      });
+    }
+
+    return svg;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NeckDiagram;
+}
@@ -0,0 +1,80 @@
+/**
+ * Offline Module
+ * Registers the service worker (sw.js) that caches the app for offline use
+ * and reports when a newer version of the app or chord database has been downloaded
+ */
+
+const Offline = {
+  // Called when an update has been cached and a reload will pick it up
+  onUpdateAvailable: null,
+
+  /**
+   * Check whether service workers can be used (they need http(s), not file://)
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator && window.location.protocol !== 'file:';
+  },
+
+  /**
+   * Register the service worker and start listening for updates
+   * @param {Function} onUpdateAvailable - Called when a reload would load newer files
+   */
+  async register(onUpdateAvailable) {
+    if (!this.isSupported()) return;
+
+    this.onUpdateAvailable = onUpdateAvailable;
+    const hadController = !!navigator.serviceWorker.controller;
+
+    // The service worker found changed files and cached them
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data && event.data.type === 'update-available') {
+        this.notifyUpdate();
+      }
+    });
+
+    // A new service worker (new sw.js) took over a page the old one was serving
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (hadController) {
+        this.notifyUpdate();
+      }
+    });
+
+    try {
+      await navigator.serviceWorker.register('sw.js');
+      await navigator.serviceWorker.ready;
+    } catch (error) {
+      console.warn('Service worker registration failed:', error);
+      return;
+    }
+
+    this.checkForUpdates();
+    window.addEventListener('online', () => this.checkForUpdates());
+  },
+
+  /**
+   * Ask the service worker to check the network for a newer version of the app
+   */
+  checkForUpdates() {
+    const controller = navigator.serviceWorker.controller;
+    if (controller && navigator.onLine) {
+      controller.postMessage({ type: 'check-for-updates' });
+    }
+  },
+
+  /**
+   * Report an available update (once per page load)
+   */
+  notifyUpdate() {
+    if (this.onUpdateAvailable) {
+      const callback = this.onUpdateAvailable;
+      this.onUpdateAvailable = null;
+      callback();
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Offline;
+}
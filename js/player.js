@@ -0,0 +1,218 @@
+/**
+ * Chord Player Module
+ * Plays chord voicings with plucked-string synthesis (Karplus-Strong) through Web Audio.
+ * Notes are synthesized in the browser; no samples are loaded.
+ */
+
+const ChordPlayer = {
+  /**
+   * Playing styles: strum or arpeggio, starting from the low or the high string.
+   * A downstrum starts on the lowest sounding string, an upstrum on the highest.
+   */
+  STYLES: {
+    "strum-down":    { id: "strum-down", name: "Strum down", highFirst: false, arpeggio: false },
+    "strum-up":      { id: "strum-up", name: "Strum up", highFirst: true, arpeggio: false },
+    "arpeggio-up":   { id: "arpeggio-up", name: "Arpeggio up", highFirst: false, arpeggio: true },
+    "arpeggio-down": { id: "arpeggio-down", name: "Arpeggio down", highFirst: true, arpeggio: true }
+  },
+
+  /**
+   * Seconds between successive strings, for strums and arpeggios
+   */
+  SPEEDS: {
+    "fast":   { id: "fast", name: "Fast", strum: 0.015, arpeggio: 0.12 },
+    "medium": { id: "medium", name: "Medium", strum: 0.035, arpeggio: 0.22 },
+    "slow":   { id: "slow", name: "Slow", strum: 0.07, arpeggio: 0.35 }
+  },
+
+  // Length of each synthesized note in seconds
+  NOTE_DURATION: 2.5,
+
+  // Feedback of the string loop (closer to 1 rings longer)
+  DECAY: 0.996,
+
+  // Current options
+  options: { style: 'strum-down', speed: 'medium' },
+
+  // Web Audio state (created on first play, since browsers require a user gesture)
+  context: null,
+  masterGain: null,
+  buffers: new Map(),
+  activeSources: new Set(),
+
+  /**
+   * Check whether the browser supports Web Audio
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof window !== 'undefined' && !!(window.AudioContext || window.webkitAudioContext);
+  },
+
+  /**
+   * Get (creating if needed) the audio context
+   * @returns {AudioContext|null} - Context, or null without Web Audio
+   */
+  getContext() {
+    if (!this.isSupported()) return null;
+
+    if (!this.context) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      this.context = new AudioContextClass();
+      this.masterGain = this.context.createGain();
+      this.masterGain.gain.value = 0.8;
+      this.masterGain.connect(this.context.destination);
+    }
+
+    if (this.context.state === 'suspended') {
+      this.context.resume();
+    }
+
+    return this.context;
+  },
+
+  /**
+   * Update playing options
+   * @param {Object} options - { style, speed } (IDs from STYLES and SPEEDS)
+   */
+  setOptions(options) {
+    this.options = { ...this.options, ...options };
+  },
+
+  /**
+   * Synthesize a plucked string: a burst of noise circulating in a delay line
+   * one period long, averaged each pass so it mellows and decays like a string
+   * @param {AudioContext} context - Audio context
+   * @param {number} midi - MIDI note
+   * @returns {AudioBuffer}
+   */
+  _createPluckBuffer(context, midi) {
+    if (this.buffers.has(midi)) {
+      return this.buffers.get(midi);
+    }
+
+    const sampleRate = context.sampleRate;
+    const frequency = 440 * Math.pow(2, (midi - 69) / 12);
+    const length = Math.floor(sampleRate * this.NOTE_DURATION);
+    const buffer = context.createBuffer(1, length, sampleRate);
+    const data = buffer.getChannelData(0);
+
+    const period = Math.max(2, Math.round(sampleRate / frequency));
+    const delayLine = new Float32Array(period);
+    for (let i = 0; i < period; i++) {
+      delayLine[i] = Math.random() * 2 - 1;
+    }
+
+    let index = 0;
+    for (let i = 0; i < length; i++) {
+      const next = (index + 1) % period;
+      data[i] = delayLine[index];
+      delayLine[index] = this.DECAY * 0.5 * (delayLine[index] + delayLine[next]);
+      index = next;
+    }
+
+    this.buffers.set(midi, buffer);
+    return buffer;
+  },
+
+  /**
+   * Schedule one plucked note
+   * @param {number} midi - MIDI note
+   * @param {number} when - Start time (context seconds)
+   * @param {number} volume - Peak gain (0-1)
+   * @param {number} duration - Seconds before the note is damped (default NOTE_DURATION)
+   */
+  playNote(midi, when, volume = 0.5, duration = this.NOTE_DURATION) {
+    const context = this.getContext();
+    if (!context) return;
+
+    const source = context.createBufferSource();
+    source.buffer = this._createPluckBuffer(context, midi);
+
+    const gain = context.createGain();
+    const end = when + Math.min(duration, this.NOTE_DURATION);
+    gain.gain.setValueAtTime(volume, when);
+    gain.gain.setValueAtTime(volume, Math.max(when, end - 0.05));
+    gain.gain.exponentialRampToValueAtTime(0.001, end);
+
+    source.connect(gain);
+    gain.connect(this.masterGain);
+    source.start(when);
+    source.stop(end);
+
+    this.activeSources.add(source);
+    source.onended = () => this.activeSources.delete(source);
+  },
+
+  /**
+   * Schedule a metronome click
+   * @param {number} when - Start time (context seconds)
+   * @param {boolean} accent - Higher, louder click for the first beat of a bar
+   */
+  playClick(when, accent = false) {
+    const context = this.getContext();
+    if (!context) return;
+
+    const oscillator = context.createOscillator();
+    oscillator.frequency.value = accent ? 1500 : 1000;
+
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(accent ? 0.3 : 0.18, when);
+    gain.gain.exponentialRampToValueAtTime(0.001, when + 0.04);
+
+    oscillator.connect(gain);
+    gain.connect(this.masterGain);
+    oscillator.start(when);
+    oscillator.stop(when + 0.05);
+
+    this.activeSources.add(oscillator);
+    oscillator.onended = () => this.activeSources.delete(oscillator);
+  },
+
+  /**
+   * Play a chord position's notes (position.midi, low string to high)
+   * @param {Object} position - Chord position with midi
+   * @param {Object} options - Overrides: style, speed, when (context seconds), duration, volume (0-1)
+   * @returns {number} - Seconds until the last note has started ringing out, or 0 if nothing played
+   */
+  playPosition(position, options = {}) {
+    const context = this.getContext();
+    if (!context || !position || !position.midi || position.midi.length === 0) return 0;
+
+    const opts = { ...this.options, ...options };
+    const style = this.STYLES[opts.style] || this.STYLES['strum-down'];
+    const speed = this.SPEEDS[opts.speed] || this.SPEEDS.medium;
+    const spacing = style.arpeggio ? speed.arpeggio : speed.strum;
+    const start = opts.when !== undefined ? opts.when : context.currentTime + 0.02;
+
+    const notes = style.highFirst ? position.midi.slice().reverse() : position.midi;
+    const volume = (opts.volume !== undefined ? opts.volume : 1) * 0.6 / Math.sqrt(notes.length);
+
+    notes.forEach((midi, index) => {
+      const when = start + index * spacing;
+      // Every note of a strum is damped together
+      const duration = opts.duration !== undefined ? opts.duration - index * spacing : this.NOTE_DURATION;
+      this.playNote(midi, when, volume, Math.max(duration, spacing));
+    });
+
+    return (notes.length - 1) * spacing;
+  },
+
+  /**
+   * Stop everything that is playing or scheduled
+   */
+  stop() {
+    this.activeSources.forEach(source => {
+      try {
+        source.stop();
+      } catch (error) {
+        // Already stopped
+      }
+    });
+    this.activeSources.clear();
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChordPlayer;
+}
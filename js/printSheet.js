@@ -0,0 +1,349 @@
+/**
+ * Print Sheet Module
+ * Lays out chord diagrams as printable A4 or Letter pages: a header with the
+ * title, key and labelling on every page, a chord chart on the first page
+ * (for progressions), and a grid of diagrams paginated to fit
+ */
+
+const PrintSheet = {
+  // Paper sizes (CSS @page sizes and page dimensions)
+  PAPERS: {
+    a4: { id: 'a4', name: 'A4', size: 'A4', width: '210mm', height: '297mm' },
+    letter: { id: 'letter', name: 'Letter', size: 'letter', width: '8.5in', height: '11in' }
+  },
+
+  // Diagram grids (columns × rows per page)
+  GRIDS: {
+    '2x3': { id: '2x3', name: '2 × 3 (6 per page)', columns: 2, rows: 3 },
+    '3x4': { id: '3x4', name: '3 × 4 (12 per page)', columns: 3, rows: 4 },
+    '4x5': { id: '4x5', name: '4 × 5 (20 per page)', columns: 4, rows: 5 },
+    '5x6': { id: '5x6', name: '5 × 6 (30 per page)', columns: 5, rows: 6 }
+  },
+
+  // Bars per line of the chord chart
+  BARS_PER_LINE: 8,
+
+  STORAGE_KEY: 'guitarChords.print',
+
+  // Layout preferences
+  options: { paper: 'a4', grid: '3x4' },
+
+  // State
+  isOpen: false,
+  buildSheet: null, // Returns the sheet for the chords typed in the toolbar
+  chordsText: null, // Chords typed in the toolbar (null when the sheet has a fixed set)
+  viewElement: null,
+  pagesElement: null,
+  pageStyleElement: null,
+  chordsField: null,
+  chordsInput: null,
+
+  /**
+   * Load the saved paper and grid
+   */
+  load() {
+    const saved = LocalSettings.getJSON(this.STORAGE_KEY, 'print layout');
+    if (saved && this.PAPERS[saved.paper]) this.options.paper = saved.paper;
+    if (saved && this.GRIDS[saved.grid]) this.options.grid = saved.grid;
+  },
+
+  /**
+   * Change and remember a layout option
+   * @param {string} option - "paper" or "grid"
+   * @param {string} value - ID from PAPERS or GRIDS
+   */
+  setOption(option, value) {
+    const table = option === 'paper' ? this.PAPERS : this.GRIDS;
+    if (!table[value]) return;
+
+    this.options[option] = value;
+    LocalSettings.setJSON(this.STORAGE_KEY, this.options, 'print layout');
+    if (this.isOpen) this.renderPages();
+  },
+
+  /**
+   * Split diagrams into pages, leaving room on the first page for the chart
+   * @param {number} count - Number of diagrams
+   * @param {Object} grid - Grid from GRIDS
+   * @param {number} reservedRows - Diagram rows the first page gives up
+   * @returns {Array} - Pages of diagram indices (always at least one page)
+   */
+  paginate(count, grid, reservedRows = 0) {
+    const pages = [];
+    const firstCapacity = grid.columns * (grid.rows - reservedRows);
+    const capacity = grid.columns * grid.rows;
+
+    let start = 0;
+    do {
+      const size = pages.length === 0 ? firstCapacity : capacity;
+      const page = [];
+      for (let index = start; index < Math.min(count, start + size); index++) page.push(index);
+      pages.push(page);
+      start += size;
+    } while (start < count);
+
+    return pages;
+  },
+
+  /**
+   * Diagram rows the chart takes from the first page (two chart lines per row)
+   * @param {Array|null} bars - Chart bars
+   * @param {Object} grid - Grid from GRIDS
+   * @returns {number}
+   */
+  _chartRows(bars, grid) {
+    if (!bars || bars.length === 0) return 0;
+    const lines = Math.ceil(bars.length / this.BARS_PER_LINE);
+    return Math.min(grid.rows - 1, Math.ceil(lines / 2));
+  },
+
+  /**
+   * Render a sheet as pages
+   * @param {Object} sheet - { title, details: [string], bars: [[{ chordName, numeral }]] | null,
+   *   cards: [{ name, numeral, label, diagram: SVGElement, noteNames }] }
+   * @param {Object} options - { paper, grid } IDs
+   * @returns {HTMLElement} - Element holding one .print-page per page
+   */
+  render(sheet, options = this.options) {
+    const paper = this.PAPERS[options.paper];
+    const grid = this.GRIDS[options.grid];
+    const chartRows = this._chartRows(sheet.bars, grid);
+    const pages = this.paginate(sheet.cards.length, grid, chartRows);
+
+    const container = document.createElement('div');
+    container.className = 'print-pages';
+
+    pages.forEach((indices, pageIndex) => {
+      const page = document.createElement('section');
+      page.className = 'print-page';
+      page.style.width = paper.width;
+      // A hair short of the paper, so rounding never spills a blank page
+      page.style.height = `calc(${paper.height} - 1mm)`;
+
+      const header = document.createElement('header');
+      header.className = 'print-header';
+      const title = document.createElement('h1');
+      title.className = 'print-title';
+      title.textContent = sheet.title;
+      header.appendChild(title);
+      const details = document.createElement('p');
+      details.className = 'print-details';
+      details.textContent = sheet.details.join(' · ');
+      header.appendChild(details);
+      if (pages.length > 1) {
+        const pageNumber = document.createElement('span');
+        pageNumber.className = 'print-page-number';
+        pageNumber.textContent = `Page ${pageIndex + 1} of ${pages.length}`;
+        header.appendChild(pageNumber);
+      }
+      page.appendChild(header);
+
+      if (pageIndex === 0 && sheet.bars && sheet.bars.length > 0) {
+        page.appendChild(this._renderChart(sheet.bars));
+      }
+
+      const gridElement = document.createElement('div');
+      gridElement.className = 'print-grid';
+      gridElement.style.gridTemplateColumns = `repeat(${grid.columns}, 1fr)`;
+      gridElement.style.gridTemplateRows = `repeat(${pageIndex === 0 ? grid.rows - chartRows : grid.rows}, 1fr)`;
+      indices.forEach(index => gridElement.appendChild(this._renderCard(sheet.cards[index])));
+      page.appendChild(gridElement);
+
+      container.appendChild(page);
+    });
+
+    return container;
+  },
+
+  /**
+   * Open the print view
+   * @param {Function} buildSheet - Returns the sheet (see render), given the chords typed in the toolbar
+   * @param {string|null} chordsText - Chords to start with, or null for a fixed set (no chords field)
+   */
+  open(buildSheet, chordsText = null) {
+    if (!this.viewElement) this.createViewDOM();
+
+    this.buildSheet = buildSheet;
+    this.chordsText = chordsText;
+    this.chordsField.hidden = chordsText === null;
+    this.chordsInput.value = chordsText || '';
+
+    this.renderPages();
+    this.viewElement.hidden = false;
+    document.body.classList.add('print-view-open');
+    this.isOpen = true;
+    this.viewElement.querySelector('.print-toolbar-print').focus();
+  },
+
+  /**
+   * Close the print view
+   */
+  close() {
+    if (!this.isOpen) return;
+    this.viewElement.hidden = true;
+    this.pagesElement.innerHTML = '';
+    document.body.classList.remove('print-view-open');
+    this.isOpen = false;
+  },
+
+  /**
+   * Create the print view: a toolbar (hidden when printing) over the page previews
+   */
+  createViewDOM() {
+    this.viewElement = document.createElement('div');
+    this.viewElement.className = 'print-view';
+    this.viewElement.hidden = true;
+    this.viewElement.setAttribute('role', 'dialog');
+    this.viewElement.setAttribute('aria-label', 'Print preview');
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'print-toolbar';
+
+    const addSelect = (label, option, table) => {
+      const field = document.createElement('label');
+      field.className = 'setting-select';
+      field.textContent = `${label}: `;
+      const select = document.createElement('select');
+      Object.values(table).forEach(entry => {
+        const item = document.createElement('option');
+        item.value = entry.id;
+        item.textContent = entry.name;
+        item.selected = entry.id === this.options[option];
+        select.appendChild(item);
+      });
+      select.addEventListener('change', () => this.setOption(option, select.value));
+      field.appendChild(select);
+      toolbar.appendChild(field);
+    };
+
+    addSelect('Paper', 'paper', this.PAPERS);
+    addSelect('Grid', 'grid', this.GRIDS);
+
+    this.chordsField = document.createElement('label');
+    this.chordsField.className = 'setting-select print-toolbar-chords';
+    this.chordsField.textContent = 'Chords: ';
+    this.chordsInput = document.createElement('input');
+    this.chordsInput.type = 'text';
+    this.chordsInput.placeholder = 'e.g., C Am F G7';
+    this.chordsInput.addEventListener('change', () => {
+      this.chordsText = this.chordsInput.value;
+      this.renderPages();
+    });
+    this.chordsField.appendChild(this.chordsInput);
+    toolbar.appendChild(this.chordsField);
+
+    const addButton = (label, className, onClick) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `progression-action-button ${className}`;
+      button.textContent = label;
+      button.addEventListener('click', onClick);
+      toolbar.appendChild(button);
+    };
+
+    addButton('Print', 'print-toolbar-print', () => window.print());
+    addButton('Close', 'print-toolbar-close', () => this.close());
+
+    this.pagesElement = document.createElement('div');
+    this.pagesElement.className = 'print-preview';
+
+    this.viewElement.appendChild(toolbar);
+    this.viewElement.appendChild(this.pagesElement);
+    document.body.appendChild(this.viewElement);
+
+    // Page size for the printer, kept in step with the paper option
+    this.pageStyleElement = document.createElement('style');
+    document.head.appendChild(this.pageStyleElement);
+
+    document.addEventListener('keydown', (e) => {
+      if (this.isOpen && e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      }
+    });
+  },
+
+  /**
+   * Rebuild the sheet and render it with the current layout options
+   */
+  renderPages() {
+    const sheet = this.buildSheet(this.chordsText);
+    this.pagesElement.innerHTML = '';
+    this.pagesElement.appendChild(this.render(sheet));
+    this.pageStyleElement.textContent = `@page { size: ${this.PAPERS[this.options.paper].size}; margin: 0; }`;
+  },
+
+  /**
+   * Render the chord chart: chord names with their numerals, bar by bar
+   * @param {Array} bars - Bars of { chordName, numeral }
+   * @returns {HTMLElement}
+   */
+  _renderChart(bars) {
+    const chart = document.createElement('div');
+    chart.className = 'print-chart';
+    chart.style.gridTemplateColumns = `repeat(${Math.min(bars.length, this.BARS_PER_LINE)}, 1fr)`;
+
+    bars.forEach(bar => {
+      const cell = document.createElement('div');
+      cell.className = 'print-chart-bar';
+      bar.forEach(chord => {
+        const entry = document.createElement('span');
+        entry.className = 'print-chart-chord';
+        const name = document.createElement('strong');
+        name.textContent = chord.chordName;
+        entry.appendChild(name);
+        if (chord.numeral) {
+          const numeral = document.createElement('small');
+          numeral.textContent = chord.numeral;
+          entry.appendChild(numeral);
+        }
+        cell.appendChild(entry);
+      });
+      chart.appendChild(cell);
+    });
+
+    return chart;
+  },
+
+  /**
+   * Render one diagram cell
+   * @param {Object} card - { name, numeral, label, diagram, noteNames }
+   * @returns {HTMLElement}
+   */
+  _renderCard(card) {
+    const cell = document.createElement('div');
+    cell.className = 'print-card';
+
+    const heading = document.createElement('div');
+    heading.className = 'print-card-name';
+    heading.textContent = card.name;
+    if (card.numeral) {
+      const numeral = document.createElement('span');
+      numeral.className = 'print-card-numeral';
+      numeral.textContent = card.numeral;
+      heading.appendChild(numeral);
+    }
+    cell.appendChild(heading);
+
+    if (card.label) {
+      const label = document.createElement('div');
+      label.className = 'print-card-label';
+      label.textContent = card.label;
+      cell.appendChild(label);
+    }
+
+    // Cloned so the sheet can be re-rendered with another layout
+    cell.appendChild(card.diagram.cloneNode(true));
+
+    if (card.noteNames) {
+      cell.appendChild(ChordDiagram.renderNotesRow(card.noteNames));
+    }
+
+    return cell;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PrintSheet;
+}
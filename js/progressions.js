@@ -5,10 +5,46 @@
 
 const Progressions = {
   /**
-   * Display keys in flat notation (jazz convention)
+   * Keys by pitch class, in flat notation as used in links and lookups
+   * (Spelling.spellKey gives the name to display, e.g. "F#" for "Gb")
    */
   KEYS: ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'],
 
+  /**
+   * Key modes, in selector order: semitones the tonic sits above its parent major
+   * key's tonic (so D Dorian and A minor share C major's notes), and whether the
+   * mode's third is 'major' or 'minor' (which sets how its key names are spelled)
+   */
+  MODES: {
+    major:      { id: 'major', name: 'major', offset: 0, third: 'major' },
+    minor:      { id: 'minor', name: 'minor', offset: 9, third: 'minor' },
+    dorian:     { id: 'dorian', name: 'Dorian', offset: 2, third: 'minor' },
+    phrygian:   { id: 'phrygian', name: 'Phrygian', offset: 4, third: 'minor' },
+    lydian:     { id: 'lydian', name: 'Lydian', offset: 5, third: 'major' },
+    mixolydian: { id: 'mixolydian', name: 'Mixolydian', offset: 7, third: 'major' },
+    locrian:    { id: 'locrian', name: 'Locrian', offset: 11, third: 'minor' }
+  },
+
+  // Home mode of progressions that don't declare one
+  DEFAULT_MODE: 'major',
+
+  /**
+   * Scale degree of each Roman numeral, which sets the letter its root is spelled on
+   */
+  DEGREES: { 'I': 1, 'II': 2, 'III': 3, 'IV': 4, 'V': 5, 'VI': 6, 'VII': 7 },
+
+  /**
+   * Semitones above the tonic of each major-scale degree (the modes are its rotations)
+   */
+  MAJOR_SCALE: [0, 2, 4, 5, 7, 9, 11],
+
+  /**
+   * Chord qualities stacked in thirds from a scale, by the semitones of the third
+   * and fifth (and seventh) above the root
+   */
+  TRIAD_QUALITIES: { '4,7': '', '3,7': 'm', '3,6': 'dim', '4,8': 'aug' },
+  SEVENTH_QUALITIES: { '4,7,11': 'maj7', '4,7,10': '7', '3,7,10': 'm7', '3,6,10': 'm7b5', '3,6,9': 'dim7' },
+
   /**
    * Semitones from root for each scale degree
    */
@@ -47,6 +83,22 @@ const Progressions = {
     "m":    ["m", "m7", "m9", "madd9"]
   },
 
+  /**
+   * Progression categories, in display order
+   */
+  CATEGORIES: {
+    jazz: 'Jazz',
+    blues: 'Blues',
+    pop: 'Pop',
+    custom: 'My Progressions'
+  },
+
+  // localStorage key for user-created progressions
+  STORAGE_KEY: 'guitarChords.customProgressions',
+
+  // User-created progressions, keyed by ID (loaded by loadCustom)
+  customProgressions: {},
+
   /**
    * Progression definitions
    */
@@ -66,6 +118,7 @@ const Progressions = {
       description: '"Blue Bossa," "Autumn Leaves," "Alone Together," "Softly as in a Morning Sunrise."',
       numerals: ["ii", "V", "i"],
       qualities: { "ii": "m7b5", "V": "7", "i": "m7" },
+      mode: "minor",
       category: "jazz"
     },
     "turnaround": {
@@ -128,6 +181,7 @@ const Progressions = {
       description: '"Mr. PC," "Equinox," "Birk\'s Works," "Israel."',
       numerals: ["i", "i", "i", "i", "iv", "iv", "i", "i", "V", "iv", "i", "V"],
       qualities: { "i": "m7", "iv": "m7", "V": "7" },
+      mode: "minor",
       category: "blues",
       displayMode: "summary"
     },
@@ -202,13 +256,12 @@ const Progressions = {
    * @returns {Object} - Progressions organized by category
    */
   getByCategory() {
-    const categories = {
-      jazz: { name: 'Jazz', progressions: [] },
-      blues: { name: 'Blues', progressions: [] },
-      pop: { name: 'Pop', progressions: [] }
-    };
+    const categories = {};
+    Object.entries(this.CATEGORIES).forEach(([id, name]) => {
+      categories[id] = { name, progressions: [] };
+    });
 
-    Object.values(this.PROGRESSIONS).forEach(prog => {
+    Object.values({ ...this.PROGRESSIONS, ...this.customProgressions }).forEach(prog => {
       const cat = prog.category || 'pop';
       if (categories[cat]) {
         categories[cat].progressions.push(prog);
@@ -224,16 +277,363 @@ const Progressions = {
    * @returns {Object|null} - Progression object or null
    */
   getById(id) {
-    return this.PROGRESSIONS[id] || null;
+    return this.PROGRESSIONS[id] || this.customProgressions[id] || null;
+  },
+
+  /**
+   * Load user-created progressions from localStorage
+   * @returns {Object} - Custom progressions keyed by ID
+   */
+  loadCustom() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+      this.customProgressions = stored && typeof stored === 'object' ? stored : {};
+    } catch (error) {
+      console.error('Failed to load custom progressions:', error);
+      this.customProgressions = {};
+    }
+
+    return this.customProgressions;
+  },
+
+  /**
+   * Write user-created progressions to localStorage
+   */
+  _persistCustom() {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.customProgressions));
+    } catch (error) {
+      console.error('Failed to save custom progressions:', error);
+    }
+  },
+
+  /**
+   * Create or update a custom progression
+   * @param {Object} progression - Progression definition (an ID is assigned if missing)
+   * @returns {Object} - The saved progression
+   */
+  saveCustom(progression) {
+    const id = progression.id && this.customProgressions[progression.id]
+      ? progression.id
+      : `custom-${Date.now().toString(36)}`;
+
+    const saved = { ...progression, id, custom: true };
+    this.customProgressions[id] = saved;
+    this._persistCustom();
+
+    return saved;
+  },
+
+  /**
+   * Copy any progression (built-in or custom) into a new custom progression
+   * @param {string} id - Progression ID
+   * @returns {Object|null} - The new progression or null if not found
+   */
+  duplicate(id) {
+    const original = this.getById(id);
+    if (!original) return null;
+
+    const copy = JSON.parse(JSON.stringify(original));
+    delete copy.id;
+    copy.name = `${original.name} (copy)`;
+    return this.saveCustom(copy);
+  },
+
+  /**
+   * Delete a custom progression
+   * @param {string} id - Progression ID
+   * @returns {boolean} - Whether a progression was deleted
+   */
+  deleteCustom(id) {
+    if (!this.customProgressions[id]) return false;
+
+    delete this.customProgressions[id];
+    this._persistCustom();
+    return true;
+  },
+
+  /**
+   * Split a chord token like "iim7", "bVII7" or "#IVm7b5" into numeral and quality.
+   * A bare lower-case numeral is minor ("vi" is "vim", a bare "vii" is "viidim"), and a
+   * secondary dominant like "V7/ii" becomes the chord it stands for ("VI7")
+   * @param {string} token - Numeral followed by a chord quality
+   * @returns {Object|null} - { n, q } or null if the token doesn't start with a numeral
+   */
+  parseChordToken(token) {
+    const secondary = /^V([^/]*)\/([b#]?(?:VII|vii|VI|vi|IV|iv|V|v|III|iii|II|ii|I|i))$/.exec(token);
+    if (secondary) {
+      const numeral = this.getSecondaryNumeral(secondary[2]);
+      return numeral ? { n: numeral, q: secondary[1] } : null;
+    }
+
+    const match = /^([b#]?(?:VII|vii|VI|vi|IV|iv|V|v|III|iii|II|ii|I|i))(.*)$/.exec(token);
+    if (!match) return null;
+
+    if (match[2] === '' && /[a-z]$/.test(match[1])) {
+      return { n: match[1], q: match[1] === 'vii' ? 'dim' : 'm' };
+    }
+    return { n: match[1], q: match[2] };
+  },
+
+  /**
+   * Get the numeral a secondary dominant stands for: the fifth above its target
+   * (V/ii is VI, V/IV is I, V/bIII is bVII)
+   * @param {string} target - Target numeral (e.g., "ii", "bVI")
+   * @returns {string|null} - Upper-case numeral, or null if one b or # can't spell it
+   */
+  getSecondaryNumeral(target) {
+    const interval = this.getInterval(target);
+    const degree = this.getDegree(target);
+    if (interval === undefined || degree === undefined) return null;
+
+    // A fifth up is four scale degrees up
+    const roman = Object.keys(this.DEGREES)[(degree + 3) % 7];
+    const offset = ((interval + 7 - this.INTERVALS[roman]) % 12 + 18) % 12 - 6;
+    if (Math.abs(offset) > 1) return null;
+
+    return (offset === -1 ? 'b' : offset === 1 ? '#' : '') + roman;
+  },
+
+  /**
+   * Parse progression text written in Roman numerals.
+   * Chords are separated by spaces, bars by "|", and lines starting with
+   * "Label:" become sections, e.g.
+   *   A: Imaj7 VI7 | iim7 V7
+   *   Bridge: III7 | VI7 | II7 | V7
+   * @param {string} text - Progression text
+   * @returns {Object} - { data } with numerals/qualities, chart or sections, or { error }
+   */
+  parseText(text) {
+    const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length === 0) {
+      return { error: 'Enter at least one chord, e.g. "iim7 V7 Imaj7".' };
+    }
+
+    // Each line: optional "Label:" then bars of chords
+    const parsedLines = [];
+    for (const line of lines) {
+      const labelMatch = /^([^:|]+):\s*(.*)$/.exec(line);
+      const label = labelMatch ? labelMatch[1].trim() : null;
+      const body = labelMatch ? labelMatch[2] : line;
+
+      const bars = [];
+      for (const barText of body.split('|')) {
+        const tokens = barText.trim().split(/\s+/).filter(Boolean);
+        if (tokens.length === 0) continue;
+
+        const bar = [];
+        for (const token of tokens) {
+          const chord = this.parseChordToken(token);
+          if (!chord || this.getInterval(chord.n.replace(/[0-9]/g, '')) === undefined) {
+            return { error: `"${token}" doesn't start with a Roman numeral (I-VII, optionally with b or #).` };
+          }
+          if (!ChordParser.parse('C' + chord.q)) {
+            return { error: `"${chord.q}" in "${token}" isn't a chord quality this app understands.` };
+          }
+          bar.push(chord);
+        }
+        bars.push(bar);
+      }
+
+      if (bars.length === 0) {
+        return { error: `No chords found in "${line}".` };
+      }
+      parsedLines.push({ label, bars, hasBarLines: body.includes('|') });
+    }
+
+    // Labelled lines become A/B/C... sections
+    if (parsedLines.some(line => line.label)) {
+      const sections = {};
+      parsedLines.forEach((line, index) => {
+        const sectionKey = String.fromCharCode(65 + index);
+        sections[sectionKey] = { label: line.label || `Section ${sectionKey}`, chart: line.bars };
+      });
+      return { data: { sections, displayMode: 'sections' } };
+    }
+
+    const bars = parsedLines.flatMap(line => line.bars);
+    const chords = bars.flat();
+
+    // Plain chord lists use one quality per numeral; anything else is a chart
+    const qualities = {};
+    const consistent = chords.every(chord => {
+      if (qualities[chord.n] === undefined) qualities[chord.n] = chord.q;
+      return qualities[chord.n] === chord.q;
+    });
+
+    if (!parsedLines.some(line => line.hasBarLines) && consistent) {
+      return { data: { numerals: chords.map(chord => chord.n), qualities } };
+    }
+
+    const chart = parsedLines.some(line => line.hasBarLines) ? bars : chords.map(chord => [chord]);
+    return { data: { chart, displayMode: 'chart' } };
+  },
+
+  /**
+   * Write a progression back as text for editing (inverse of parseText)
+   * @param {Object} progression - Progression definition
+   * @returns {string} - Progression text
+   */
+  formatText(progression) {
+    const formatBars = bars => bars.map(bar => bar.map(chord => chord.n + chord.q).join(' ')).join(' | ');
+
+    if (progression.sections) {
+      return Object.values(progression.sections).map(section => {
+        const bars = section.chart || section.numerals.map(numeral => [{ n: numeral, q: section.qualities[numeral] || '' }]);
+        return `${section.label}: ${section.chart ? formatBars(bars) : bars.map(bar => bar[0].n + bar[0].q).join(' ')}`;
+      }).join('\n');
+    }
+
+    if (progression.chart) {
+      return formatBars(progression.chart);
+    }
+
+    return progression.numerals.map(numeral => numeral + (progression.qualities[numeral] || '')).join(' ');
+  },
+
+  /**
+   * Get a progression's home mode: the mode its numerals are counted from
+   * @param {Object} progression - Progression definition
+   * @returns {string} - Key of MODES
+   */
+  getMode(progression) {
+    return progression && this.MODES[progression.mode] ? progression.mode : this.DEFAULT_MODE;
+  },
+
+  /**
+   * Get the display name of a key in a mode
+   * @param {string} key - Key name (e.g., "Gb")
+   * @param {string} mode - Key of MODES
+   * @returns {string} - e.g. "F# major", "Eb minor", "D Dorian"
+   */
+  getKeyName(key, mode = this.DEFAULT_MODE) {
+    const keyMode = this.MODES[mode] || this.MODES[this.DEFAULT_MODE];
+    return `${Spelling.spellKey(key, keyMode.third)} ${keyMode.name}`;
+  },
+
+  /**
+   * Get the key in another mode that shares a key's notes (C major to A minor,
+   * D Dorian to C major, C minor to Eb major)
+   * @param {string} key - Key name
+   * @param {string} mode - Key of MODES the key is in
+   * @param {string} targetMode - Key of MODES wanted
+   * @returns {string} - Key name in flat notation, as KEYS
+   */
+  getRelativeKey(key, mode, targetMode) {
+    const keyIndex = this.KEYS.indexOf(this.normalizeToFlat(key));
+    if (keyIndex === -1) return key;
+
+    const offset = this.MODES[targetMode].offset - this.MODES[mode].offset;
+    return this.KEYS[(keyIndex + offset + 12) % 12];
+  },
+
+  /**
+   * Get the semitones above the key for a numeral
+   * Numerals not listed in INTERVALS are read as a major-scale degree with an optional b/# prefix.
+   * @param {string} numeral - Roman numeral without digits (e.g., "ii", "bVII", "#IV")
+   * @returns {number|undefined} - Semitones (0-11) or undefined if not a numeral
+   */
+  getInterval(numeral) {
+    if (this.INTERVALS[numeral] !== undefined) {
+      return this.INTERVALS[numeral];
+    }
+
+    const match = /^([b#]?)(VII|VI|V|IV|III|II|I)$/i.exec(numeral);
+    if (!match) return undefined;
+
+    const offset = match[1] === 'b' ? -1 : match[1] === '#' ? 1 : 0;
+    return (this.INTERVALS[match[2].toUpperCase()] + offset + 12) % 12;
+  },
+
+  /**
+   * Get the scale degree a numeral's root is written on ("bVII" is 7, so Bb in C, not A#)
+   * @param {string} numeral - Roman numeral without digits (e.g., "bVII", "iii")
+   * @returns {number|undefined} - 1-7 or undefined if not a numeral
+   */
+  getDegree(numeral) {
+    const match = /^[b#]?(VII|VI|V|IV|III|II|I)$/i.exec(numeral);
+    return match ? this.DEGREES[match[1].toUpperCase()] : undefined;
+  },
+
+  /**
+   * Get the semitones above the tonic of each degree of a mode's scale
+   * @param {string} mode - Key of MODES
+   * @returns {Array} - Seven semitone offsets (e.g., [0, 2, 3, 5, 7, 8, 10] for minor)
+   */
+  getScale(mode) {
+    const offset = (this.MODES[mode] || this.MODES[this.DEFAULT_MODE]).offset;
+    const start = this.MAJOR_SCALE.indexOf(offset);
+    return this.MAJOR_SCALE.map((_, index) => (this.MAJOR_SCALE[(start + index) % 7] - offset + 12) % 12);
+  },
+
+  /**
+   * Get the diatonic triad and seventh chord on a degree of a mode.
+   * Minor keys raise the seventh for their V chord (as harmonic minor does), so a
+   * minor ii-V-i has V7 rather than v7
+   * @param {string} mode - Key of MODES
+   * @param {number} degree - Scale degree (1-7)
+   * @returns {Object} - { triad, seventh } qualities (e.g., { triad: "m", seventh: "m7" })
+   */
+  getDiatonicQualities(mode, degree) {
+    const scale = this.getScale(mode);
+    if (mode === 'minor' && degree === 5) {
+      scale[6] = 11;
+    }
+
+    const root = scale[degree - 1];
+    const above = steps => (scale[(degree - 1 + steps) % 7] - root + 12) % 12;
+    const third = above(2);
+    const fifth = above(4);
+    const seventh = above(6);
+
+    return {
+      triad: this.TRIAD_QUALITIES[`${third},${fifth}`],
+      seventh: this.SEVENTH_QUALITIES[`${third},${fifth},${seventh}`]
+    };
+  },
+
+  /**
+   * Re-harmonise a chord of a progression written in one mode for another mode.
+   * A diatonic triad or seventh chord of the home mode becomes the triad or seventh
+   * on the same degree of the new mode (ii m7 in major is ii m7b5 in minor, vi is bVI).
+   * Borrowed and chromatic chords (bVII7, VI7 as V7/ii) and other qualities
+   * (sus, 6, 9) stay as written.
+   * @param {string} numeral - Roman numeral (e.g., "iii")
+   * @param {string} quality - Chord quality suffix (e.g., "m7")
+   * @param {string} fromMode - Key of MODES the numeral is written in
+   * @param {string} toMode - Key of MODES to play it in
+   * @returns {Object} - { numeral, quality } (e.g., { numeral: "bIII", quality: "maj7" })
+   */
+  reharmonize(numeral, quality, fromMode, toMode) {
+    const degree = this.getDegree(numeral);
+    if (fromMode === toMode || degree === undefined) return { numeral, quality };
+    if (this.getInterval(numeral) !== this.getScale(fromMode)[degree - 1]) return { numeral, quality };
+
+    const from = this.getDiatonicQualities(fromMode, degree);
+    const to = this.getDiatonicQualities(toMode, degree);
+    if (quality !== from.triad && quality !== from.seventh) return { numeral, quality };
+
+    const newQuality = quality === from.triad ? to.triad : to.seventh;
+
+    const interval = this.getScale(toMode)[degree - 1];
+    const offset = interval - this.MAJOR_SCALE[degree - 1];
+    const roman = Object.keys(this.DEGREES)[degree - 1];
+    const minor = /^(m(?!aj)|dim)/.test(newQuality);
+
+    return {
+      numeral: (offset < 0 ? 'b' : offset > 0 ? '#' : '') + (minor ? roman.toLowerCase() : roman),
+      quality: newQuality
+    };
   },
 
   /**
    * Resolve a numeral to a chord root in a given key
    * @param {string} numeral - Roman numeral (e.g., "ii", "V", "I")
    * @param {string} key - Key name (e.g., "C", "Db", "G")
-   * @returns {string} - Chord root in flat notation
+   * @param {string} mode - Key of MODES, for spelling (G# minor rather than Ab)
+   * @returns {string} - Chord root spelled for the key (e.g., "F#" for "iii" in D)
    */
-  resolveRoot(numeral, key) {
+  resolveRoot(numeral, key, mode = this.DEFAULT_MODE) {
     // Normalize key to flat notation
     const normalizedKey = this.normalizeToFlat(key);
     const keyIndex = this.KEYS.indexOf(normalizedKey);
@@ -245,16 +645,16 @@ const Progressions = {
 
     // Get interval for numeral (strip any trailing numbers for lookup)
     const cleanNumeral = numeral.replace(/[0-9]/g, '');
-    const interval = this.INTERVALS[cleanNumeral];
+    const interval = this.getInterval(cleanNumeral);
 
     if (interval === undefined) {
       console.error(`Unknown numeral: ${numeral}`);
       return key;
     }
 
-    // Calculate chord root
-    const chordRootIndex = (keyIndex + interval) % 12;
-    return this.KEYS[chordRootIndex];
+    // Spell the root on its scale degree's letter
+    const keyMode = this.MODES[mode] || this.MODES[this.DEFAULT_MODE];
+    return Spelling.spellInKey(normalizedKey, this.getDegree(cleanNumeral), interval, keyMode.third);
   },
 
   /**
@@ -262,25 +662,29 @@ const Progressions = {
    * @param {string} numeral - Roman numeral
    * @param {string} key - Key name
    * @param {string} quality - Chord quality suffix
+   * @param {string} mode - Key of MODES
    * @returns {string} - Full chord name (e.g., "Dm7", "G7", "Cmaj7")
    */
-  resolveChord(numeral, key, quality) {
-    const root = this.resolveRoot(numeral, key);
+  resolveChord(numeral, key, quality, mode = this.DEFAULT_MODE) {
+    const root = this.resolveRoot(numeral, key, mode);
     return root + quality;
   },
 
   /**
    * Resolve an entire progression in a given key
+   * A mode other than the progression's home mode re-harmonises it (see reharmonize).
    * @param {Object} progression - Progression object
    * @param {string} key - Key name
+   * @param {string} mode - Key of MODES
    * @returns {Array} - Array of { numeral, chordName, quality, root }
    */
-  resolveProgression(progression, key) {
+  resolveProgression(progression, key, mode = this.DEFAULT_MODE) {
     if (!progression.numerals) return [];
 
-    return progression.numerals.map(numeral => {
-      const quality = progression.qualities[numeral] || '';
-      const root = this.resolveRoot(numeral, key);
+    const homeMode = this.getMode(progression);
+    return progression.numerals.map(written => {
+      const { numeral, quality } = this.reharmonize(written, progression.qualities[written] || '', homeMode, mode);
+      const root = this.resolveRoot(numeral, key, mode);
       const chordName = root + quality;
 
       return {
@@ -294,17 +698,30 @@ const Progressions = {
 
   /**
    * Resolve a sections-based progression (e.g., Rhythm Changes A/B)
+   * Sections are either numerals + qualities, or a chart of bars (resolved chords then carry their bar index)
    * @param {Object} progression - Progression with sections property
    * @param {string} key - Key name
+   * @param {string} mode - Key of MODES
    * @returns {Object} - { A: { label, resolved }, B: { label, resolved } }
    */
-  resolveSections(progression, key) {
+  resolveSections(progression, key, mode = this.DEFAULT_MODE) {
+    const homeMode = this.getMode(progression);
     const result = {};
 
     Object.entries(progression.sections).forEach(([sectionKey, section]) => {
-      const resolved = section.numerals.map(numeral => {
-        const quality = section.qualities[numeral] || '';
-        const root = this.resolveRoot(numeral, key);
+      if (section.chart) {
+        result[sectionKey] = {
+          label: section.label,
+          resolved: this.resolveChart(section, key, mode, homeMode).flatMap((bar, barIndex) =>
+            bar.map(chord => ({ ...chord, bar: barIndex }))
+          )
+        };
+        return;
+      }
+
+      const resolved = section.numerals.map(written => {
+        const { numeral, quality } = this.reharmonize(written, section.qualities[written] || '', homeMode, mode);
+        const root = this.resolveRoot(numeral, key, mode);
         const chordName = root + quality;
         return { numeral, root, quality, chordName };
       });
@@ -322,16 +739,19 @@ const Progressions = {
    * Resolve a chart-based progression (e.g., Bird Blues)
    * @param {Object} progression - Progression with chart property
    * @param {string} key - Key name
+   * @param {string} mode - Key of MODES
+   * @param {string} homeMode - Key of MODES the chart is written in (default: the progression's)
    * @returns {Array} - Array of bars, each bar is array of { numeral, quality, chordName, root }
    */
-  resolveChart(progression, key) {
+  resolveChart(progression, key, mode = this.DEFAULT_MODE, homeMode = this.getMode(progression)) {
     return progression.chart.map(bar => {
-      return bar.map(chord => {
-        const root = this.resolveRoot(chord.n, key);
-        const chordName = root + chord.q;
+      return bar.map(written => {
+        const { numeral, quality } = this.reharmonize(written.n, written.q, homeMode, mode);
+        const root = this.resolveRoot(numeral, key, mode);
+        const chordName = root + quality;
         return {
-          numeral: chord.n,
-          quality: chord.q,
+          numeral,
+          quality,
           root,
           chordName
         };
@@ -429,7 +849,7 @@ const Progressions = {
   },
 
   /**
-   * Look up a chord in the database
+   * Look up a chord in the database, generating voicings if it is missing
    * @param {string} chordName - Full chord name (e.g., "Dm7")
    * @param {Object} chordData - The chord database
    * @returns {Object|null} - Chord object with positions, or null
@@ -437,28 +857,17 @@ const Progressions = {
   lookupChord(chordName, chordData) {
     if (!chordData) return null;
 
-    // Parse chord name to root + suffix
-    let root = chordName[0];
-    let suffixStart = 1;
+    // Parse chord name to root + database suffix
+    const parsed = ChordParser.parse(chordName, chordData);
+    if (!parsed) return null;
 
-    if (chordName.length > 1 && (chordName[1] === 'b' || chordName[1] === '#')) {
-      root = chordName.slice(0, 2);
-      suffixStart = 2;
-    }
-
-    // Normalize root to flat
-    root = this.normalizeToFlat(root);
-
-    // Get suffix (default to "major" if empty)
-    let suffix = chordName.slice(suffixStart);
-    if (suffix === '') suffix = 'major';
+    const { root, suffix } = parsed;
 
     // Get database key
     const dbKey = this.getDatabaseKey(root);
 
     // Look up in database
-    const keyChords = chordData.chords[dbKey];
-    if (!keyChords) return null;
+    const keyChords = chordData.chords[dbKey] || [];
 
     // Find matching suffix
     const chord = keyChords.find(c => c.suffix === suffix);
@@ -472,6 +881,12 @@ const Progressions = {
       return { ...chordLower, displayRoot: root };
     }
 
+    // Not in the database: compute voicings from the chord's notes
+    const generated = VoicingGenerator.generateChord(parsed, chordData);
+    if (generated) {
+      return { ...generated, displayRoot: root };
+    }
+
     return null;
   }
 };
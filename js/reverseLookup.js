@@ -1,6 +1,6 @@
 /**
  * Reverse Lookup Module
- * Find chord names from a set of notes
+ * Find chord names from a set of notes or from frets on the fingerboard
  */
 
 const ReverseLookup = {
@@ -10,6 +10,9 @@ const ReverseLookup = {
   // Index of MIDI pitch classes to chord names
   midiIndex: null,
 
+  // Full chord tones (pitch classes) of every chord in the database, by name
+  chordTones: null,
+
   // Note name to pitch class (0-11) mapping
   NOTE_TO_PITCH_CLASS: {
     'C': 0, 'C#': 1, 'Db': 1, 'D♭': 1,
@@ -21,13 +24,28 @@ const ReverseLookup = {
     'B': 11, 'B#': 0, 'Cb': 11, 'C♭': 11
   },
 
-  // Pitch class to note name (for display - uses flat notation)
+  // Pitch class to note name (flat notation; displayed names come from spellNotes)
   PITCH_CLASS_TO_NOTE: {
     0: 'C', 1: 'Db', 2: 'D', 3: 'Eb',
     4: 'E', 5: 'F', 6: 'Gb', 7: 'G',
     8: 'Ab', 9: 'A', 10: 'Bb', 11: 'B'
   },
 
+  // Open strings (MIDI) used for fret input when no tuning is given: standard EADGBE
+  DEFAULT_TUNING_MIDI: [40, 45, 50, 55, 59, 64],
+
+  // Highest fret accepted in fret input
+  MAX_FRET: 24,
+
+  // Partial matches: how many entered notes a chord may lack, how many notes it may add,
+  // and how many matches to list
+  MAX_MISSING: 1,
+  MAX_EXTRA: 2,
+  MAX_PARTIAL_MATCHES: 40,
+
+  // Inversion named by the chord degree in the bass
+  INVERSIONS: { '3': '1st inversion', '5': '2nd inversion', '7': '3rd inversion' },
+
   // Map database keys to display format (flat notation)
   DATABASE_KEY_TO_DISPLAY: {
     'C': 'C',
@@ -56,11 +74,18 @@ const ReverseLookup = {
   /**
    * Build index from MIDI pitch class sets to chord names
    * This enables O(1) lookup from notes to chords
+   * @param {string} tuningId - Optional tuning; voicings unplayable in it are left out
    */
-  buildIndex() {
+  buildIndex(tuningId = null) {
     if (!this.chordData) return;
 
     this.midiIndex = new Map();
+    this.chordTones = new Map();
+
+    // Database voicings are written for standard tuning
+    const retune = tuningId && typeof Tunings !== 'undefined' && tuningId !== Tunings.DATABASE_TUNING;
+    const fromMidi = retune ? Tunings.getMidi(Tunings.DATABASE_TUNING) : null;
+    const toMidi = retune ? Tunings.getMidi(tuningId) : null;
 
     // Iterate through all keys (C, Csharp, D, etc.)
     Object.keys(this.chordData.chords).forEach(key => {
@@ -69,13 +94,29 @@ const ReverseLookup = {
       const displayKey = this.DATABASE_KEY_TO_DISPLAY[key] || key;
 
       chords.forEach(chord => {
-        const chordName = displayKey + (chord.suffix === 'major' ? '' : chord.suffix);
+        const suffix = chord.suffix === 'major' ? '' : chord.suffix === 'minor' ? 'm' : chord.suffix;
+        const chordName = displayKey + suffix;
+
+        // Voicings often leave tones out, so partial matching compares against the spelled chord
+        if (!this.chordTones.has(chordName)) {
+          const chordPcs = this.getChordPitchClasses(chordName);
+          if (chordPcs) {
+            this.chordTones.set(chordName, chordPcs);
+          }
+        }
+        const chordTones = this.chordTones.get(chordName);
 
         // Each chord has multiple positions/voicings
-        chord.positions.forEach(position => {
-          if (position.midi && position.midi.length > 0) {
+        chord.positions.forEach(dbPosition => {
+          const position = retune ? Tunings.adaptPosition(dbPosition, fromMidi, toMidi) : dbPosition;
+          if (position && position.midi && position.midi.length > 0) {
             // Convert MIDI notes to pitch classes (0-11)
             const pitchClasses = this.midiToPitchClasses(position.midi);
+
+            // Leave out voicings whose notes aren't tones of the chord they're filed under
+            // (some database entries carry another chord's MIDI)
+            if (chordTones && !pitchClasses.every(pc => chordTones.includes(pc))) return;
+
             const key = this.pitchClassesToKey(pitchClasses);
 
             // Add to index
@@ -125,6 +166,19 @@ const ReverseLookup = {
    * @returns {Array} - Array of pitch classes or null if invalid
    */
   parseNoteInput(input) {
+    const sequence = this.parseNoteSequence(input);
+    if (!sequence) return null;
+    return Array.from(new Set(sequence.map(note => note.pitchClass))).sort((a, b) => a - b);
+  },
+
+  /**
+   * Parse user note input in the order it was entered, keeping octaves when given
+   * ("E3 G3 C4"; C4 is middle C, MIDI 60). Accepts the same formats as parseNoteInput,
+   * though octaves need separators between the notes.
+   * @param {string} input - User input string
+   * @returns {Array|null} - Array of { pitchClass, midi } (midi null without an octave), or null if invalid
+   */
+  parseNoteSequence(input) {
     if (!input || typeof input !== 'string') return null;
 
     let notes = [];
@@ -142,21 +196,25 @@ const ReverseLookup = {
       notes = this.parseCondensedNotes(cleaned);
     }
 
-    // Convert note names to pitch classes
-    const pitchClasses = new Set();
+    // Convert note names to pitch classes (and MIDI notes when an octave follows)
+    const sequence = [];
     for (const note of notes) {
-      const normalized = this.normalizeNoteName(note);
+      const octaveMatch = note.match(/^(.+?)(\d)$/);
+      const normalized = this.normalizeNoteName(octaveMatch ? octaveMatch[1] : note);
       if (normalized === null) {
         continue; // Skip invalid notes
       }
       const pitchClass = this.NOTE_TO_PITCH_CLASS[normalized];
       if (pitchClass !== undefined) {
-        pitchClasses.add(pitchClass);
+        // Octave numbers follow the letter, so B#3 is C4 and Cb4 is B3
+        const letterPc = this.NOTE_TO_PITCH_CLASS[normalized[0]];
+        const offset = pitchClass - letterPc > 6 ? -12 : pitchClass - letterPc < -6 ? 12 : 0;
+        const midi = octaveMatch ? (parseInt(octaveMatch[2], 10) + 1) * 12 + pitchClass + offset : null;
+        sequence.push({ pitchClass, midi });
       }
     }
 
-    if (pitchClasses.size === 0) return null;
-    return Array.from(pitchClasses).sort((a, b) => a - b);
+    return sequence.length > 0 ? sequence : null;
   },
 
   /**
@@ -245,49 +303,332 @@ const ReverseLookup = {
   },
 
   /**
-   * Search for chords matching the given notes
-   * @param {string} input - User note input
-   * @returns {Object} - { notes: [], chords: [], pitchClasses: [] }
+   * Check whether input is a list of MIDI note numbers ("52 55 60"): separated
+   * numbers, at least one too high to be a fret (so fret strings aren't mistaken for MIDI)
+   * @param {string} input - User input
+   * @returns {boolean}
    */
-  search(input) {
-    const pitchClasses = this.parseNoteInput(input);
+  isMidiInput(input) {
+    if (!input || typeof input !== 'string') return false;
+    const tokens = input.trim().split(/[\s,\-]+/).filter(token => token.length > 0);
+    return tokens.length > 1 &&
+      tokens.every(token => /^\d+$/.test(token) && parseInt(token, 10) <= 127) &&
+      tokens.some(token => parseInt(token, 10) > this.MAX_FRET);
+  },
 
-    if (!pitchClasses || pitchClasses.length === 0) {
-      return { notes: [], chords: [], pitchClasses: [], error: 'Invalid note input' };
-    }
+  /**
+   * Parse a list of MIDI note numbers
+   * @param {string} input - User input
+   * @returns {Array|null} - MIDI notes in the order entered, or null if invalid
+   */
+  parseMidiInput(input) {
+    if (!this.isMidiInput(input)) return null;
+    return input.trim().split(/[\s,\-]+/).filter(token => token.length > 0).map(token => parseInt(token, 10));
+  },
 
-    const key = this.pitchClassesToKey(pitchClasses);
-    const chordSet = this.midiIndex.get(key);
+  /**
+   * Check whether input is a fret string rather than note names
+   * ("x32010", "3-x-0-0-1-3", "x 10 12 12 11 x": only digits, x and separators)
+   * @param {string} input - User input
+   * @returns {boolean}
+   */
+  isFretInput(input) {
+    if (!input || typeof input !== 'string') return false;
+    const cleaned = input.trim();
+    return /\d/.test(cleaned) && /^[\dxX\s,\-]+$/.test(cleaned);
+  },
 
-    // Convert pitch classes back to note names for display
-    const noteNames = pitchClasses.map(pc => this.PITCH_CLASS_TO_NOTE[pc]);
+  /**
+   * Parse a fret string into one fret per string, low string to high
+   * Without separators each character is one string, so frets above 9 need
+   * spaces, commas or dashes between them.
+   * @param {string} input - Fret string
+   * @param {number} stringCount - Strings on the instrument
+   * @returns {Array|null} - Frets (-1 muted, 0 open) or null if invalid
+   */
+  parseFretInput(input, stringCount = this.DEFAULT_TUNING_MIDI.length) {
+    if (!this.isFretInput(input)) return null;
 
-    if (!chordSet || chordSet.size === 0) {
-      return {
-        notes: noteNames,
-        chords: [],
-        pitchClasses: pitchClasses,
-        error: null
-      };
-    }
+    const cleaned = input.trim();
+    const tokens = /[\s,\-]/.test(cleaned)
+      ? cleaned.split(/[\s,\-]+/).filter(token => token.length > 0)
+      : cleaned.split('');
+
+    if (tokens.length !== stringCount) return null;
+
+    const frets = tokens.map(token => (/^x$/i.test(token) ? -1 : parseInt(token, 10)));
+    if (frets.some(fret => Number.isNaN(fret) || fret > this.MAX_FRET)) return null;
+
+    return frets;
+  },
+
+  /**
+   * Format frets as a fret string ("x32010", or space-separated when any fret is above 9)
+   * @param {Array} frets - Frets per string (-1 muted)
+   * @returns {string}
+   */
+  formatFrets(frets) {
+    const tokens = frets.map(fret => (fret < 0 ? 'x' : String(fret)));
+    return frets.some(fret => fret > 9) ? tokens.join(' ') : tokens.join('');
+  },
+
+  /**
+   * Name the inversion of a chord from the note in the bass
+   * @param {Object} chord - Structured chord from ChordParser.parse
+   * @param {number} bassPc - Pitch class of the lowest note
+   * @returns {string} - "root position", "1st inversion", ... or e.g. "9 in the bass"
+   */
+  getInversion(chord, bassPc) {
+    const rootPc = ChordParser.splitRoot(chord.root).pitchClass;
+    if (rootPc === bassPc) return 'root position';
+
+    const interval = chord.intervals.find(label =>
+      (rootPc + ChordDegrees.INTERVAL_SEMITONES[label]) % 12 === bassPc
+    );
+    if (!interval) return `${this.spellNotes([bassPc])[0]} in the bass`;
+
+    return this.INVERSIONS[interval.replace(/[^0-9]/g, '')] || `${interval} in the bass`;
+  },
+
+  /**
+   * Name the chords a set of pitch classes forms over a given bass note.
+   * Database slash chords over a different bass are left out; other chords
+   * are written over the bass ("C/E") unless their root is in the bass.
+   * @param {Array} pitchClasses - Sorted pitch classes
+   * @param {number} bassPc - Pitch class of the lowest note
+   * @returns {Array} - Array of { name, chordName, bass, inversion }, root positions first
+   */
+  nameWithBass(pitchClasses, bassPc) {
+    const chordSet = this.midiIndex.get(this.pitchClassesToKey(pitchClasses)) || new Set();
+    const bass = this.PITCH_CLASS_TO_NOTE[bassPc];
+    const named = new Map();
+
+    chordSet.forEach(candidate => {
+      const parsed = ChordParser.parse(candidate);
+      if (!parsed) return;
+      if (parsed.bass && ChordParser.splitRoot(parsed.bass).pitchClass !== bassPc) return;
+
+      const chordName = parsed.bass ? candidate.slice(0, candidate.lastIndexOf('/')) : candidate;
+      const rootInBass = ChordParser.splitRoot(parsed.root).pitchClass === bassPc;
+      const name = rootInBass ? chordName : `${chordName}/${bass}`;
+
+      if (!named.has(name)) {
+        named.set(name, { name, chordName, bass, inversion: this.getInversion(parsed, bassPc) });
+      }
+    });
+
+    const order = ['root position', ...Object.values(this.INVERSIONS)];
+    const rank = entry => (order.includes(entry.inversion) ? order.indexOf(entry.inversion) : order.length);
+    return Array.from(named.values()).sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name));
+  },
+
+  /**
+   * Search for chords formed by notes over a bass note: exact chords are named
+   * over the bass with their inversion ("C/E", 1st inversion), then close matches
+   * and names from interval analysis
+   * @param {Array} pitchClasses - Pitch classes in sounding order, lowest first (repeats allowed)
+   * @param {number} bassPc - Pitch class of the lowest note
+   * @returns {Object} - { notes, chords, matches, names, pitchClasses, bass, voicings, error }
+   */
+  searchWithBass(pitchClasses, bassPc) {
+    const unique = Array.from(new Set(pitchClasses)).sort((a, b) => a - b);
+    const voicings = this.nameWithBass(unique, bassPc);
+    const names = this.nameFromTheory(unique, bassPc);
+
+    // Notes as they sound, bass first, spelled as tones of the best name found
+    const best = voicings[0] || names.find(entry => entry.chordName);
+    const notes = this.spellNotes(Array.from(new Set(pitchClasses)), best ? best.chordName : null);
 
     return {
-      notes: noteNames,
-      chords: Array.from(chordSet).sort(),
-      pitchClasses: pitchClasses,
+      notes,
+      chords: voicings.map(voicing => voicing.name),
+      matches: this.findPartialMatches(unique, voicings.map(voicing => voicing.chordName)),
+      names,
+      pitchClasses: unique,
+      bass: notes[0],
+      voicings,
       error: null
     };
   },
 
   /**
-   * Get the pitch class set for a chord (for verification)
-   * @param {string} chordName - Chord name (e.g., "Cmaj7")
-   * @returns {Array} - Array of pitch classes
+   * Search for chords formed by MIDI notes (octaves known, so the lowest is the bass)
+   * @param {Array} midi - MIDI note numbers, in any order
+   * @returns {Object} - searchWithBass result plus { midi }
+   */
+  searchMidi(midi) {
+    const sorted = midi.slice().sort((a, b) => a - b);
+    return { ...this.searchWithBass(sorted.map(note => note % 12), sorted[0] % 12), midi };
+  },
+
+  /**
+   * Search for chords sounded by frets on the fingerboard
+   * @param {Array} frets - Frets per string, low to high (-1 muted)
+   * @param {Array} tuningMidi - Open-string MIDI notes, low to high
+   * @returns {Object} - { notes, chords, matches, names, pitchClasses, frets, midi, bass, voicings, error }
+   */
+  searchFrets(frets, tuningMidi = this.DEFAULT_TUNING_MIDI) {
+    const midi = [];
+    frets.forEach((fret, string) => {
+      if (fret >= 0) midi.push(tuningMidi[string] + fret);
+    });
+
+    if (midi.length === 0) {
+      return { notes: [], chords: [], pitchClasses: [], frets, midi, error: 'No strings are played' };
+    }
+
+    return { ...this.searchMidi(midi), frets };
+  },
+
+  /**
+   * Search for chords matching the given notes, MIDI numbers or fret string.
+   * The lowest note is the bass: the lowest MIDI note or octave-numbered note
+   * ("E3 G3 C4"), otherwise the first note entered ("E G C" is C/E).
+   * @param {string} input - User note input (e.g., "E G C", "E3 G3 C4"), MIDI notes ("52 55 60")
+   *   or frets (e.g., "x32010")
+   * @param {Array} tuningMidi - Open-string MIDI notes for fret input (default standard tuning)
+   * @returns {Object} - searchWithBass result, plus midi for MIDI and octave input and the searchFrets fields for fret input
+   */
+  search(input, tuningMidi = this.DEFAULT_TUNING_MIDI) {
+    if (this.isMidiInput(input)) {
+      return this.searchMidi(this.parseMidiInput(input));
+    }
+
+    if (this.isFretInput(input)) {
+      const count = tuningMidi.length;
+      const frets = this.parseFretInput(input, count);
+      if (!frets) {
+        // Examples with as many frets as the instrument has strings
+        const example = pattern => this.formatFrets(Array.from({ length: count }, (_, index) => pattern[index % pattern.length]));
+        return {
+          notes: [], chords: [], pitchClasses: [],
+          error: `Enter one fret or "x" per string (${count} strings), e.g. ${example([-1, 3, 2, 0, 1, 0])} or ${example([-1, 10, 12, 12, 11, -1])}`
+        };
+      }
+      return this.searchFrets(frets, tuningMidi);
+    }
+
+    const sequence = this.parseNoteSequence(input);
+
+    if (!sequence) {
+      return { notes: [], chords: [], pitchClasses: [], error: 'Invalid note input' };
+    }
+
+    // With every octave given the notes can be sorted by pitch
+    if (sequence.every(note => note.midi !== null)) {
+      return this.searchMidi(sequence.map(note => note.midi));
+    }
+
+    const pitchClasses = sequence.map(note => note.pitchClass);
+    return this.searchWithBass(pitchClasses, pitchClasses[0]);
+  },
+
+  /**
+   * Score how close a chord is to the entered notes (100 for an exact match)
+   * @param {number} missing - Entered notes the chord lacks
+   * @param {number} extra - Chord notes that weren't entered
+   * @returns {number}
+   */
+  scoreMatch(missing, extra) {
+    return 100 - 20 * missing - 10 * extra;
+  },
+
+  /**
+   * Describe how a partial match differs from the entered notes
+   * @param {Array} missing - Entered note names the chord lacks
+   * @param {Array} extra - Chord note names that weren't entered
+   * @returns {string} - e.g. "Missing D", "Adds A, F", "Missing D, adds A"
+   */
+  describeMatch(missing, extra) {
+    const parts = [];
+    if (missing.length > 0) parts.push(`missing ${missing.join(', ')}`);
+    if (extra.length > 0) parts.push(`adds ${extra.join(', ')}`);
+    const text = parts.join(', ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+
+  /**
+   * Find chords close to, but not exactly, the entered notes:
+   * - superset: contains every entered note plus up to MAX_EXTRA more
+   * - subset: lacks one entered note and adds nothing
+   * - near: lacks one entered note and adds one
+   * Chords are compared by their full chord tones; equal scores list chords rooted on an
+   * entered note first. Slash chords only appear as exact matches.
+   * @param {Array} pitchClasses - Entered pitch classes
+   * @param {Array} exclude - Chord names already listed as exact matches
+   * @returns {Array} - Array of { chordName, type, missing, extra, score, label }, best first
+   */
+  findPartialMatches(pitchClasses, exclude = []) {
+    if (!this.chordTones || pitchClasses.length === 0) return [];
+
+    const entered = new Set(pitchClasses);
+    const excluded = new Set(exclude);
+    const matches = [];
+
+    this.chordTones.forEach((chordPcs, chordName) => {
+      if (excluded.has(chordName) || chordName.includes('/')) return;
+
+      const missing = pitchClasses.filter(pc => !chordPcs.includes(pc));
+      const extra = chordPcs.filter(pc => !entered.has(pc));
+
+      if (missing.length === 0 && extra.length === 0) return;
+      if (missing.length > this.MAX_MISSING || missing.length === pitchClasses.length) return;
+      if (extra.length > (missing.length > 0 ? 1 : this.MAX_EXTRA)) return;
+
+      const score = this.scoreMatch(missing.length, extra.length);
+      const type = missing.length === 0 ? 'superset' : extra.length === 0 ? 'subset' : 'near';
+
+      const missingNotes = this.spellNotes(missing, chordName);
+      const extraNotes = this.spellNotes(extra, chordName);
+      matches.push({
+        chordName,
+        type,
+        missing: missingNotes,
+        extra: extraNotes,
+        score,
+        label: this.describeMatch(missingNotes, extraNotes)
+      });
+    });
+
+    const rootEntered = match => (entered.has(ChordParser.splitRoot(match.chordName).pitchClass) ? 0 : 1);
+    return matches
+      .sort((a, b) => b.score - a.score || rootEntered(a) - rootEntered(b) || a.chordName.localeCompare(b.chordName))
+      .slice(0, this.MAX_PARTIAL_MATCHES);
+  },
+
+  /**
+   * Spell pitch classes for display (see Spelling.spellNotes)
+   * @param {Array} pitchClasses - Pitch classes, in the order to show them
+   * @param {string|null} chordName - Chord whose tones they are (spelled as displayed), for letter names by interval
+   * @returns {Array} - Note names
+   */
+  spellNotes(pitchClasses, chordName = null) {
+    if (typeof Spelling === 'undefined') {
+      return pitchClasses.map(pc => this.PITCH_CLASS_TO_NOTE[pc]);
+    }
+    return Spelling.spellNotes(pitchClasses, chordName ? Spelling.spellChordName(chordName) : null);
+  },
+
+  /**
+   * Name the notes from interval analysis (see ChordNamer), which also covers
+   * chords the database doesn't have: rootless voicings, upper structures, quartal stacks
+   * @param {Array} pitchClasses - Entered pitch classes
+   * @param {number|null} bassPc - Pitch class of the lowest note, or null if unknown
+   * @returns {Array} - ChordNamer.identify results, most plausible first
+   */
+  nameFromTheory(pitchClasses, bassPc = null) {
+    if (typeof ChordNamer === 'undefined') return [];
+    return ChordNamer.identify(pitchClasses, bassPc);
+  },
+
+  /**
+   * Get the pitch class set for a chord, spelled from its name
+   * @param {string} chordName - Chord name (e.g., "Cmaj7", "C/E", "D/C7")
+   * @returns {Array|null} - Sorted pitch classes, or null if the name can't be read
    */
   getChordPitchClasses(chordName) {
-    // This would require parsing the chord name and looking it up
-    // For now, return null - can be implemented if needed
-    return null;
+    if (typeof ChordNamer === 'undefined') return null;
+    return ChordNamer.getPitchClasses(chordName);
   }
 };
 
@@ -18,7 +18,7 @@ const ChordSearch = {
     'B': 'B', 'B#': 'C', 'CB': 'B', 'Cb': 'B'
   },
 
-  // Display keys in flat notation (jazz convention)
+  // Roots by pitch class in flat notation (getAvailableRoots spells them for display)
   DISPLAY_KEYS: ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'],
 
   // Map normalized notes to actual database object keys
@@ -38,124 +38,6 @@ const ChordSearch = {
     'B': 'B'
   },
 
-  // Common suffix aliases
-  SUFFIX_ALIASES: {
-    // Major variations
-    '': 'major',
-    'M': 'major',
-    'maj': 'major',
-    'MAJ': 'major',
-    'major': 'major',
-    'Major': 'major',
-    'MAJOR': 'major',
-
-    // Minor variations
-    'm': 'minor',
-    'min': 'minor',
-    'MIN': 'minor',
-    '-': 'minor',
-    'minor': 'minor',
-    'Minor': 'minor',
-    'MINOR': 'minor',
-
-    // Diminished
-    'dim': 'dim',
-    'o': 'dim',
-    '°': 'dim',
-    'diminished': 'dim',
-
-    // Diminished 7
-    'dim7': 'dim7',
-    'o7': 'dim7',
-    '°7': 'dim7',
-
-    // Augmented
-    'aug': 'aug',
-    '+': 'aug',
-    'augmented': 'aug',
-
-    // Suspended
-    'sus': 'sus4',
-    'sus4': 'sus4',
-    'sus2': 'sus2',
-    'suspended': 'sus4',
-    'suspended4': 'sus4',
-    'suspended2': 'sus2',
-
-    // 7th variations
-    '7': '7',
-    'dom7': '7',
-    'dominant7': '7',
-    'dominant': '7',
-
-    // Major 7th
-    'maj7': 'maj7',
-    'M7': 'maj7',
-    'major7': 'maj7',
-    'Δ7': 'maj7',
-    'Δ': 'maj7',
-
-    // Minor 7th
-    'm7': 'm7',
-    'min7': 'm7',
-    'minor7': 'm7',
-    '-7': 'm7',
-
-    // Other common ones
-    'm7b5': 'm7b5',
-    'ø': 'm7b5',
-    'ø7': 'm7b5',
-    'half-dim': 'm7b5',
-    'half-diminished': 'm7b5',
-
-    // 9ths
-    '9': '9',
-    'maj9': 'maj9',
-    'm9': 'm9',
-    'min9': 'm9',
-
-    // 6ths
-    '6': '6',
-    'maj6': '6',
-    'm6': 'm6',
-    'min6': 'm6',
-
-    // Add chords
-    'add9': 'add9',
-    'add2': 'add9',
-    'madd9': 'madd9',
-
-    // Power chord
-    '5': '5',
-    'power': '5',
-
-    // 69
-    '69': '69',
-    '6/9': '69',
-
-    // 11ths and 13ths
-    '11': '11',
-    '13': '13',
-    'maj11': 'maj11',
-    'maj13': 'maj13',
-    'm11': 'm11',
-
-    // Slash chords (major)
-    '/A': '/A', '/Ab': '/Ab', '/B': '/B', '/Bb': '/Bb',
-    '/C': '/C', '/C#': '/C#', '/D': '/D', '/E': '/E',
-    '/Eb': '/Eb', '/F': '/F', '/F#': '/F#', '/G': '/G',
-    // Slash chords (minor)
-    'm/A': 'm/A', 'm/Ab': 'm/Ab', 'm/B': 'm/B', 'm/Bb': 'm/Bb',
-    'm/C': 'm/C', 'm/C#': 'm/C#', 'm/D': 'm/D', 'm/E': 'm/E',
-    'm/Eb': 'm/Eb', 'm/F': 'm/F', 'm/F#': 'm/F#', 'm/G': 'm/G',
-    // Slash chords (m9)
-    'm9/A': 'm9/A', 'm9/Ab': 'm9/Ab', 'm9/B': 'm9/B', 'm9/Bb': 'm9/Bb',
-    'm9/C': 'm9/C', 'm9/C#': 'm9/C#', 'm9/D': 'm9/D', 'm9/E': 'm9/E',
-    'm9/Eb': 'm9/Eb', 'm9/F': 'm9/F', 'm9/F#': 'm9/F#', 'm9/G': 'm9/G',
-    // Slash chords (7)
-    '7/G': '7/G'
-  },
-
   /**
    * Initialize with chord data
    */
@@ -165,79 +47,12 @@ const ChordSearch = {
   },
 
   /**
-   * Parse a chord name into root and suffix
-   * @param {string} input - User input like "Cmaj7" or "F#m"
-   * @returns {Object} - { root: 'C', suffix: 'maj7' } or null
+   * Parse a chord name into a structured chord (see ChordParser.parse)
+   * @param {string} input - User input like "Cmaj7", "F#m", "C7(b9,#11)" or "Dm7/G"
+   * @returns {Object} - { root: 'C', suffix: 'maj7', quality, extensions, alterations, bass, ... } or null
    */
   parseChordName(input) {
-    if (!input || typeof input !== 'string') return null;
-
-    // Clean and normalize input
-    let chord = input.trim();
-    if (chord.length === 0) return null;
-
-    // Extract root note (first 1-2 characters)
-    let root = chord[0].toUpperCase();
-    let suffixStart = 1;
-
-    // Check for sharp or flat
-    if (chord.length > 1) {
-      const modifier = chord[1];
-      if (modifier === '#' || modifier === '♯') {
-        root += '#';
-        suffixStart = 2;
-      } else if (modifier === 'b' || modifier === '♭') {
-        // Be careful: 'b' could be part of suffix like "Cb" or could be note "B"
-        // Only treat as flat if followed by something else or it's explicitly flat
-        if (chord.length === 2 || !/[a-gA-G]/.test(chord[0])) {
-          root += 'b';
-          suffixStart = 2;
-        } else {
-          // It's a flat modifier
-          root += 'b';
-          suffixStart = 2;
-        }
-      }
-    }
-
-    // Normalize root note to database format
-    const normalizedRoot = this.NOTE_ALIASES[root];
-    if (!normalizedRoot) {
-      return null;
-    }
-
-    // Extract and normalize suffix
-    let suffix = chord.slice(suffixStart).trim();
-
-    // Handle space-separated suffixes like "C major 7"
-    suffix = suffix.replace(/\s+/g, '');
-
-    // Try to find the suffix in aliases
-    let normalizedSuffix = this.SUFFIX_ALIASES[suffix];
-
-    // If not found directly, try lowercase
-    if (!normalizedSuffix) {
-      normalizedSuffix = this.SUFFIX_ALIASES[suffix.toLowerCase()];
-    }
-
-    // If still not found, check if it exists in the database directly
-    if (!normalizedSuffix && this.chordData) {
-      if (this.chordData.suffixes.includes(suffix)) {
-        normalizedSuffix = suffix;
-      } else if (this.chordData.suffixes.includes(suffix.toLowerCase())) {
-        normalizedSuffix = suffix.toLowerCase();
-      }
-    }
-
-    // Default to major if empty suffix
-    if (!normalizedSuffix && suffix === '') {
-      normalizedSuffix = 'major';
-    }
-
-    return {
-      root: normalizedRoot,
-      suffix: normalizedSuffix || suffix
-    };
+    return ChordParser.parse(input, this.chordData);
   },
 
   /**
@@ -250,9 +65,9 @@ const ChordSearch = {
   },
 
   /**
-   * Search for a chord by name
+   * Search for a chord by name, generating voicings for chords missing from the database
    * @param {string} query - Chord name to search for
-   * @returns {Object|null} - Chord data with positions or null
+   * @returns {Object|null} - Chord data with positions (generated: true if computed) or null
    */
   search(query) {
     if (!this.chordData) {
@@ -269,18 +84,14 @@ const ChordSearch = {
     const dbKey = this.getDatabaseKey(root);
 
     // Find the chord in the database
-    const keyChords = this.chordData.chords[dbKey];
-    if (!keyChords) return null;
+    const keyChords = this.chordData.chords[dbKey] || [];
 
     // Find matching suffix
-    const chord = keyChords.find(c => c.suffix === suffix);
-    if (!chord) {
-      // Try a case-insensitive search
-      const chordLower = keyChords.find(c => c.suffix.toLowerCase() === suffix.toLowerCase());
-      return chordLower || null;
-    }
+    const chord = keyChords.find(c => c.suffix === suffix) ||
+      keyChords.find(c => c.suffix.toLowerCase() === suffix.toLowerCase());
 
-    return chord;
+    // Not in the database: compute voicings from the chord's notes
+    return chord || VoicingGenerator.generateChord(parsed, this.chordData);
   },
 
   /**
@@ -320,30 +131,19 @@ const ChordSearch = {
   /**
    * Get suggestions for partial chord names (matches from START of chord name only)
    * @param {string} partial - Partial chord name
-   * @returns {Array} - Array of matching chord names with display root (flat notation)
+   * @returns {Array} - Array of matching chord names, spelled for display
    */
   getSuggestions(partial) {
     if (!this.chordData || !partial) return [];
 
-    // Parse to get the root, but extract raw suffix from input
-    const parsed = this.parseChordName(partial);
-    if (!parsed) return [];
-
-    const { root } = parsed;
-
-    // Extract the raw suffix from input (what user actually typed)
-    // Don't use parsed.suffix since it normalizes '' to 'major'
-    let rawSuffix = '';
+    // Split off the root, and keep the raw suffix the user actually typed
+    // (a full parse would normalize '' to 'major' and reject partial input)
     const trimmed = partial.trim();
-    if (trimmed.length > 1) {
-      // Find where the root ends
-      let rootEnd = 1;
-      if (trimmed.length > 1 && (trimmed[1] === '#' || trimmed[1] === 'b' ||
-          trimmed[1] === '♯' || trimmed[1] === '♭')) {
-        rootEnd = 2;
-      }
-      rawSuffix = trimmed.slice(rootEnd);
-    }
+    const rootInfo = ChordParser.splitRoot(trimmed);
+    if (!rootInfo) return [];
+
+    const { root } = rootInfo;
+    const rawSuffix = trimmed.slice(rootInfo.length);
 
     const suggestions = [];
 
@@ -354,12 +154,23 @@ const ChordSearch = {
     const keyChords = this.chordData.chords[dbKey];
     if (!keyChords) return [];
 
+    // A complete chord symbol spelled differently from the database (e.g., "C-7")
+    // or missing from it (e.g., "C7#11", voicings are generated) is suggested first
+    const parsed = this.parseChordName(trimmed);
+    if (parsed && (!this.suffixMatches(parsed.suffix, rawSuffix) ||
+        !keyChords.some(c => c.suffix === parsed.suffix))) {
+      suggestions.push(Spelling.spellChordName(ChordParser.getDisplayName(parsed), trimmed));
+    }
+
     // Filter by suffix using smart matching
     keyChords.forEach(chord => {
       if (this.suffixMatches(chord.suffix, rawSuffix)) {
-        // Build display name with flat notation root
+        // Build display name, keeping the root as typed
         const displaySuffix = chord.suffix === 'major' ? '' : chord.suffix;
-        suggestions.push(`${root}${displaySuffix}`);
+        const name = Spelling.spellChordName(`${root}${displaySuffix}`, trimmed);
+        if (!suggestions.includes(name)) {
+          suggestions.push(name);
+        }
       }
     });
 
@@ -375,22 +186,22 @@ const ChordSearch = {
   },
 
   /**
-   * Get all available root notes in flat notation
+   * Get all available root notes, spelled for display
    * @returns {Array} - Array of available root notes
    */
   getAvailableRoots() {
-    return this.DISPLAY_KEYS;
+    return this.DISPLAY_KEYS.map((key, pitchClass) => Spelling.spellRoot(pitchClass));
   },
 
   /**
-   * Get the display name for a chord (uses flat notation)
+   * Get the display name for a chord (see Spelling.spellChordName)
    * @param {string} root - Root note
    * @param {string} suffix - Chord suffix
    * @returns {string} - Display name like "Dbmaj7"
    */
   getDisplayName(root, suffix) {
     const displayRoot = this.NOTE_ALIASES[root] || root;
-    return `${displayRoot}${suffix === 'major' ? '' : suffix}`;
+    return Spelling.spellChordName(`${displayRoot}${suffix === 'major' ? '' : suffix}`);
   }
 };
 
@@ -0,0 +1,288 @@
+/**
+ * Spelling Module
+ * Spells note names from their musical context: chord tones take the letter of
+ * their interval above the root (E major is E G# B, not E Ab B), chords in a key
+ * take the letter of their scale degree (the III of D is F#), and roots with no
+ * context use the usual key-signature names. A global sharps/flats/auto
+ * preference overrides the accidentals everywhere names are shown.
+ *
+ * Lookups elsewhere still use flat names (ChordParser, the chord database);
+ * this module only decides how names are displayed.
+ */
+
+const Spelling = {
+  // Note letters in order, and their pitch classes
+  LETTERS: ['C', 'D', 'E', 'F', 'G', 'A', 'B'],
+  LETTER_PITCH_CLASSES: { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 },
+
+  // Names by pitch class for each accidental style
+  SHARP_NAMES: ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'],
+  FLAT_NAMES: ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'],
+
+  // Names with no key to go by: the tonics of the usual major and minor key signatures
+  MAJOR_KEY_NAMES: ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'],
+  MINOR_KEY_NAMES: ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'G#', 'A', 'Bb', 'B'],
+
+  /**
+   * Accidental preferences
+   */
+  PREFERENCES: {
+    auto: { id: 'auto', name: 'Auto' },
+    sharps: { id: 'sharps', name: 'Sharps (♯)' },
+    flats: { id: 'flats', name: 'Flats (♭)' }
+  },
+
+  // localStorage key for the preference
+  STORAGE_KEY: 'guitarChords.spelling',
+
+  // Current preference (set by load / setPreference)
+  preference: 'auto',
+
+  /**
+   * Load the saved preference from localStorage
+   */
+  load() {
+    this.preference = LocalSettings.getChoice(this.STORAGE_KEY, this.PREFERENCES, 'spelling preference') || this.preference;
+  },
+
+  /**
+   * Set and save the accidental preference
+   * @param {string} preference - 'auto', 'sharps' or 'flats'
+   */
+  setPreference(preference) {
+    if (!this.PREFERENCES[preference]) return;
+
+    this.preference = preference;
+    LocalSettings.set(this.STORAGE_KEY, preference, 'spelling preference');
+  },
+
+  /**
+   * Get the pitch class of a note name (any number of sharps or flats)
+   * @param {string} name - Note name (e.g., "F#", "Bbb")
+   * @returns {number|null} - 0-11, or null if not a note name
+   */
+  pitchClassOf(name) {
+    const match = /^([A-Ga-g])([#♯]*|[b♭]*)$/.exec(name || '');
+    if (!match) return null;
+
+    const letterPc = this.LETTER_PITCH_CLASSES[match[1].toUpperCase()];
+    const offset = /[#♯]/.test(match[2]) ? match[2].length : -match[2].length;
+    return ((letterPc + offset) % 12 + 12) % 12;
+  },
+
+  /**
+   * Spell a pitch class on a given letter ("G" for pitch class 8 is "G#")
+   * @param {number} pitchClass - 0-11
+   * @param {string} letter - Note letter
+   * @param {boolean} allowDouble - Allow double sharps and flats ("Bbb")
+   * @returns {string|null} - Name, or null if it would need too many accidentals
+   */
+  spellOnLetter(pitchClass, letter, allowDouble = false) {
+    let offset = ((pitchClass - this.LETTER_PITCH_CLASSES[letter]) % 12 + 12) % 12;
+    if (offset > 6) offset -= 12;
+
+    const limit = allowDouble ? 2 : 1;
+    if (Math.abs(offset) > limit) return null;
+    return letter + (offset > 0 ? '#'.repeat(offset) : 'b'.repeat(-offset));
+  },
+
+  /**
+   * Apply the sharps/flats preference to a context-spelled name
+   * (in auto the context spelling stands)
+   * @param {string} name - Note name
+   * @returns {string}
+   */
+  applyPreference(name) {
+    if (this.preference === 'auto') return name;
+
+    const pitchClass = this.pitchClassOf(name);
+    if (pitchClass === null) return name;
+    return this.preference === 'sharps' ? this.SHARP_NAMES[pitchClass] : this.FLAT_NAMES[pitchClass];
+  },
+
+  /**
+   * Spell a root with no key or chord to go by
+   * @param {number} pitchClass - 0-11
+   * @param {string} mode - 'major' or 'minor' (sets which key-signature names auto uses)
+   * @returns {string}
+   */
+  spellRoot(pitchClass, mode = 'major') {
+    const pc = ((pitchClass % 12) + 12) % 12;
+    const names = mode === 'minor' ? this.MINOR_KEY_NAMES : this.MAJOR_KEY_NAMES;
+    return this.applyPreference(names[pc]);
+  },
+
+  /**
+   * Spell a key's tonic for display
+   * @param {string} key - Key name (e.g., "Gb", "F#")
+   * @param {string} mode - 'major' or 'minor'
+   * @returns {string} - e.g. "F#" for "Gb" in auto
+   */
+  spellKey(key, mode = 'major') {
+    const pitchClass = this.pitchClassOf(key);
+    return pitchClass === null ? key : this.spellRoot(pitchClass, mode);
+  },
+
+  /**
+   * Get the scale degree (1-7) an interval label is written on
+   * @param {string} label - Interval label (e.g., "R", "b3", "#11", "13")
+   * @returns {number|null}
+   */
+  degreeOf(label) {
+    if (label === 'R') return 1;
+    const number = parseInt(label.replace(/^[b#]+/, ''), 10);
+    return Number.isNaN(number) ? null : ((number - 1) % 7) + 1;
+  },
+
+  /**
+   * Spell the note a number of semitones above a tonic, on the letter of a scale degree
+   * (falls back to the usual name when the letter would need a double accidental)
+   * @param {string} tonic - Context-spelled tonic or root (e.g., "D")
+   * @param {number} degree - Scale degree, 1-7
+   * @param {number} semitones - Semitones above the tonic
+   * @param {boolean} allowDouble - Allow double sharps and flats
+   * @returns {string} - Name before the preference is applied
+   */
+  _spellDegree(tonic, degree, semitones, allowDouble = false) {
+    const tonicPc = this.pitchClassOf(tonic);
+    const pitchClass = ((tonicPc + semitones) % 12 + 12) % 12;
+    const letterIndex = (this.LETTERS.indexOf(tonic[0].toUpperCase()) + degree - 1) % 7;
+    const spelled = this.spellOnLetter(pitchClass, this.LETTERS[letterIndex], allowDouble);
+    return spelled || this.MAJOR_KEY_NAMES[pitchClass];
+  },
+
+  /**
+   * Spell a chord root in a key from its scale degree ("III" of D is F#, "bVII" of C is Bb)
+   * @param {string} key - Key name (e.g., "D", "Gb")
+   * @param {number} degree - Scale degree the root is written on, 1-7
+   * @param {number} semitones - Semitones above the tonic
+   * @param {string} mode - 'major' or 'minor'
+   * @returns {string}
+   */
+  spellInKey(key, degree, semitones, mode = 'major') {
+    const names = mode === 'minor' ? this.MINOR_KEY_NAMES : this.MAJOR_KEY_NAMES;
+    const tonic = names[this.pitchClassOf(key)];
+    return this.applyPreference(this._spellDegree(tonic, degree, semitones));
+  },
+
+  /**
+   * Spell a chord's tones from its root, each on the letter of its interval
+   * @param {string} root - Root as it should be spelled (e.g., "E")
+   * @param {Array} intervals - Interval labels (e.g., ['R', '3', '5'])
+   * @returns {Array} - Names (e.g., ['E', 'G#', 'B'], or ['C', 'Eb', 'Gb', 'Bbb'] for a dim7)
+   */
+  spellChordTones(root, intervals) {
+    return intervals.map(label => {
+      const semitones = ChordDegrees.INTERVAL_SEMITONES[label];
+      const degree = this.degreeOf(label);
+      if (semitones === undefined || degree === null) return null;
+      return this.applyPreference(this._spellDegree(root, degree, semitones, true));
+    }).filter(Boolean);
+  },
+
+  /**
+   * Spell a scale on a chord's root (as written), each note on the letter of its degree
+   * @param {string} chordName - Chord giving the root (e.g., "F#m7", "Gbm7")
+   * @param {Array} steps - Scale steps: [{ degree (1-7), semitones }]
+   * @returns {Array} - Names (e.g., ['F#', 'G#', 'A', 'B', 'C#', 'D#', 'E'] for F# Dorian)
+   */
+  spellScale(chordName, steps) {
+    const root = this._spellChordRoot(chordName, chordName);
+    return steps.map(step => this.applyPreference(this._spellDegree(root, step.degree, step.semitones, true)));
+  },
+
+  /**
+   * Spell pitch classes as the tones of a chord, from its root as written
+   * ("F#m7" gives C#, "Gbm7" gives Db); notes outside the chord get the usual names
+   * @param {Array} pitchClasses - Pitch classes to spell (order kept)
+   * @param {string|null} chordName - Chord giving the context (e.g., "E", "Am7"), or null
+   * @returns {Array} - Names
+   */
+  spellNotes(pitchClasses, chordName = null) {
+    const parsed = chordName ? ChordParser.parse(chordName) : null;
+    if (!parsed) return pitchClasses.map(pc => this.spellRoot(pc));
+
+    const tones = this._toneNames(this._spellChordRoot(chordName, chordName), parsed.intervals);
+    return pitchClasses.map(pc => (tones.has(pc) ? this.applyPreference(tones.get(pc)) : this.spellRoot(pc)));
+  },
+
+  /**
+   * Spell each tone of a chord on the letter of its interval
+   * @param {string} root - Root as it should be spelled
+   * @param {Array} intervals - Interval labels
+   * @returns {Map} - Pitch class to name, before the preference is applied
+   */
+  _toneNames(root, intervals) {
+    const rootPc = this.pitchClassOf(root);
+    const tones = new Map();
+    intervals.forEach(label => {
+      const semitones = ChordDegrees.INTERVAL_SEMITONES[label];
+      const degree = this.degreeOf(label);
+      if (semitones === undefined || degree === null) return;
+      const pc = (rootPc + semitones) % 12;
+      if (!tones.has(pc)) tones.set(pc, this._spellDegree(root, degree, semitones, true));
+    });
+    return tones;
+  },
+
+  /**
+   * Pick the auto spelling of a chord's root: as typed if given, else the usual name
+   * (minor chords use the minor key names, so C#m rather than Dbm)
+   * @param {string} chordName - Chord name
+   * @param {string|null} typed - What the user typed, whose root spelling wins if it's the same note
+   * @returns {string} - Root before the preference is applied
+   */
+  _spellChordRoot(chordName, typed = null) {
+    const rootInfo = ChordParser.splitRoot(chordName);
+    const typedInfo = typed ? ChordParser.splitRoot(typed.trim()) : null;
+    if (typedInfo && typedInfo.pitchClass === rootInfo.pitchClass) {
+      const typedRoot = typed.trim().slice(0, typedInfo.length);
+      return typedRoot[0].toUpperCase() + typedRoot.slice(1).replace('♯', '#').replace('♭', 'b');
+    }
+
+    const parsed = ChordParser.parse(chordName);
+    const minor = parsed && (parsed.quality === 'minor' || parsed.quality === 'dim');
+    return (minor ? this.MINOR_KEY_NAMES : this.MAJOR_KEY_NAMES)[rootInfo.pitchClass];
+  },
+
+  /**
+   * Spell a chord name for display: the root as typed or by the usual names,
+   * a slash bass as the chord tone it is ("D/F#", "Ab/C"), and both halves of
+   * a polychord ("F#/C7")
+   * @param {string} chordName - Chord name in any spelling (e.g., "Gbm7", "D/Gb", "Gb/C7")
+   * @param {string|null} typed - What the user typed, if the name came from a search
+   * @returns {string} - Display name, with the preference applied
+   */
+  spellChordName(chordName, typed = null) {
+    const rootInfo = chordName ? ChordParser.splitRoot(chordName) : null;
+    if (!rootInfo) return chordName;
+
+    // Polychord: a chord over a chord
+    const polySlash = chordName.indexOf('/');
+    if (polySlash > 0 && this.pitchClassOf(chordName.slice(polySlash + 1)) === null &&
+        ChordParser.parse(chordName.slice(polySlash + 1))) {
+      return `${this.spellChordName(chordName.slice(0, polySlash))}/${this.spellChordName(chordName.slice(polySlash + 1))}`;
+    }
+
+    const root = this._spellChordRoot(chordName, typed);
+    let body = chordName.slice(rootInfo.length);
+
+    // Slash bass ("/Gb" or a database suffix like "m/F#"): a chord tone is spelled
+    // from the root, any other note by the usual name (never a double accidental)
+    const slashMatch = body.match(/\/([A-Ga-g][#♯b♭]?)$/);
+    if (slashMatch) {
+      const bassPc = this.pitchClassOf(slashMatch[1]);
+      const parsed = ChordParser.parse(root + body.slice(0, slashMatch.index));
+      const toneName = parsed ? this._toneNames(root, parsed.intervals).get(bassPc) : null;
+      const bass = toneName && toneName.length <= 2 ? toneName : this.MAJOR_KEY_NAMES[bassPc];
+      body = `${body.slice(0, slashMatch.index)}/${this.applyPreference(bass)}`;
+    }
+
+    return this.applyPreference(root) + body;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Spelling;
+}
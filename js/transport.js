@@ -0,0 +1,189 @@
+/**
+ * Transport Module
+ * Plays a sequence of chords in time (play/stop/loop, tempo, count-in, metronome),
+ * scheduling notes slightly ahead on the Web Audio clock so timing stays steady
+ */
+
+const Transport = {
+  // Seconds of audio scheduled ahead of the clock
+  LOOKAHEAD: 0.1,
+
+  // How often the scheduler runs (ms)
+  INTERVAL_MS: 25,
+
+  // Default metronome beats per bar (accent on the first) and count-in length
+  BEATS_PER_BAR: 4,
+
+  // Tempo limits
+  MIN_BPM: 40,
+  MAX_BPM: 240,
+
+  /**
+   * Playback settings
+   */
+  settings: {
+    bpm: 100,
+    beatsPerChord: 4,   // Beats per chord (per bar in charts, where the bar's chords share them)
+    loop: true,
+    countIn: true,
+    metronome: true
+  },
+
+  // Playback state
+  isPlaying: false,
+  steps: [],
+  stepIndex: 0,
+  beatIndex: 0,
+  nextStepTime: 0,
+  nextBeatTime: 0,
+  countInEnd: 0,
+  beatsPerBar: 4,
+  endTime: null,
+  timer: null,
+  uiTimers: [],
+  callbacks: {},
+
+  /**
+   * Update playback settings (tempo changes take effect from the next beat)
+   * @param {Object} settings - Any of bpm, beatsPerChord, loop, countIn, metronome
+   */
+  setSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+    this.settings.bpm = Math.min(this.MAX_BPM, Math.max(this.MIN_BPM, Number(this.settings.bpm) || 100));
+  },
+
+  /**
+   * Seconds per beat at the current tempo
+   * @returns {number}
+   */
+  secondsPerBeat() {
+    return 60 / this.settings.bpm;
+  },
+
+  /**
+   * Start playing a sequence of chords
+   * @param {Array} steps - Array of { chordName, position, share, beats, hits }:
+   *   position may be null for a rest; the chord lasts `beats`, or its `share` of beatsPerChord
+   *   (1, or 0.5 for two chords in a chart bar); `hits` ({ offset, length, accent, upstroke } in beats)
+   *   strums it in a rhythm instead of once
+   * @param {Object} callbacks - { onStep(index, step), onStop() }, called in time with the audio
+   * @param {Object} options - { beatsPerBar } for the metronome and count-in (default BEATS_PER_BAR)
+   * @returns {boolean} - Whether playback started
+   */
+  start(steps, callbacks = {}, options = {}) {
+    this.stop();
+
+    const context = ChordPlayer.getContext();
+    if (!context || steps.length === 0) return false;
+
+    this.steps = steps;
+    this.callbacks = callbacks;
+    this.stepIndex = 0;
+    this.beatIndex = 0;
+    this.endTime = null;
+    this.beatsPerBar = options.beatsPerBar || this.BEATS_PER_BAR;
+    this.isPlaying = true;
+
+    const start = context.currentTime + 0.05;
+    this.nextBeatTime = start;
+    this.nextStepTime = start + (this.settings.countIn ? this.beatsPerBar * this.secondsPerBeat() : 0);
+    this.countInEnd = this.nextStepTime;
+
+    this._schedule();
+    this.timer = setInterval(() => this._schedule(), this.INTERVAL_MS);
+    return true;
+  },
+
+  /**
+   * Stop playback and silence anything scheduled
+   */
+  stop() {
+    const wasPlaying = this.isPlaying;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.uiTimers.forEach(timer => clearTimeout(timer));
+    this.uiTimers = [];
+    this.isPlaying = false;
+    ChordPlayer.stop();
+
+    if (wasPlaying && this.callbacks.onStop) {
+      this.callbacks.onStop();
+    }
+  },
+
+  /**
+   * Run a callback when the audio clock reaches a time
+   * @param {number} when - Context time
+   * @param {Function} callback
+   */
+  _at(when, callback) {
+    const delay = Math.max(0, (when - ChordPlayer.context.currentTime) * 1000);
+    const timer = setTimeout(() => {
+      this.uiTimers = this.uiTimers.filter(pending => pending !== timer);
+      callback();
+    }, delay);
+    this.uiTimers.push(timer);
+  },
+
+  /**
+   * Schedule every beat and chord that falls inside the lookahead window
+   */
+  _schedule() {
+    if (!this.isPlaying) return;
+
+    const horizon = ChordPlayer.context.currentTime + this.LOOKAHEAD;
+
+    // Metronome (the count-in always clicks; playback stops with the last chord)
+    while (this.nextBeatTime < horizon && (this.endTime === null || this.nextBeatTime < this.endTime - 0.001)) {
+      if (this.settings.metronome || this.nextBeatTime < this.countInEnd - 0.001) {
+        ChordPlayer.playClick(this.nextBeatTime, this.beatIndex % this.beatsPerBar === 0);
+      }
+      this.beatIndex++;
+      this.nextBeatTime += this.secondsPerBeat();
+    }
+
+    // Chords
+    while (this.endTime === null && this.nextStepTime < horizon) {
+      const index = this.stepIndex;
+      const step = this.steps[index];
+      const secondsPerBeat = this.secondsPerBeat();
+      const beats = step.beats !== undefined ? step.beats : this.settings.beatsPerChord * (step.share || 1);
+      const duration = beats * secondsPerBeat;
+
+      if (step.position && step.hits) {
+        step.hits.forEach(hit => {
+          ChordPlayer.playPosition(step.position, {
+            when: this.nextStepTime + hit.offset * secondsPerBeat,
+            duration: hit.length * secondsPerBeat,
+            style: hit.upstroke ? 'strum-up' : 'strum-down',
+            speed: 'fast',
+            volume: hit.accent ? 1 : 0.7
+          });
+        });
+      } else if (step.position) {
+        ChordPlayer.playPosition(step.position, { when: this.nextStepTime, duration });
+      }
+      if (this.callbacks.onStep) {
+        this._at(this.nextStepTime, () => this.callbacks.onStep(index, step));
+      }
+
+      this.nextStepTime += duration;
+      this.stepIndex++;
+
+      if (this.stepIndex >= this.steps.length) {
+        if (this.settings.loop) {
+          this.stepIndex = 0;
+        } else {
+          this.endTime = this.nextStepTime;
+          this._at(this.endTime, () => this.stop());
+        }
+      }
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Transport;
+}
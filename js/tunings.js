@@ -0,0 +1,182 @@
+/**
+ * Tunings Module
+ * Alternate tuning definitions and adaptation of database voicings to them
+ */
+
+const Tunings = {
+  /**
+   * Tuning definitions per instrument (low string to high string)
+   * Each instrument's "standard" is the tuning its database is written for
+   */
+  INSTRUMENT_TUNINGS: {
+    "guitar": {
+      "standard": { id: "standard", name: "Standard (EADGBE)", notes: ["E2", "A2", "D3", "G3", "B3", "E4"] },
+      "drop-d":   { id: "drop-d", name: "Drop D (DADGBE)", notes: ["D2", "A2", "D3", "G3", "B3", "E4"] },
+      "dadgad":   { id: "dadgad", name: "DADGAD", notes: ["D2", "A2", "D3", "G3", "A3", "D4"] },
+      "open-g":   { id: "open-g", name: "Open G (DGDGBD)", notes: ["D2", "G2", "D3", "G3", "B3", "D4"] },
+      "open-d":   { id: "open-d", name: "Open D (DADF#AD)", notes: ["D2", "A2", "D3", "F#3", "A3", "D4"] },
+      "half-step-down": { id: "half-step-down", name: "Half Step Down (Eb)", notes: ["Eb2", "Ab2", "Db3", "Gb3", "Bb3", "Eb4"] }
+    },
+    "guitar-7": {
+      "standard": { id: "standard", name: "Standard (BEADGBE)", notes: ["B1", "E2", "A2", "D3", "G3", "B3", "E4"] },
+      "drop-a":   { id: "drop-a", name: "Drop A (AEADGBE)", notes: ["A1", "E2", "A2", "D3", "G3", "B3", "E4"] }
+    },
+    "ukulele": {
+      "standard": { id: "standard", name: "Standard (gCEA)", notes: ["G4", "C4", "E4", "A4"] },
+      "low-g":    { id: "low-g", name: "Low G (GCEA)", notes: ["G3", "C4", "E4", "A4"] },
+      "d-tuning": { id: "d-tuning", name: "D Tuning (aDF#B)", notes: ["A4", "D4", "F#4", "B4"] }
+    },
+    "baritone-ukulele": {
+      "standard": { id: "standard", name: "Standard (DGBE)", notes: ["D3", "G3", "B3", "E4"] }
+    },
+    "bass-4": {
+      "standard": { id: "standard", name: "Standard (EADG)", notes: ["E1", "A1", "D2", "G2"] },
+      "drop-d":   { id: "drop-d", name: "Drop D (DADG)", notes: ["D1", "A1", "D2", "G2"] }
+    },
+    "bass-5": {
+      "standard": { id: "standard", name: "Standard (BEADG)", notes: ["B0", "E1", "A1", "D2", "G2"] }
+    },
+    "mandolin": {
+      "standard": { id: "standard", name: "Standard (GDAE)", notes: ["G3", "D4", "A4", "E5"] }
+    }
+  },
+
+  // Tunings for the current instrument (set during initialization)
+  TUNINGS: {},
+
+  // Tuning the database voicings were written for
+  DATABASE_TUNING: "standard",
+
+  // Adapted chords, keyed by tuning + chord key + suffix
+  cache: new Map(),
+
+  // Chord database reference (set during initialization)
+  chordData: null,
+
+  /**
+   * Initialize with an instrument's chord data
+   * Picks up any tunings shipped in the database that aren't defined here
+   * @param {Object} chordData - Chord database for the instrument
+   * @param {string} instrumentId - Instrument ID (key of INSTRUMENT_TUNINGS)
+   */
+  init(chordData, instrumentId = 'guitar') {
+    this.chordData = chordData;
+    this.TUNINGS = { ...(this.INSTRUMENT_TUNINGS[instrumentId] || {}) };
+    // Adapted chords belong to the previous instrument's database
+    this.cache.clear();
+
+    if (chordData && chordData.tunings) {
+      Object.entries(chordData.tunings).forEach(([id, notes]) => {
+        if (!this.TUNINGS[id]) {
+          this.TUNINGS[id] = { id, name: id, notes };
+        }
+      });
+    }
+
+    return this;
+  },
+
+  /**
+   * Get all tunings for display
+   * @returns {Array} - Array of { id, name, notes }
+   */
+  getAll() {
+    return Object.values(this.TUNINGS);
+  },
+
+  /**
+   * Get the open-string MIDI notes for a tuning
+   * @param {string} tuningId - Tuning ID (e.g., "drop-d")
+   * @returns {Array} - MIDI notes, low string to high string
+   */
+  getMidi(tuningId) {
+    const tuning = this.TUNINGS[tuningId] || this.TUNINGS[this.DATABASE_TUNING];
+    return tuning.notes.map(note => VoicingGenerator.noteNameToMidi(note));
+  },
+
+  /**
+   * Adapt a database position to another tuning, keeping the same sounding notes.
+   * Each string is re-fretted by the difference between the two tunings.
+   * @param {Object} position - Position from the database
+   * @param {Array} fromMidi - Tuning the position was written for
+   * @param {Array} toMidi - Target tuning
+   * @returns {Object|null} - Adapted position with recomputed MIDI, or null if unplayable
+   */
+  adaptPosition(position, fromMidi, toMidi) {
+    const absolute = VoicingGenerator.toAbsoluteFrets(position);
+    const frets = absolute.map((fret, string) =>
+      fret < 0 ? -1 : fret + fromMidi[string] - toMidi[string]
+    );
+
+    // A string tuned above the written note can't reach it
+    if (frets.some((fret, string) => absolute[string] >= 0 && fret < 0)) {
+      return null;
+    }
+
+    // Unchanged shape: keep the database fingering
+    const unchanged = frets.every((fret, string) => fret === absolute[string]);
+    if (unchanged) {
+      const midi = [];
+      frets.forEach((fret, string) => {
+        if (fret >= 0) midi.push(toMidi[string] + fret);
+      });
+      return { ...position, midi };
+    }
+
+    return VoicingGenerator.toPosition(frets, toMidi);
+  },
+
+  /**
+   * Adapt a chord (with positions) to a tuning.
+   * Database voicings are re-fretted where still playable, and voicings
+   * generated for the tuning (using its open strings) are added.
+   * @param {Object} chord - Chord object from ChordSearch.search or Progressions.lookupChord
+   * @param {string} tuningId - Tuning ID
+   * @returns {Object} - Chord object with positions for the tuning
+   */
+  adaptChord(chord, tuningId) {
+    if (!chord || !tuningId || tuningId === this.DATABASE_TUNING) return chord;
+
+    const cacheKey = `${tuningId}|${chord.key}|${chord.suffix}`;
+    if (this.cache.has(cacheKey)) {
+      return { ...chord, ...this.cache.get(cacheKey) };
+    }
+
+    const fromMidi = this.getMidi(this.DATABASE_TUNING);
+    const toMidi = this.getMidi(tuningId);
+
+    const adaptedPositions = chord.generated
+      ? []
+      : chord.positions.map(position => this.adaptPosition(position, fromMidi, toMidi));
+
+    // Voicings that make use of the tuning's open strings
+    const parsed = ChordParser.parse(chord.key + (chord.suffix === 'major' ? '' : chord.suffix), this.chordData);
+    const generatedChord = VoicingGenerator.generateChord(parsed, this.chordData, {
+      tuning: toMidi,
+      limit: chord.generated ? VoicingGenerator.DEFAULTS.limit : 4
+    });
+    const generated = generatedChord ? generatedChord.positions : [];
+
+    // Re-fretting can turn different database shapes into the same one
+    const positions = [];
+    const seen = new Set();
+    adaptedPositions.concat(generated).forEach(position => {
+      if (!position) return;
+      const key = VoicingGenerator.toAbsoluteFrets(position).join(',');
+      if (!seen.has(key)) {
+        seen.add(key);
+        positions.push(position);
+      }
+    });
+
+    const adapted = { positions, tuning: tuningId };
+    this.cache.set(cacheKey, adapted);
+
+    return { ...chord, ...adapted };
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Tunings;
+}
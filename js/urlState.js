@@ -0,0 +1,112 @@
+/**
+ * URL State Module
+ * Encodes what's on screen (tab, search, open chord, progression, key, mode, alterations)
+ * in the URL hash so a view can be bookmarked, shared and revisited with back/forward
+ *
+ * Hash format (query-string style, every field optional):
+ *   #tab=progressions&prog=ii-V-I&key=F&mode=dorian&alt=1:7&chord=G7&pos=2
+ * (mode is left out when it is the progression's home mode)
+ */
+
+const UrlState = {
+  /**
+   * Tabs that can appear in a link
+   */
+  TABS: ['chord', 'notes', 'progressions', 'comping'],
+
+  // Characters a chord name, quality, note list or fret list can hold; a field
+  // with anything else (such as markup in a crafted link) is dropped
+  TEXT_PATTERN: /^[\w\s#♯♭°øΔ^+\-/(),.]*$/,
+
+  // Longest search, chord or quality accepted from a link
+  MAX_TEXT_LENGTH: 100,
+
+  /**
+   * Check a free-text field from a link
+   * @param {string|null} value - Field value
+   * @returns {string|null} - The value, or null if it is too long or has unexpected characters
+   */
+  _cleanText(value) {
+    if (value === null || value.length > this.MAX_TEXT_LENGTH || !this.TEXT_PATTERN.test(value)) {
+      return null;
+    }
+    return value;
+  },
+
+  /**
+   * Parse a URL hash into a state object
+   * @param {string} hash - location.hash (with or without the leading "#")
+   * @returns {Object} - { tab, query, chord, position, progression, key, mode, alterations, pattern },
+   *   with null for anything missing or invalid (position is a 0-based index; searches,
+   *   chord names and alteration qualities are checked by _cleanText)
+   */
+  parse(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const get = name => {
+      const value = params.get(name);
+      return value !== null && value !== '' ? value : null;
+    };
+
+    const tab = get('tab');
+    const position = parseInt(get('pos'), 10);
+
+    // Alterations: "slot:quality" pairs (an empty quality means major)
+    const alterations = {};
+    params.getAll('alt').forEach(pair => {
+      const separator = pair.indexOf(':');
+      const quality = this._cleanText(pair.slice(separator + 1));
+      if (separator > 0 && quality !== null) {
+        alterations[pair.slice(0, separator)] = quality;
+      }
+    });
+
+    return {
+      tab: this.TABS.includes(tab) ? tab : null,
+      query: this._cleanText(get('q')),
+      chord: this._cleanText(get('chord')),
+      position: position > 0 ? position - 1 : null,
+      progression: get('prog'),
+      key: get('key'),
+      mode: get('mode'),
+      alterations,
+      pattern: get('pattern')
+    };
+  },
+
+  /**
+   * Format a state object as a URL hash
+   * @param {Object} state - Same shape as parse() returns
+   * @returns {string} - Hash including the leading "#", or "" for the default view
+   */
+  format(state) {
+    const params = new URLSearchParams();
+    const set = (name, value) => {
+      if (value !== null && value !== undefined && value !== '') {
+        params.set(name, value);
+      }
+    };
+
+    set('tab', state.tab);
+    set('q', state.query);
+    set('prog', state.progression);
+    set('key', state.key);
+    set('mode', state.mode);
+    Object.entries(state.alterations || {}).forEach(([slot, quality]) => {
+      params.append('alt', `${slot}:${quality}`);
+    });
+    set('pattern', state.pattern);
+    set('chord', state.chord);
+    if (state.chord && state.position !== null && state.position !== undefined) {
+      // 1-based, matching "Position N of M" in the modal
+      set('pos', state.position + 1);
+    }
+
+    const text = params.toString();
+    return text ? `#${text}` : '';
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UrlState;
+}
@@ -0,0 +1,297 @@
+/**
+ * Voice Leading Module
+ * Chooses a voicing for each chord of a progression so the hand stays
+ * close to one area of the neck and the voices move as little as possible
+ */
+
+const VoiceLeading = {
+  /**
+   * Fret ranges the voicings can be limited to (inclusive, fingered frets)
+   */
+  FRET_RANGES: {
+    "any":  { id: "any", name: "Any frets", min: 0, max: Infinity },
+    "open": { id: "open", name: "Open (0–4)", min: 0, max: 4 },
+    "3-7":  { id: "3-7", name: "Frets 3–7", min: 3, max: 7 },
+    "5-9":  { id: "5-9", name: "Frets 5–9", min: 5, max: 9 },
+    "7-12": { id: "7-12", name: "Frets 7–12", min: 7, max: 12 }
+  },
+
+  /**
+   * Voicing types the voicings can be limited to
+   */
+  VOICING_TYPES: {
+    "any":   { id: "any", name: "All voicings" },
+    "drop2": { id: "drop2", name: "Drop-2 only" },
+    "shell": { id: "shell", name: "Shell only" }
+  },
+
+  /**
+   * Cost weights for moving from one voicing to the next
+   */
+  WEIGHTS: {
+    hand: 1,      // Per fret the hand position moves
+    voice: 0.5,   // Per semitone the voices move (common tones cost nothing)
+    rank: 0.25    // Per place down the chord's own voicing list
+  },
+
+  /**
+   * Get the fingered frets of a position that are pressed (open strings excluded)
+   * @param {Object} position - Chord position
+   * @returns {Array} - Absolute fret numbers
+   */
+  _frettedFrets(position) {
+    return VoicingGenerator.toAbsoluteFrets(position).filter(fret => fret > 0);
+  },
+
+  /**
+   * Get where the hand sits for a position (mean of the fretted notes, 0 for all-open shapes)
+   * @param {Object} position - Chord position
+   * @returns {number} - Hand position in frets
+   */
+  getHandPosition(position) {
+    const fretted = this._frettedFrets(position);
+    if (fretted.length === 0) return 0;
+    return fretted.reduce((sum, fret) => sum + fret, 0) / fretted.length;
+  },
+
+  /**
+   * Check whether every note of a position lies within a fret range
+   * @param {Object} position - Chord position
+   * @param {Object} range - Entry from FRET_RANGES
+   * @returns {boolean}
+   */
+  inFretRange(position, range) {
+    return VoicingGenerator.toAbsoluteFrets(position)
+      .filter(fret => fret >= 0)
+      .every(fret => fret >= range.min && fret <= range.max);
+  },
+
+  /**
+   * Classify a position as a drop-2 or shell voicing
+   * Drop-2: four notes on adjacent strings that become a close voicing when the
+   * bass is raised an octave (landing second from the top).
+   * Shell: root in the bass plus only a third and a seventh (or sixth).
+   * @param {Object} position - Chord position (needs midi)
+   * @param {number} rootPc - Pitch class of the chord root
+   * @returns {string|null} - "drop2", "shell" or null
+   */
+  classify(position, rootPc) {
+    const midi = (position.midi || []).slice().sort((a, b) => a - b);
+    const pitchClasses = midi.map(note => note % 12);
+    const distinct = new Set(pitchClasses);
+
+    if (midi.length === 4 && distinct.size === 4 && this._onAdjacentStrings(position)) {
+      const raised = [midi[1], midi[2], midi[3], midi[0] + 12].sort((a, b) => a - b);
+      if (raised[3] - raised[0] < 12 && raised[2] === midi[0] + 12) {
+        return 'drop2';
+      }
+    }
+
+    if (midi.length === 3 && distinct.size === 3 && pitchClasses[0] === rootPc) {
+      const intervals = pitchClasses.slice(1).map(pc => (pc - rootPc + 12) % 12);
+      const hasThird = intervals.some(interval => interval === 3 || interval === 4);
+      const hasSeventh = intervals.some(interval => interval >= 9 && interval <= 11);
+      if (hasThird && hasSeventh) {
+        return 'shell';
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Check that the sounding strings of a position are contiguous
+   * @param {Object} position - Chord position
+   * @returns {boolean}
+   */
+  _onAdjacentStrings(position) {
+    const sounding = position.frets
+      .map((fret, string) => (fret >= 0 ? string : -1))
+      .filter(string => string >= 0);
+    return sounding.length > 0 && sounding[sounding.length - 1] - sounding[0] === sounding.length - 1;
+  },
+
+  /**
+   * Get the chord tones a drop-2 or shell voicing is built from
+   * @param {Array} intervals - Chord intervals from ChordParser.parse
+   * @param {string} voicingType - "drop2" or "shell"
+   * @returns {Array|null} - Interval labels, or null if the chord has no such voicing
+   */
+  getVoicingTones(intervals, voicingType) {
+    const find = labels => labels.find(label => intervals.includes(label));
+    const third = find(['b3', '3']);
+    const fifth = find(['b5', '5', '#5']);
+    const seventh = find(['7', 'b7', 'bb7', '6']);
+
+    if (!third || !seventh) return null;
+    if (voicingType === 'shell') return ['R', third, seventh];
+    return fifth ? ['R', third, fifth, seventh] : null;
+  },
+
+  /**
+   * Append generated voicings that satisfy the options to a chord's positions,
+   * since the database has few shells and doesn't cover every fret range
+   * @param {Object} chord - Chord object with positions
+   * @param {string} chordName - Sounding chord name (e.g., "Cm7")
+   * @param {Object} options - { fretRange, voicingType }
+   * @param {Array} tuning - Sounding open-string MIDI notes (capo included)
+   * @param {Object} chordData - Instrument chord database (for its stretch and string rules)
+   * @returns {Object} - Chord object, with any new positions after the existing ones
+   */
+  addVoicings(chord, chordName, options, tuning, chordData) {
+    const range = this.FRET_RANGES[options.fretRange] || this.FRET_RANGES.any;
+    const voicingType = options.voicingType || 'any';
+    if (!chord || (range.id === 'any' && voicingType === 'any')) return chord;
+
+    const parsed = ChordParser.parse(chordName, chordData);
+    if (!parsed) return chord;
+    const rootPc = ChordParser.splitRoot(parsed.root).pitchClass;
+
+    const constraints = {
+      tuning,
+      minFret: range.min,
+      maxFret: Math.min(range.max, VoicingGenerator.DEFAULTS.maxFret)
+    };
+
+    let generated = [];
+    if (voicingType === 'any') {
+      const generatedChord = VoicingGenerator.generateChord(parsed, chordData, constraints);
+      generated = generatedChord ? generatedChord.positions : [];
+    } else {
+      const tones = this.getVoicingTones(parsed.intervals, voicingType);
+      if (!tones) return chord;
+
+      // Drop-2 voicings come in every inversion; shells keep the root in the bass
+      generated = VoicingGenerator.generate(ChordParser.intervalsToPitchClasses(tones, rootPc), {
+        ...VoicingGenerator.getInstrumentOptions(chordData),
+        ...constraints,
+        bassPc: rootPc,
+        rootInBass: voicingType === 'shell',
+        minStrings: tones.length,
+        maxStrings: tones.length,
+        maxInteriorMutes: voicingType === 'drop2' ? 0 : 1,
+        limit: 12
+      }).filter(position => this.classify(position, rootPc) === voicingType);
+    }
+
+    const seen = new Set(chord.positions.map(position => VoicingGenerator.toAbsoluteFrets(position).join(',')));
+    const added = generated.filter(position => {
+      const key = VoicingGenerator.toAbsoluteFrets(position).join(',');
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    return added.length > 0 ? { ...chord, positions: chord.positions.concat(added) } : chord;
+  },
+
+  /**
+   * Get the positions of a chord that satisfy the options
+   * Falls back to all positions when none qualify, so every chord keeps a diagram.
+   * @param {Object} chord - Chord object with key and positions
+   * @param {Object} options - { fretRange, voicingType }
+   * @returns {Array} - Array of { position, index } (index into chord.positions)
+   */
+  getCandidates(chord, options = {}) {
+    const range = this.FRET_RANGES[options.fretRange] || this.FRET_RANGES.any;
+    const voicingType = options.voicingType || 'any';
+    const root = ChordParser.splitRoot(chord.key);
+    const rootPc = root ? root.pitchClass : null;
+
+    const all = chord.positions.map((position, index) => ({ position, index }));
+    const matching = all.filter(({ position }) =>
+      this.inFretRange(position, range) &&
+      (voicingType === 'any' || this.classify(position, rootPc) === voicingType)
+    );
+
+    return matching.length > 0 ? matching : all;
+  },
+
+  /**
+   * Semitones the voices move between two voicings.
+   * Each note travels to the nearest note of the other voicing, in both directions,
+   * so shared notes cost nothing and added or dropped voices are counted once.
+   * @param {Array} fromMidi - MIDI notes of the first voicing
+   * @param {Array} toMidi - MIDI notes of the second voicing
+   * @returns {number}
+   */
+  voiceMovement(fromMidi, toMidi) {
+    if (fromMidi.length === 0 || toMidi.length === 0) return 0;
+
+    const nearest = (note, notes) => Math.min(...notes.map(other => Math.abs(note - other)));
+    const forward = fromMidi.reduce((sum, note) => sum + nearest(note, toMidi), 0);
+    const backward = toMidi.reduce((sum, note) => sum + nearest(note, fromMidi), 0);
+    return (forward + backward) / 2;
+  },
+
+  /**
+   * Cost of moving from one position to the next
+   * @param {Object} from - Chord position
+   * @param {Object} to - Chord position
+   * @returns {number}
+   */
+  transitionCost(from, to) {
+    const hand = Math.abs(this.getHandPosition(from) - this.getHandPosition(to));
+    const voice = this.voiceMovement(from.midi || [], to.midi || []);
+    return this.WEIGHTS.hand * hand + this.WEIGHTS.voice * voice;
+  },
+
+  /**
+   * Choose a position for each chord of a sequence, minimising total movement
+   * (dynamic programming over every candidate of every chord)
+   * @param {Array} chords - Chord objects in playing order (null for unresolved chords)
+   * @param {Object} options - { fretRange, voicingType }
+   * @returns {Array} - Position index into each chord's positions (null for unresolved chords)
+   */
+  selectSequence(chords, options = {}) {
+    // Unresolved chords don't take part; the hand carries over them
+    const steps = [];
+    chords.forEach((chord, index) => {
+      if (chord && chord.positions && chord.positions.length > 0) {
+        steps.push({ index, candidates: this.getCandidates(chord, options) });
+      }
+    });
+
+    const result = chords.map(() => null);
+    if (steps.length === 0) return result;
+
+    // costs[s][c]: cheapest path ending on candidate c of step s; back[s][c]: previous candidate
+    const costs = [steps[0].candidates.map(candidate => this.WEIGHTS.rank * candidate.index)];
+    const back = [steps[0].candidates.map(() => -1)];
+
+    for (let s = 1; s < steps.length; s++) {
+      const previous = steps[s - 1].candidates;
+      costs.push([]);
+      back.push([]);
+
+      steps[s].candidates.forEach((candidate, c) => {
+        let best = Infinity;
+        let bestFrom = 0;
+        previous.forEach((prior, p) => {
+          const cost = costs[s - 1][p] + this.transitionCost(prior.position, candidate.position);
+          if (cost < best) {
+            best = cost;
+            bestFrom = p;
+          }
+        });
+        costs[s][c] = best + this.WEIGHTS.rank * candidate.index;
+        back[s][c] = bestFrom;
+      });
+    }
+
+    // Trace back from the cheapest final candidate
+    const last = costs[steps.length - 1];
+    let c = last.indexOf(Math.min(...last));
+    for (let s = steps.length - 1; s >= 0; s--) {
+      result[steps[s].index] = steps[s].candidates[c].index;
+      c = back[s][c];
+    }
+
+    return result;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VoiceLeading;
+}
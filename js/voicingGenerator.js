@@ -0,0 +1,373 @@
+/**
+ * Voicing Generator Module
+ * Computes playable chord positions from a pitch-class set and tuning,
+ * for chords that are missing from the chord database
+ */
+
+const VoicingGenerator = {
+  // Note letter to pitch class, for parsing tuning note names like "E2"
+  LETTER_PITCH_CLASSES: { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 },
+
+  // Standard tuning fallback (low to high) as MIDI notes: E2 A2 D3 G3 B3 E4
+  STANDARD_TUNING: [40, 45, 50, 55, 59, 64],
+
+  /**
+   * Default constraints for generated voicings
+   */
+  DEFAULTS: {
+    maxStretch: 4,        // Frets spanned by fretted notes (inclusive)
+    minFret: 0,           // Lowest fret used (above 0 rules out open strings)
+    maxFret: 15,          // Highest fret used
+    minStrings: 3,        // Minimum sounding strings
+    maxStrings: Infinity, // Maximum sounding strings
+    maxInteriorMutes: 1,  // Muted strings between sounding strings
+    rootInBass: true,     // Lowest note must be the root (or slash bass)
+    limit: 6              // Number of voicings returned
+  },
+
+  // Generated chords, keyed by pitch classes + bass + tuning + options
+  cache: new Map(),
+
+  /**
+   * Convert a scientific pitch name (e.g., "E2", "Bb3", "F#4") to MIDI
+   * @param {string} name - Note name with octave
+   * @returns {number|null} - MIDI note number or null
+   */
+  noteNameToMidi(name) {
+    const match = /^([A-Ga-g])([#♯b♭]?)(-?\d)$/.exec(name || '');
+    if (!match) return null;
+
+    const letter = this.LETTER_PITCH_CLASSES[match[1].toUpperCase()];
+    const accidental = match[2] === '#' || match[2] === '♯' ? 1 : match[2] ? -1 : 0;
+    return (parseInt(match[3], 10) + 1) * 12 + letter + accidental;
+  },
+
+  /**
+   * Get the open-string MIDI notes for a tuning from the chord database
+   * @param {Object} chordData - Chord database (uses tunings.standard)
+   * @returns {Array} - Open-string MIDI notes, low to high
+   */
+  getTuningMidi(chordData) {
+    const names = chordData && chordData.tunings && chordData.tunings.standard;
+    if (!names) return this.STANDARD_TUNING;
+
+    const midi = names.map(name => this.noteNameToMidi(name));
+    return midi.every(note => note !== null) ? midi : this.STANDARD_TUNING;
+  },
+
+  /**
+   * Get the voicing constraints an instrument's chord database is written with:
+   * its tuning, its widest stretch (main.fretsOnChord), the fewest strings a chord
+   * sounds (main.minStrings, all four on strummed ukulele and mandolin) and whether
+   * the root must be the lowest note (main.rootInBass, false for re-entrant tunings)
+   * @param {Object} chordData - Chord database
+   * @returns {Object} - { tuning, maxStretch, minStrings, rootInBass } overrides for DEFAULTS
+   */
+  getInstrumentOptions(chordData) {
+    const main = (chordData && chordData.main) || {};
+    return {
+      tuning: this.getTuningMidi(chordData),
+      maxStretch: main.fretsOnChord || this.DEFAULTS.maxStretch,
+      minStrings: main.minStrings || this.DEFAULTS.minStrings,
+      rootInBass: main.rootInBass !== false
+    };
+  },
+
+  /**
+   * Build a database-shaped chord object with generated positions
+   * @param {Object} parsed - Structured chord from ChordParser.parse
+   * @param {Object} chordData - Chord database (for tuning and stretch)
+   * @param {Object} options - Overrides for DEFAULTS and tuning
+   * @returns {Object|null} - { key, suffix, positions, generated: true } or null
+   */
+  generateChord(parsed, chordData, options = {}) {
+    if (!parsed) return null;
+
+    const rootPc = ChordParser.splitRoot(parsed.root).pitchClass;
+    const bassPc = parsed.bass ? ChordParser.splitRoot(parsed.bass).pitchClass : rootPc;
+    const pitchClasses = ChordParser.getPitchClasses(parsed);
+
+    // Perfect fifth may be dropped from 4+ note chords, natural 9 from 11 and 13 chords
+    const optional = [];
+    if (parsed.intervals.length >= 4 && parsed.intervals.includes('5')) {
+      optional.push((rootPc + 7) % 12);
+    }
+    if (parsed.intervals.includes('9') && (parsed.intervals.includes('11') || parsed.intervals.includes('13'))) {
+      optional.push((rootPc + 2) % 12);
+    }
+
+    const positions = this.generate(pitchClasses, {
+      ...this.getInstrumentOptions(chordData),
+      ...options,
+      bassPc,
+      optional
+    });
+
+    if (positions.length === 0) return null;
+
+    return {
+      key: parsed.root,
+      suffix: parsed.suffix,
+      positions,
+      generated: true
+    };
+  },
+
+  /**
+   * Generate playable positions for a set of pitch classes
+   * @param {Array} pitchClasses - Pitch classes (0-11) the chord must contain
+   * @param {Object} options - Constraints (see DEFAULTS) plus:
+   *   tuning: open-string MIDI notes, bassPc: required lowest pitch class,
+   *   optional: pitch classes that may be omitted
+   * @returns {Array} - Positions in the database shape:
+   *   { frets, fingers, baseFret, barres, midi, generated: true }
+   */
+  generate(pitchClasses, options = {}) {
+    const opts = { ...this.DEFAULTS, ...options };
+    const tuning = opts.tuning || this.STANDARD_TUNING;
+    const optional = opts.optional || [];
+    const bassPc = opts.bassPc !== undefined ? opts.bassPc : pitchClasses[0];
+
+    const cacheKey = [pitchClasses.join(','), bassPc, optional.join(','), tuning.join(','),
+      opts.maxStretch, opts.minFret, opts.maxFret, opts.minStrings, opts.maxStrings, opts.maxInteriorMutes,
+      opts.rootInBass, opts.limit].join('|');
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
+    }
+
+    const chordSet = new Set(pitchClasses);
+    const required = pitchClasses.filter(pc => !optional.includes(pc));
+    const candidates = new Map();
+
+    // Slide a window of maxStretch frets up the neck
+    const firstStart = Math.max(1, opts.minFret);
+    const lastStart = Math.max(firstStart, opts.maxFret - opts.maxStretch + 1);
+    for (let windowStart = firstStart; windowStart <= lastStart; windowStart++) {
+      const windowEnd = Math.min(windowStart + opts.maxStretch - 1, opts.maxFret);
+
+      // Playable choices per string: muted, open, or a chord tone in the window
+      const choices = tuning.map(openMidi => {
+        const stringChoices = [-1];
+        if (opts.minFret === 0 && chordSet.has(openMidi % 12)) stringChoices.push(0);
+        for (let fret = windowStart; fret <= windowEnd; fret++) {
+          if (chordSet.has((openMidi + fret) % 12)) stringChoices.push(fret);
+        }
+        return stringChoices;
+      });
+
+      this._enumerate(choices, 0, [], frets => {
+        const key = frets.join(',');
+        if (candidates.has(key)) return;
+
+        const voicing = this._evaluate(frets, tuning, chordSet, required, bassPc, opts);
+        if (voicing) candidates.set(key, voicing);
+      });
+    }
+
+    const positions = this._selectDiverse(Array.from(candidates.values()), opts.limit)
+      .map(voicing => ({ ...this.toPosition(voicing.frets, tuning, opts.maxStretch), generated: true }));
+
+    this.cache.set(cacheKey, positions);
+    return positions;
+  },
+
+  /**
+   * Recursively enumerate one choice per string
+   */
+  _enumerate(choices, stringIndex, current, callback) {
+    if (stringIndex === choices.length) {
+      callback(current.slice());
+      return;
+    }
+
+    choices[stringIndex].forEach(fret => {
+      current.push(fret);
+      this._enumerate(choices, stringIndex + 1, current, callback);
+      current.pop();
+    });
+  },
+
+  /**
+   * Check a fret combination against the constraints and score it
+   * @returns {Object|null} - { frets, fingers, barre, score } or null if unplayable
+   */
+  _evaluate(frets, tuning, chordSet, required, bassPc, opts) {
+    const sounding = [];
+    frets.forEach((fret, string) => {
+      if (fret >= 0) sounding.push(string);
+    });
+
+    if (sounding.length < opts.minStrings || sounding.length > opts.maxStrings) {
+      return null;
+    }
+
+    // Lowest sounding note must be the bass
+    const notes = sounding.map(string => tuning[string] + frets[string]);
+    if (opts.rootInBass && Math.min(...notes) % 12 !== bassPc) {
+      return null;
+    }
+
+    // All required tones present
+    const present = new Set(notes.map(note => note % 12));
+    if (!required.every(pc => present.has(pc))) return null;
+
+    // Muted strings inside the voicing
+    const lowest = sounding[0];
+    const highest = sounding[sounding.length - 1];
+    let interiorMutes = 0;
+    for (let string = lowest; string <= highest; string++) {
+      if (frets[string] === -1) interiorMutes++;
+    }
+    if (interiorMutes > opts.maxInteriorMutes) return null;
+
+    // Stretch across fretted notes
+    const fretted = sounding.filter(string => frets[string] > 0);
+    const frettedFrets = fretted.map(string => frets[string]);
+    const minFret = frettedFrets.length > 0 ? Math.min(...frettedFrets) : 0;
+    const maxFret = frettedFrets.length > 0 ? Math.max(...frettedFrets) : 0;
+    if (maxFret - minFret + 1 > opts.maxStretch) return null;
+
+    // Open strings don't combine with shapes high up the neck
+    const openCount = sounding.filter(string => frets[string] === 0).length;
+    if (openCount > 0 && maxFret > 7) return null;
+
+    const fingering = this.assignFingers(frets);
+    if (!fingering) return null;
+
+    const mutedCount = frets.length - sounding.length;
+    const missingOptional = chordSet.size - present.size;
+
+    const score =
+      minFret * 0.6 +
+      (maxFret - minFret) * 1.0 +
+      mutedCount * 1.5 +
+      interiorMutes * 3 +
+      missingOptional * 1.5 +
+      (fingering.barre !== null ? 0.5 : 0) -
+      openCount * 0.5;
+
+    return { frets, fingers: fingering.fingers, barre: fingering.barre, minFret, score };
+  },
+
+  /**
+   * Assign fingers (1-4) to fretted notes, using a first-finger barre where needed
+   * @param {Array} frets - Absolute frets per string (-1 muted, 0 open)
+   * @returns {Object|null} - { fingers, barre } (barre is an absolute fret or null), or null if unplayable
+   */
+  assignFingers(frets) {
+    const fingers = frets.map(() => 0);
+    const fretted = [];
+    frets.forEach((fret, string) => {
+      if (fret > 0) fretted.push({ string, fret });
+    });
+
+    if (fretted.length === 0) return { fingers, barre: null };
+
+    const minFret = Math.min(...fretted.map(note => note.fret));
+    const atMin = fretted.filter(note => note.fret === minFret);
+
+    // Barre with finger 1 when several strings share the lowest fret
+    // and every string it crosses is fretted at or above it
+    let barre = null;
+    let remaining = fretted;
+    if (fretted.length > 4 && atMin.length >= 2) {
+      const first = atMin[0].string;
+      const last = atMin[atMin.length - 1].string;
+      const crossable = frets.slice(first, last + 1).every(fret => fret >= minFret);
+      if (!crossable) return null;
+
+      barre = minFret;
+      atMin.forEach(note => { fingers[note.string] = 1; });
+      remaining = fretted.filter(note => note.fret !== minFret);
+    }
+
+    // Remaining notes, lowest fret first, then low string to high
+    const ordered = remaining.slice().sort((a, b) => a.fret - b.fret || a.string - b.string);
+    const firstFinger = barre !== null ? 2 : 1;
+    if (ordered.length > 5 - firstFinger) return null;
+
+    ordered.forEach((note, index) => {
+      // Keep finger numbers roughly aligned with frets when there's room
+      const byFret = firstFinger + (note.fret - (barre !== null ? minFret + 1 : minFret));
+      const previous = index > 0 ? fingers[ordered[index - 1].string] : firstFinger - 1;
+      const finger = Math.max(previous + 1, Math.min(byFret, 4 - (ordered.length - 1 - index)));
+      fingers[note.string] = finger;
+    });
+
+    return { fingers, barre };
+  },
+
+  /**
+   * Pick the best-scoring voicings, spread across the neck
+   * @param {Array} voicings - Evaluated voicings
+   * @param {number} limit - Maximum to return
+   * @returns {Array} - Selected voicings ordered by position on the neck
+   */
+  _selectDiverse(voicings, limit) {
+    const sorted = voicings.slice().sort((a, b) => a.score - b.score);
+    const selected = [];
+    const perRegion = {};
+
+    for (const voicing of sorted) {
+      if (selected.length >= limit) break;
+
+      // At most two voicings per 3-fret region of the neck
+      const region = Math.floor(voicing.minFret / 3);
+      if ((perRegion[region] || 0) >= 2) continue;
+
+      perRegion[region] = (perRegion[region] || 0) + 1;
+      selected.push(voicing);
+    }
+
+    return selected.sort((a, b) => a.minFret - b.minFret || a.score - b.score);
+  },
+
+  /**
+   * Convert absolute frets to the database position shape
+   * (frets relative to baseFret, as ChordDiagram.render expects)
+   * @param {Array} frets - Absolute frets per string (-1 muted, 0 open)
+   * @param {Array} tuning - Open-string MIDI notes
+   * @param {number} maxStretch - Largest playable span of fretted notes
+   * @returns {Object|null} - { frets, fingers, baseFret, barres, midi } or null if unplayable
+   */
+  toPosition(frets, tuning, maxStretch = this.DEFAULTS.maxStretch) {
+    const frettedFrets = frets.filter(fret => fret > 0);
+    const minFret = frettedFrets.length > 0 ? Math.min(...frettedFrets) : 0;
+    const maxFret = frettedFrets.length > 0 ? Math.max(...frettedFrets) : 0;
+    if (maxFret - minFret + 1 > maxStretch) return null;
+
+    const fingering = this.assignFingers(frets);
+    if (!fingering) return null;
+
+    const baseFret = maxFret <= 4 ? 1 : minFret;
+    const toRelative = fret => (fret > 0 ? fret - baseFret + 1 : fret);
+
+    const midi = [];
+    frets.forEach((fret, string) => {
+      if (fret >= 0) midi.push(tuning[string] + fret);
+    });
+
+    return {
+      frets: frets.map(toRelative),
+      fingers: fingering.fingers,
+      baseFret,
+      barres: fingering.barre !== null ? [toRelative(fingering.barre)] : [],
+      midi
+    };
+  },
+
+  /**
+   * Convert a database position's relative frets to absolute frets
+   * @param {Object} position - Position with frets and baseFret
+   * @returns {Array} - Absolute frets per string (-1 muted, 0 open)
+   */
+  toAbsoluteFrets(position) {
+    const baseFret = position.baseFret || 1;
+    return position.frets.map(fret => (fret > 0 ? fret + baseFret - 1 : fret));
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VoicingGenerator;
+}
@@ -0,0 +1,145 @@
+/**
+ * Build Instrument Data
+ * Generates the chord databases for every instrument but guitar (data/<id>.json)
+ * in the guitar.json format, with VoicingGenerator and each instrument's
+ * standard tuning from Tunings
+ *
+ * Usage: node scripts/build-instrument-data.js [instrumentId]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+global.LocalSettings = require('../js/localSettings.js');
+global.ChordDegrees = require('../js/degrees.js');
+global.Spelling = require('../js/spelling.js');
+global.ChordParser = require('../js/chordParser.js');
+global.VoicingGenerator = require('../js/voicingGenerator.js');
+global.Tunings = require('../js/tunings.js');
+const Instruments = require('../js/instruments.js');
+
+// Database keys (as in guitar.json) and the root each is written with
+const KEYS = [
+  ['C', 'C'], ['Csharp', 'C#'], ['D', 'D'], ['Eb', 'Eb'], ['E', 'E'], ['F', 'F'],
+  ['Fsharp', 'F#'], ['G', 'G'], ['Ab', 'Ab'], ['A', 'A'], ['Bb', 'Bb'], ['B', 'B']
+];
+
+// Chord suffixes every generated database has, for every key
+const SUFFIXES = [
+  'major', 'minor', 'dim', 'dim7', 'aug', 'sus2', 'sus4', '7sus4', '5', '6', '69', '7', '7b5', 'aug7',
+  '9', '7b9', '7#9', '11', '13', 'maj7', 'maj9', 'm6', 'm7', 'm7b5', 'm9', 'mmaj7', 'add9', 'madd9'
+];
+
+// Per-instrument database settings (main block): name, fewest sounding strings,
+// and whether the root must be the lowest note (not on re-entrant or strummed-in-full tunings)
+const DATABASES = {
+  'guitar-7':         { name: 'guitar7', minStrings: 3, rootInBass: true },
+  'ukulele':          { name: 'ukulele', minStrings: 4, rootInBass: false },
+  'baritone-ukulele': { name: 'baritone ukulele', minStrings: 4, rootInBass: false },
+  'bass-4':           { name: 'bass', minStrings: 3, rootInBass: true },
+  'bass-5':           { name: 'bass5', minStrings: 3, rootInBass: true },
+  'mandolin':         { name: 'mandolin', minStrings: 4, rootInBass: false }
+};
+
+// Voicings kept per chord
+const POSITIONS_PER_CHORD = 4;
+
+// Rules tried in turn when a chord has no voicing under the instrument's own
+// (e.g., a 13 chord on 4-string bass can't keep its root lowest within the stretch)
+const FALLBACKS = [
+  {},
+  { maxStretch: 5 },
+  { rootInBass: false }
+];
+
+/**
+ * Get the chord name a database suffix stands for
+ * @param {string} key - Root as written (e.g., "C#")
+ * @param {string} suffix - Database suffix (e.g., "major", "m7")
+ * @returns {string} - Chord name (e.g., "C#", "C#m7")
+ */
+function chordName(key, suffix) {
+  if (suffix === 'major') return key;
+  if (suffix === 'minor') return `${key}m`;
+  return key + suffix;
+}
+
+/**
+ * Generate the positions for one chord, relaxing the instrument's rules only as far as needed
+ * @param {Object} parsed - Structured chord from ChordParser.parse
+ * @param {Object} db - Database being built (main and tunings are read)
+ * @returns {Array} - Positions in the database shape
+ */
+function generatePositions(parsed, db) {
+  for (const fallback of FALLBACKS) {
+    const chord = VoicingGenerator.generateChord(parsed, db, { limit: POSITIONS_PER_CHORD, ...fallback });
+    if (chord) {
+      return chord.positions.map(({ frets, fingers, baseFret, barres, midi }) => ({ frets, fingers, baseFret, barres, midi }));
+    }
+  }
+  return [];
+}
+
+/**
+ * Build one instrument's database
+ * @param {string} instrumentId - Key of DATABASES
+ * @returns {Object} - Database in the guitar.json format
+ */
+function buildDatabase(instrumentId) {
+  const instrument = Instruments.get(instrumentId);
+  const settings = DATABASES[instrumentId];
+  const db = {
+    main: {
+      strings: instrument.strings,
+      fretsOnChord: instrument.fretSpan,
+      name: settings.name,
+      minStrings: settings.minStrings,
+      rootInBass: settings.rootInBass
+    },
+    tunings: { standard: Tunings.INSTRUMENT_TUNINGS[instrumentId].standard.notes },
+    keys: KEYS.map(([, key]) => key),
+    suffixes: SUFFIXES,
+    chords: {}
+  };
+
+  KEYS.forEach(([dbKey, key]) => {
+    db.chords[dbKey] = SUFFIXES.map(suffix => {
+      const parsed = ChordParser.parse(chordName(key, suffix));
+      const positions = parsed ? generatePositions(parsed, db) : [];
+      if (positions.length === 0) {
+        throw new Error(`No ${instrumentId} voicing for ${chordName(key, suffix)}`);
+      }
+      return { key, suffix, positions };
+    });
+  });
+
+  return db;
+}
+
+/**
+ * Write the databases named on the command line (default: all)
+ * @param {string} only - Optional instrument ID
+ */
+function main(only) {
+  if (only && !DATABASES[only]) {
+    console.error(`Unknown instrument: ${only} (expected one of ${Object.keys(DATABASES).join(', ')})`);
+    process.exit(1);
+  }
+
+  Object.keys(DATABASES).filter(id => !only || id === only).forEach(instrumentId => {
+    const db = buildDatabase(instrumentId);
+    const file = path.join(__dirname, '..', Instruments.get(instrumentId).database);
+    fs.writeFileSync(file, JSON.stringify(db));
+
+    const count = Object.values(db.chords).reduce((total, chords) =>
+      total + chords.reduce((sum, chord) => sum + chord.positions.length, 0), 0);
+    console.log(`${instrumentId}: ${count} positions written to ${path.relative(process.cwd(), file)}`);
+  });
+}
+
+if (require.main === module) {
+  main(process.argv[2]);
+}
+
+// Export for the data check
+module.exports = { KEYS, SUFFIXES, DATABASES };
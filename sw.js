@@ -0,0 +1,139 @@
+/**
+ * Service Worker
+ * Precaches the app shell and chord database so the app works offline,
+ * serves them cache-first, and checks a small version file on the network
+ * (downloading the app again and reporting "update-available" to the page
+ * only when the version has changed)
+ */
+
+// Bump when files are added to or removed from PRECACHE_URLS
+const CACHE_NAME = 'leftychords-v12';
+
+// Bump the version in this file whenever any precached file changes
+const VERSION_URL = 'version.json';
+
+// Everything the app needs to run, relative to this file
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  VERSION_URL,
+  'icons/icon.svg',
+  'css/styles.css',
+  'js/localSettings.js',
+  'js/chordDiagram.js',
+  'js/neckDiagram.js',
+  'js/diagramExport.js',
+  'js/printSheet.js',
+  'js/degrees.js',
+  'js/chordParser.js',
+  'js/spelling.js',
+  'js/chordNamer.js',
+  'js/chordScales.js',
+  'js/keyAnalysis.js',
+  'js/voicingGenerator.js',
+  'js/instruments.js',
+  'js/tunings.js',
+  'js/capo.js',
+  'js/search.js',
+  'js/reverseLookup.js',
+  'js/fretboardInput.js',
+  'js/voiceLeading.js',
+  'js/player.js',
+  'js/transport.js',
+  'js/modal.js',
+  'js/autocomplete.js',
+  'js/progressions.js',
+  'js/comping.js',
+  'js/urlState.js',
+  'js/offline.js',
+  'js/app.js',
+  'data/guitar.json',
+  'data/guitar-7.json',
+  'data/ukulele.json',
+  'data/baritone-ukulele.json',
+  'data/bass-4.json',
+  'data/bass-5.json',
+  'data/mandolin.json'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  event.respondWith(
+    caches.open(CACHE_NAME).then(cache =>
+      cache.match(request, { ignoreSearch: true }).then(cached => {
+        if (cached) return cached;
+
+        return fetch(request).catch(() => {
+          // Offline page loads (any path or query) get the app shell
+          if (request.mode === 'navigate') {
+            return cache.match('index.html');
+          }
+          throw new Error(`Offline and not cached: ${request.url}`);
+        });
+      })
+    )
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'check-for-updates') {
+    event.waitUntil(checkForUpdates());
+  }
+});
+
+/**
+ * Compare the version file on the network with the cached one and, if it has
+ * changed, fetch every precached file, store the new versions together and tell
+ * open pages an update is ready (stored together so a reload never mixes old and new files)
+ */
+async function checkForUpdates() {
+  const cache = await caches.open(CACHE_NAME);
+
+  let fresh;
+  try {
+    const [cached, response] = await Promise.all([
+      cache.match(VERSION_URL),
+      fetch(VERSION_URL, { cache: 'no-cache' })
+    ]);
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+    const [cachedVersion, freshVersion] = await Promise.all([
+      cached ? cached.text() : Promise.resolve(null),
+      response.text()
+    ]);
+    if (cachedVersion === freshVersion) return;
+
+    fresh = await Promise.all(PRECACHE_URLS.map(async (url) => {
+      const response = await fetch(url, { cache: 'no-cache' });
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+      return { url, response };
+    }));
+  } catch (error) {
+    // Offline or a file is missing: keep serving what's cached
+    return;
+  }
+
+  await Promise.all(fresh.map(({ url, response }) => cache.put(url, response)));
+
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: 'update-available' }));
+}
@@ -0,0 +1,61 @@
+/**
+ * Capo suggestion tests
+ * Run with: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.LocalSettings = require('../js/localSettings.js');
+global.ChordDegrees = require('../js/degrees.js');
+global.Spelling = require('../js/spelling.js');
+global.ChordParser = require('../js/chordParser.js');
+global.VoicingGenerator = require('../js/voicingGenerator.js');
+global.Tunings = require('../js/tunings.js');
+global.Progressions = require('../js/progressions.js');
+const Capo = require('../js/capo.js');
+const guitar = require('../data/guitar.json');
+
+const lookupShape = name => Progressions.lookupChord(name, guitar);
+const recommend = (chordNames, currentCapo = 0) => Capo.recommend(chordNames, lookupShape, currentCapo, guitar);
+
+test('open keys get no capo suggestion', () => {
+  [
+    ['Dm7', 'G7', 'Cmaj7'],
+    ['C', 'G', 'Am', 'F'],
+    ['C7', 'F7', 'Dm7', 'G7'],
+    ['G', 'D', 'Em', 'C'],
+    ['Am7', 'D7', 'Gmaj7'],
+    ['D', 'A', 'Bm', 'G'],
+    ['Dmaj7', 'Bm7', 'Em7', 'A7'],
+    ['Em7', 'A7', 'Dmaj7']
+  ].forEach(chordNames => {
+    assert.equal(recommend(chordNames), null, chordNames.join(' '));
+  });
+});
+
+test('flat keys get a capo with easier shapes', () => {
+  [
+    ['Fm7', 'Bb7', 'Ebmaj7'],
+    ['Eb', 'Bb', 'Cm', 'Ab'],
+    ['Bbm7', 'Eb7', 'Abmaj7'],
+    ['Ab', 'Eb', 'Fm', 'Db']
+  ].forEach(chordNames => {
+    const suggestion = recommend(chordNames);
+    assert.ok(suggestion, chordNames.join(' '));
+    assert.ok(suggestion.capo > 0, chordNames.join(' '));
+    assert.ok(suggestion.awkward < chordNames.length / 2, chordNames.join(' '));
+  });
+});
+
+test('no suggestion when the capo in use is already the best', () => {
+  const chordNames = ['Eb', 'Bb', 'Cm', 'Ab'];
+  const suggestion = recommend(chordNames);
+  assert.equal(recommend(chordNames, suggestion.capo), null);
+});
+
+test('suggests removing a capo that makes an open key awkward', () => {
+  const suggestion = recommend(['G', 'D', 'Em', 'C'], 1);
+  assert.ok(suggestion);
+  assert.equal(suggestion.capo, 0);
+});
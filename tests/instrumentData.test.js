@@ -0,0 +1,45 @@
+/**
+ * Instrument chord database tests
+ * Run with: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Instruments = require('../js/instruments.js');
+const { KEYS, SUFFIXES, DATABASES } = require('../scripts/build-instrument-data.js');
+
+const load = instrumentId => require(`../${Instruments.get(instrumentId).database}`);
+
+test('every instrument but guitar has a generated database', () => {
+  const generated = Object.keys(Instruments.INSTRUMENTS).filter(id => id !== Instruments.DEFAULT_INSTRUMENT);
+  assert.deepEqual(Object.keys(DATABASES).sort(), generated.sort());
+});
+
+test('every generated database has the same main block fields', () => {
+  Object.keys(DATABASES).forEach(instrumentId => {
+    const { main } = load(instrumentId);
+    assert.deepEqual(Object.keys(main).sort(), ['fretsOnChord', 'minStrings', 'name', 'rootInBass', 'strings'], instrumentId);
+    assert.equal(main.strings, Instruments.get(instrumentId).strings, instrumentId);
+  });
+});
+
+test('every generated database has the same suffix set, with every suffix in every key', () => {
+  Object.keys(DATABASES).forEach(instrumentId => {
+    const db = load(instrumentId);
+    assert.deepEqual(db.suffixes, SUFFIXES, instrumentId);
+    assert.deepEqual(Object.keys(db.chords), KEYS.map(([dbKey]) => dbKey), instrumentId);
+
+    Object.entries(db.chords).forEach(([dbKey, chords]) => {
+      assert.deepEqual(chords.map(chord => chord.suffix), SUFFIXES, `${instrumentId} ${dbKey}`);
+      chords.forEach(chord => {
+        assert.ok(chord.positions.length > 0, `${instrumentId} ${chord.key}${chord.suffix}`);
+      });
+    });
+  });
+});
+
+test('the guitar database has every generated suffix', () => {
+  const guitar = load(Instruments.DEFAULT_INSTRUMENT);
+  SUFFIXES.forEach(suffix => assert.ok(guitar.suffixes.includes(suffix), suffix));
+});
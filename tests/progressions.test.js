@@ -0,0 +1,38 @@
+/**
+ * Progression re-harmonisation tests
+ * Run with: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.LocalSettings = require('../js/localSettings.js');
+global.Spelling = require('../js/spelling.js');
+global.ChordParser = require('../js/chordParser.js');
+const Progressions = require('../js/progressions.js');
+
+const chordNames = (id, key, mode) =>
+  Progressions.resolveProgression(Progressions.getById(id), key, mode).map(chord => chord.chordName);
+
+test('a progression in its home mode is unchanged', () => {
+  assert.deepEqual(chordNames('ii-V-I', 'C', 'major'), ['Dm7', 'G7', 'Cmaj7']);
+  assert.deepEqual(chordNames('minor-ii-V-i', 'C', 'minor'), ['Dm7b5', 'G7', 'Cm7']);
+});
+
+test('diatonic chords take the chosen mode\'s qualities on the same degree', () => {
+  assert.deepEqual(chordNames('ii-V-I', 'C', 'minor'), ['Dm7b5', 'G7', 'Cm7']);
+  assert.deepEqual(chordNames('minor-ii-V-i', 'C', 'major'), ['Dm7', 'G7', 'Cmaj7']);
+  assert.deepEqual(chordNames('ii-V-I', 'D', 'dorian'), ['Em7', 'Am7', 'Dm7']);
+  assert.deepEqual(chordNames('I-V-vi-IV', 'C', 'minor'), ['Cm', 'G', 'Ab', 'Fm']);
+});
+
+test('numerals follow the chosen mode', () => {
+  const resolved = Progressions.resolveProgression(Progressions.getById('I-V-vi-IV'), 'C', 'minor');
+  assert.deepEqual(resolved.map(chord => chord.numeral), ['i', 'V', 'bVI', 'iv']);
+});
+
+test('chromatic and borrowed chords stay as written', () => {
+  assert.deepEqual(Progressions.reharmonize('VI', '7', 'major', 'minor'), { numeral: 'VI', quality: '7' });
+  assert.deepEqual(Progressions.reharmonize('bVII', '7', 'major', 'dorian'), { numeral: 'bVII', quality: '7' });
+  assert.deepEqual(Progressions.reharmonize('I', '7', 'major', 'minor'), { numeral: 'I', quality: '7' });
+});